@@ -0,0 +1,49 @@
+// scripts/migrate-legacy-trips.js
+// One-off migration for trips created before sign-in, which have no ownerUid. Their owner was
+// only a device id stored on the trip, readable by anyone with the link, so firestore.rules no
+// longer accept it for a claim. For each such trip this, in one batch:
+//   - moves a plaintext PIN to its hash in private/pin and deletes it from the trip doc
+//     (the rules hide trips that still carry a PIN)
+//   - keeps the hash of a new claim code in private/claim
+// and prints the trip id with its claim code. Send each code to that trip's owner: entering it
+// in the app makes their device the owner (claimsLegacyTrip in firestore.rules).
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/migrate-legacy-trips.js <project-id>
+//
+// (or with FIRESTORE_EMULATOR_HOST set, against the emulator). Trips that already have a claim
+// code are left alone, so running it again only picks up trips it hasn't seen.
+import { pathToFileURL } from 'node:url'
+import { initializeApp } from 'firebase-admin/app'
+import { getFirestore, FieldValue } from 'firebase-admin/firestore'
+import { hashPin, newClaimCode, hashClaimCode } from '../src/access.js'
+
+/** Migrate every ownerless trip in the database → [{ tripId, code }] */
+export async function migrateLegacyTrips(db) {
+  const out = []
+  const trips = await db.collection('trips').get()
+  for (const snap of trips.docs) {
+    const d = snap.data()
+    if (d.ownerUid) continue
+    const claimRef = snap.ref.collection('private').doc('claim')
+    if ((await claimRef.get()).exists) continue
+    const code = newClaimCode()
+    const batch = db.batch()
+    if (d.pin) batch.set(snap.ref.collection('private').doc('pin'), { hash: await hashPin(snap.id, d.pin), updatedAt: FieldValue.serverTimestamp() })
+    batch.set(claimRef, { hash: await hashClaimCode(snap.id, code), createdAt: FieldValue.serverTimestamp() })
+    if ('pin' in d) batch.update(snap.ref, { pin: FieldValue.delete() })
+    await batch.commit()
+    out.push({ tripId: snap.id, code })
+  }
+  return out
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const projectId = process.argv[2] || process.env.GCLOUD_PROJECT
+  if (!projectId) {
+    console.error('Usage: node scripts/migrate-legacy-trips.js <project-id>')
+    process.exit(1)
+  }
+  const found = await migrateLegacyTrips(getFirestore(initializeApp({ projectId })))
+  if (!found.length) console.log('No trips to migrate.')
+  for (const { tripId, code } of found) console.log(`${tripId}\t${code}`)
+}
@@ -1,21 +1,32 @@
 import React, { useEffect, useMemo, useState, useRef } from 'react'
-import { db } from './firebase'
-import { doc, setDoc, onSnapshot, updateDoc, serverTimestamp } from 'firebase/firestore'
-
-/** ----------------- Courses (par per hole) ----------------- */
-const COURSES = [
-  { key: "hiawatha", name: "The Links at Hiawatha Landing", par: [4,4,3,4,4,3,5,4,5, 4,4,5,3,4,4,4,3,5] },
-  { key: "enjoie",   name: "En-Joie Golf Club",             par: [4,4,5,3,5,4,3,5,4, 4,4,5,4,3,4,4,3,4] },
-  { key: "conklin",  name: "Conklin Players Club",          par: [4,3,4,4,4,5,3,4,5, 3,4,4,3,5,4,4,4,5] },
-]
-
-const MODES = [
-  { id: "bestball",    name: "Best Ball (1 pt)" },
-  { id: "highlow",     name: "High–Low (2 pts)" },
-  { id: "captainmate", name: "Captain & Mate (2 pts)" },
-  { id: "aggregate",   name: "Aggregate (1 pt)" },
-  { id: "stableford",  name: "Stableford (1 pt)" },
-  { id: "skins",       name: "Skins (carry)" },
+import { db, authReady } from './firebase'
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, onSnapshot, runTransaction, deleteField, serverTimestamp, collection, addDoc, query, orderBy, limit } from 'firebase/firestore'
+import { scoreMatch, entryIds, isTeamScoreId, teamScoreId } from './scoring'
+import { listModes, getMode, modeLabel } from './modes'
+import { DEFAULT_CUP, cupStandings, fmtCup } from './cup'
+import { STAKE_TYPES, fmtMoney, matchMoney, tripLedger, settle } from './ledger'
+import { diffTrip, withOps, findConflicts } from './tripSync'
+import { commitTripOps, tripUpdate } from './tripCommit'
+import { scoreGuards, matchEntries } from './scoreGuards'
+import { hashPin, newEditKey, normClaimCode, isPermissionDenied } from './access'
+import { qrMatrix, qrPath } from './qr'
+import { playerCards, legacyRoundId, cardCourses, playerStats, tripHighlights, fmtToPar } from './stats'
+import { leaderboard, fmtScore, fmtPos, fmtThru } from './leaderboard'
+import { parseImportFile, itemPlayers, remapItem } from './importHistory'
+import { csvCell, csvRow } from './csv'
+import { makeBackup, readBackup, restoredTrip, rosterOf, backupSummary } from './backup'
+
+/** ----------------- Default courses (seed for new trips; trips keep their own list) ----------------- */
+const DEFAULT_COURSES = [
+  { key: "hiawatha", name: "The Links at Hiawatha Landing",
+    par: [4,4,3,4,4,3,5,4,5, 4,4,5,3,4,4,4,3,5],
+    si:  [7,3,15,1,11,17,5,9,13, 8,4,12,18,2,10,6,16,14], tees: [] },
+  { key: "enjoie",   name: "En-Joie Golf Club",
+    par: [4,4,5,3,5,4,3,5,4, 4,4,5,4,3,4,4,3,4],
+    si:  [9,3,7,17,1,11,15,5,13, 6,4,10,2,18,12,8,16,14], tees: [] },
+  { key: "conklin",  name: "Conklin Players Club",
+    par: [4,3,4,4,4,5,3,4,5, 3,4,4,3,5,4,4,4,5],
+    si:  [5,17,9,1,7,11,15,3,13, 16,4,8,18,10,2,6,14,12], tees: [] },
 ]
 
 /** ----------------- Helpers ----------------- */
@@ -36,6 +47,64 @@ function colorForRelative(score, par) {
   if (d >=  3) return "#7F0000" // triple+
   return "#D55E00" // double
 }
+/** Course for an archived match: its own snapshot, else the trip's course list by key */
+function courseForHist(hist, courses) {
+  return hist.course
+    || courses.find(c => c.key === hist.courseKey)
+    || DEFAULT_COURSES.find(c => c.key === hist.courseKey)
+    || courses[0] || DEFAULT_COURSES[0]
+}
+/** Match-up title for an archived item: "Team A vs Team B", or the players of an individual game */
+const histTitle = (h) => h.teamA ? `${h.teamA.name} vs ${h.teamB.name}` : (h.playerNames || []).join(' / ')
+const histNames = (h) => Object.fromEntries([
+  ...(h.playerIds || []).map((pid, i) => [pid, h.playerNames?.[i] || '']),
+  ...[h.teamA, h.teamB].filter(Boolean).flatMap(t => t.playerIds.map((pid, i) => [pid, t.playerNames?.[i] || ''])),
+])
+/** Row label for a score entry on a team: the player's name, or "<Team> score" in scramble-style modes */
+const entryLabel = (team, id, idx, side) => isTeamScoreId(id)
+  ? `${team?.name || `Team ${side}`} score (${(team?.playerNames || []).filter(Boolean).join(' / ')})`
+  : (team?.playerNames?.[idx] || `${side} Player ${idx + 1}`)
+const today = () => new Date().toISOString().slice(0, 10)
+const newRound = (courseKey) => ({ id: uid(), date: today(), courseKey, teeId: '' })
+/** "Fri 12 Sep — Hiawatha (Blue)" for the round picker and archived scorecards */
+function roundLabel(r, courses) {
+  if (!r) return 'Round'
+  const c = courses.find(x => x.key === r.courseKey) || DEFAULT_COURSES.find(x => x.key === r.courseKey)
+  const tee = (c?.tees || []).find(t => t.id === r.teeId)?.name || r.teeName
+  const date = r.date ? new Date(`${r.date}T12:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' }) : 'No date'
+  return `${date} — ${c?.name || r.courseName || 'Course'}${tee ? ` (${tee})` : ''}`
+}
+/** Trips saved before rounds existed kept scores per course: turn each scored course into a round */
+function roundsFromLegacy(d, courses) {
+  const current = d.courseKey || courses[0].key
+  const scored = Object.keys(d.scoresByCourse || {}).filter(k => k !== current && courses.some(c => c.key === k)
+    && Object.values(d.scoresByCourse[k] || {}).some(arr => (arr || []).some(v => v !== '')))
+  const rounds = [current, ...scored].map(key => ({ id: legacyRoundId(key), date: '', courseKey: key, teeId: '' }))
+  return { rounds, roundId: rounds[0].id, scoresByRound: Object.fromEntries(rounds.map(r => [r.id, d.scoresByCourse?.[r.courseKey] || {}])) }
+}
+
+/** Course validation: 18 holes, pars 3–6, stroke index a permutation of 1–18 */
+function validateCourse(c, courses = []) {
+  const errs = []
+  if (!String(c.name || '').trim()) errs.push('Name is required')
+  if (courses.some(o => o.key !== c.key && o.name.trim().toLowerCase() === String(c.name || '').trim().toLowerCase())) errs.push('Another course has this name')
+  if (!Array.isArray(c.par) || c.par.length !== 18) errs.push('Par needs 18 holes')
+  else c.par.forEach((p, i) => { if (!Number.isInteger(p) || p < 3 || p > 6) errs.push(`Hole ${i + 1}: par must be 3–6`) })
+  if (!Array.isArray(c.si) || c.si.length !== 18) errs.push('Stroke index needs 18 holes')
+  else if ([...c.si].sort((a, b) => a - b).some((v, i) => v !== i + 1)) errs.push('Stroke index must use each of 1–18 once')
+  ;(c.tees || []).forEach((t, ti) => {
+    const label = t.name || `Tee ${ti + 1}`
+    if (!String(t.name || '').trim()) errs.push(`Tee ${ti + 1}: name is required`)
+    if ((t.yards || []).length !== 18) errs.push(`${label}: yardage needs 18 holes`)
+    if (t.rating !== "" && !(Number(t.rating) > 50 && Number(t.rating) < 90)) errs.push(`${label}: rating should be 50–90`)
+    if (t.slope !== "" && !(Number(t.slope) >= 55 && Number(t.slope) <= 155)) errs.push(`${label}: slope must be 55–155`)
+  })
+  return errs
+}
+const strokeDots = (n) => n > 0 ? '•'.repeat(n) : n < 0 ? '+'.repeat(-n) : ''
+/** Text for the print windows' HTML */
+const esc = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]))
+
 function holeBgForPar(par) {
   if (par === 3) return "#f7f7f7"
   if (par === 5) return "#efefef"
@@ -43,10 +112,21 @@ function holeBgForPar(par) {
 }
 
 /** Safe URL & storage helpers */
-function safeTripIdFromUrl() {
+function safeUrlParam(name) {
+  try {
+    const url = new URL(window.location.href)
+    return url.searchParams.get(name) || ''
+  } catch { return '' }
+}
+const safeTripIdFromUrl = () => safeUrlParam('trip')
+// Link to a trip with extra query params (key = edit key, watch = '1' for the spectator view)
+function tripLink(tripId, params = {}) {
   try {
     const url = new URL(window.location.href)
-    return url.searchParams.get('trip') || ''
+    url.search = ''; url.hash = ''
+    url.searchParams.set('trip', tripId)
+    Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v))
+    return url.toString()
   } catch { return '' }
 }
 function setTripIdInUrl(id) {
@@ -56,6 +136,17 @@ function setTripIdInUrl(id) {
     window.history.replaceState({}, '', url.toString())
   } catch {}
 }
+// The installed app starts at ?source=pwa (manifest start_url): reopen the last trip this device had open
+function initialTripId() {
+  const fromUrl = safeTripIdFromUrl()
+  if (fromUrl || safeUrlParam('source') !== 'pwa') return fromUrl
+  try {
+    const last = JSON.parse(safeGetLocal('lastTrip') || 'null')
+    if (!last?.trip) return ''
+    window.history.replaceState({}, '', tripLink(last.trip, last.watch ? { watch: '1' } : {}))
+    return last.trip
+  } catch { return '' }
+}
 function safeGetLocal(k) {
   try { return localStorage.getItem(k) } catch { return null }
 }
@@ -72,28 +163,51 @@ export default function App() {
     if (!v) { v = uid()+uid(); safeSetLocal('deviceId', v) }
     setDeviceId(v || ('dev_'+uid()))
   }, [])
+  // Anonymous Firebase user: the identity the security rules check
+  const [authUid, setAuthUid] = useState('')
+  useEffect(() => { authReady.then(u => setAuthUid(u.uid)) }, [])
 
   // Core state
-  const [tripId, setTripId] = useState(safeTripIdFromUrl())
-  const [players, setPlayers] = useState([]) // {id, name}
-  const [teams, setTeams] = useState([])     // {id, name, playerIds:[p1,p2]}
+  const [tripId, setTripId] = useState(initialTripId)
+  const [players, setPlayers] = useState([]) // {id, name, handicap}
+  const [teams, setTeams] = useState([])     // {id, name, playerIds:[1–4 ids], sideId}
   const [matches, setMatches] = useState([]) // live matches
   const [history, setHistory] = useState([]) // archived matches
-  const [courseKey, setCourseKey] = useState(COURSES[0].key)
-  const [scoresByCourse, setScoresByCourse] = useState({ hiawatha: {}, enjoie: {}, conklin: {} })
+  const [cup, setCup] = useState(DEFAULT_CUP)  // {sides:[{id, name}×2], holder}
+  const [courses, setCourses] = useState(DEFAULT_COURSES) // {key, name, par[18], si[18], tees:[{id, name, yards[18], rating, slope}]}
+  const [rounds, setRounds] = useState([])   // {id, date 'YYYY-MM-DD', courseKey, teeId}
+  const [roundId, setRoundId] = useState('')  // round shown on the live view (shared by the room)
+  const [scoresByRound, setScoresByRound] = useState({}) // {[roundId]: {[playerId]: [18]}}
+  const [notes, setNotes] = useState('')      // trip notes & highlights for the end-of-trip report
 
   // Meta / UX
   const [connected, setConnected] = useState(false)
+  const [fromCache, setFromCache] = useState(false) // showing Firestore's offline copy
+  const [syncedAt, setSyncedAt] = useState(0)       // last time the trip came from the server
   const [saving, setSaving] = useState(false)
+  const [queued, setQueued] = useState(0)       // offline edits waiting to be written
+  const [conflicts, setConflicts] = useState([]) // [{ op, theirs }] found when replaying the queue
   const [isOnline, setIsOnline] = useState(typeof navigator !== 'undefined' ? navigator.onLine : true)
-  const [view, setView] = useState('live') // 'live' | 'history'
+  const [view, setView] = useState('live') // 'live' | 'history' | 'money' | 'leaderboard' | 'stats' | 'courses'
   const [showQR, setShowQR] = useState(false)
+  const [tvMode, setTvMode] = useState(() => safeUrlParam('tv') === '1') // full-screen leaderboard for the clubhouse
+  const [landingError, setLandingError] = useState('') // a backup that couldn't be read or restored
+  const [importing, setImporting] = useState(null) // { results: [{ source, item, errors, warnings }], map, newIds } while previewing an import
 
-  // Room security
+  // Room security (the PIN's hash lives in trips/{id}/private/pin, see access.js)
   const [ownerDeviceId, setOwnerDeviceId] = useState('')
+  const [ownerUid, setOwnerUid] = useState('')
   const [pinEnabled, setPinEnabled] = useState(false)
-  const [pin, setPin] = useState('')
-  const [enteredPin, setEnteredPin] = useState(safeGetLocal('tripAuth:'+safeTripIdFromUrl()) || '')
+  const [pinSet, setPinSet] = useState(false)      // owner only: a PIN hash is stored
+  const [newPin, setNewPin] = useState('')         // owner's PIN input
+  const [enteredPin, setEnteredPin] = useState(safeUrlParam('pin'))
+  const [claimCode, setClaimCode] = useState('')   // claim code for a trip from before sign-in
+  const [memberVia, setMemberVia] = useState('')   // joined as an editor: 'pin' | 'link' | ''
+  const [watchLinks, setWatchLinks] = useState(false) // separate edit link (?key=) and watch-only link (?watch=1)
+  const [editKey, setEditKey] = useState(safeUrlParam('key') || safeGetLocal('editKey:' + safeTripIdFromUrl()) || '')
+  const [shareWhich, setShareWhich] = useState('edit') // link shown in the share / QR modal: 'edit' | 'watch' | 'pin'
+  const [sharePin, setSharePin] = useState('')         // PIN to put in the 'pin' link
+  const [accessError, setAccessError] = useState('')
 
   // Preferences
   const [bigType, setBigType] = useState(safeGetLocal('prefBigType') === '1')
@@ -103,11 +217,16 @@ export default function App() {
 const [holeByMatch, setHoleByMatch] = useState({});       // { [matchId]: 0..17 }
 const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolean }
 
+  // Edit log (trips/{id}/log, newest first) and who this device signs its edits as
+  const [editLog, setEditLog] = useState([])
+  const [myName, setMyName] = useState(safeGetLocal('displayName') || '')
+  const [changesOpenByMatch, setChangesOpenByMatch] = useState({}) // { [matchId]: boolean }
+
   // Score typing concurrency protection
   const scoresDirtyRef = useRef(false)
-  const latestRef = useRef({ players, teams, matches, history, courseKey, scoresByCourse, pinEnabled, pin, ownerDeviceId })
-  useEffect(() => { latestRef.current = { players, teams, matches, history, courseKey, scoresByCourse, pinEnabled, pin, ownerDeviceId } },
-    [players, teams, matches, history, courseKey, scoresByCourse, pinEnabled, pin, ownerDeviceId])
+  const latestRef = useRef({ players, teams, matches, history, cup, courses, rounds, roundId, scoresByRound, notes, pinEnabled, watchLinks, ownerUid, ownerDeviceId })
+  useEffect(() => { latestRef.current = { players, teams, matches, history, cup, courses, rounds, roundId, scoresByRound, notes, pinEnabled, watchLinks, ownerUid, ownerDeviceId } },
+    [players, teams, matches, history, cup, courses, rounds, roundId, scoresByRound, notes, pinEnabled, watchLinks, ownerUid, ownerDeviceId])
 
   // Online/offline listeners
   useEffect(() => {
@@ -118,12 +237,17 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
     return () => { window.removeEventListener('online', on); window.removeEventListener('offline', off) }
   }, [])
 
-  const course = COURSES.find(c => c.key === courseKey) || COURSES[0]
+  // Current round → its course and score sheet; matches belong to a round (older ones to the first)
+  const round = rounds.find(r => r.id === roundId) || rounds[0] || null
+  const roundOf = (m) => rounds.find(r => r.id === m.roundId) || rounds[0] || null
+  const courseOf = (r) => courses.find(c => c.key === r?.courseKey) || courses[0] || DEFAULT_COURSES[0]
+  const course = courseOf(round)
+  const courseKey = course.key
+  const roundScores = scoresByRound[round?.id] || {}
   const parArr = course.par
 
   /** ----------------- Design tokens ----------------- */
   const css = `
-  @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600&display=swap');
   :root {
     --font: Inter, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, 'Apple Color Emoji','Segoe UI Emoji';
     --ink: #000;
@@ -153,8 +277,13 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
   .tabs { display:flex; gap:8px; margin-top:8px }
   .tab { padding:6px 10px; border:1px solid var(--border); border-radius: 999px; background:#fff; cursor:pointer }
   .tab.active { border-color:#111; font-weight:600 }
+  .strokeDots { font-size:10px; line-height:1; text-align:center; color:var(--muted) }
   .qrModal { position:fixed; inset:0; background:rgba(0,0,0,.4); display:flex; align-items:center; justify-content:center; z-index:50 }
   .qrCard { background:#fff; padding:16px; border-radius: var(--radius); border:1px solid var(--border) }
+  .tv { position:fixed; inset:0; z-index:60; background:#0b3d22; color:#fff; padding:24px 32px; overflow:auto; font-size:calc(24px * var(--scale)) }
+  .tv table { border-collapse:collapse; width:100% }
+  .tv th, .tv td { padding:8px 12px; border-bottom:1px solid rgba(255,255,255,.2); text-align:center }
+  .tv th { font-size:.7em; text-transform:uppercase; letter-spacing:.05em; opacity:.8 }
   @media (max-width: 860px) {
     .grid3 { grid-template-columns:1fr }
     .score { width:44px; height:38px }
@@ -162,101 +291,468 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
   }`
 
   /** ----------------- Firestore subscribe ----------------- */
+  // Last server copy, to fall back to when the rules reject a local edit
+  const serverTripRef = useRef(null)
+  function applyTrip(d) {
+    setPlayers(d.players || [])
+    setTeams(d.teams || [])
+    setMatches(d.matches || [])
+    setHistory(d.history || [])
+    setCup(d.cup || DEFAULT_CUP)
+    setNotes(d.notes || '')
+    const tripCourses = d.courses?.length ? d.courses : DEFAULT_COURSES
+    setCourses(tripCourses)
+    const r = d.rounds?.length
+      ? { rounds: d.rounds, roundId: d.roundId || d.rounds[0].id, scoresByRound: d.scoresByRound || {} }
+      : roundsFromLegacy(d, tripCourses)
+    setRounds(r.rounds)
+    setRoundId(r.roundId)
+    setOwnerDeviceId(d.ownerDeviceId || '')
+    setOwnerUid(d.ownerUid || '')
+    setPinEnabled(!!d.pinEnabled)
+    setWatchLinks(!!d.watchLinks)
+    if (!scoresDirtyRef.current) {
+      setScoresByRound(r.scoresByRound)
+    }
+  }
   useEffect(() => {
-    if (!tripId) return
+    if (!tripId || !authUid) return
     const ref = doc(db, 'trips', tripId)
-    const unsub = onSnapshot(ref, (snap) => {
+    setSyncedAt(Number(safeGetLocal('syncedAt:' + tripId)) || 0)
+    const unsub = onSnapshot(ref, { includeMetadataChanges: true }, (snap) => {
+      setFromCache(snap.metadata.fromCache)
+      if (!snap.metadata.fromCache) { const now = Date.now(); setSyncedAt(now); safeSetLocal('syncedAt:' + tripId, String(now)) }
       if (!snap.exists()) return
       const d = snap.data()
-      setPlayers(d.players || [])
-      setTeams(d.teams || [])
-      setMatches(d.matches || [])
-      setHistory(d.history || [])
-      setCourseKey(d.courseKey || COURSES[0].key)
-      setOwnerDeviceId(d.ownerDeviceId || '')
-      setPinEnabled(!!d.pinEnabled)
-      setPin(d.pin || '')
-      if (!scoresDirtyRef.current) {
-        setScoresByCourse(d.scoresByCourse || { hiawatha: {}, enjoie: {}, conklin: {} })
-      }
+      serverTripRef.current = d
+      // Edits still in the offline queue stay on screen until they reach the server
+      applyTrip(withOps(d, queuedOps()))
+      if (!d.rounds?.length) migrateToRounds(ref, d.courses?.length ? d.courses : DEFAULT_COURSES)
       setConnected(true)
-    })
+    }, (err) => { if (isPermissionDenied(err)) setAccessError('You are not allowed to open this trip.') })
     return () => unsub()
+  }, [tripId, authUid])
+  // Remember the open trip for the home-screen app
+  useEffect(() => {
+    if (tripId) safeSetLocal('lastTrip', JSON.stringify({ trip: tripId, watch: safeUrlParam('watch') === '1' }))
   }, [tripId])
 
   /** ----------------- Create room ----------------- */
-  async function createTrip() {
+  // seed: trip fields to start from (a restored backup or a cloned roster) instead of an empty trip
+  async function newRoom(seed = {}) {
     const newId = uid() + uid()
     const ref = doc(db, 'trips', newId)
     const myDevice = deviceId || (safeGetLocal('deviceId') || ('dev_'+uid()))
+    const user = await authReady
+    const tripCourses = seed.courses?.length ? seed.courses : DEFAULT_COURSES
+    const first = newRound(tripCourses[0].key)
     const init = {
       createdAt: serverTimestamp(),
       ownerDeviceId: myDevice,
+      ownerUid: user.uid,
       pinEnabled: false,
-      pin: "",
       players: [], teams: [], matches: [], history: [],
-      courseKey: COURSES[0].key,
-      scoresByCourse: { hiawatha: {}, enjoie: {}, conklin: {} },
+      cup: DEFAULT_CUP,
+      courses: tripCourses,
+      rounds: [first],
+      roundId: first.id,
+      scoresByRound: { [first.id]: {} },
+      ...seed,
+      guards: scoreGuards(seed.matches, seed.teams),
       updatedAt: serverTimestamp(),
     }
     await setDoc(ref, init)
-    setTripId(newId)
-    setTripIdInUrl(newId)
-    setOwnerDeviceId(myDevice)
+    return { id: newId, device: myDevice, owner: user.uid }
+  }
+  async function createTrip(seed) {
+    const { id, device, owner } = await newRoom(seed)
+    setTripId(id)
+    setTripIdInUrl(id)
+    setOwnerDeviceId(device)
+    setOwnerUid(owner)
   }
 
-  /** ----------------- Save helpers + local draft ----------------- */
-  const writeTimer = useRef(null)
-  function saveLocalDraft(cur) {
-    try { localStorage.setItem('draft:'+tripId, JSON.stringify({ ts: Date.now(), data: cur })) } catch {}
+  /** ----------------- Backups ----------------- */
+  // Versioned JSON of the whole trip (see backup.js); restoring or cloning always makes a new room
+  const backupName = (id) => `golf-trip-${id}-${today()}.json`
+  function downloadBackup() { downloadText(backupName(tripId), JSON.stringify(makeBackup(latestRef.current, tripId), null, 2)) }
+  // From the landing page: the trip this device last had open, read from the server (or Firestore's offline copy)
+  async function downloadTripBackup(id) {
+    setLandingError('')
+    try {
+      await authReady
+      const snap = await getDoc(doc(db, 'trips', id))
+      if (!snap.exists()) { setLandingError('That trip no longer exists.'); return }
+      downloadText(backupName(id), JSON.stringify(makeBackup(snap.data(), id), null, 2))
+    } catch (err) {
+      setLandingError(isPermissionDenied(err) ? 'You are not allowed to open that trip.' : 'Couldn\'t load the trip — are you online?')
+    }
+  }
+  // Backups from before rounds carry scoresByCourse: turn it into rounds as opening the old trip would
+  function seedFromBackup(trip) {
+    const { scoresByCourse, courseKey, ...rest } = restoredTrip(trip)
+    return rest.rounds?.length ? rest : { ...rest, ...roundsFromLegacy(trip, rest.courses?.length ? rest.courses : DEFAULT_COURSES) }
   }
-  function scheduleDebouncedSave(overrides = {}) {
+  const newRoomError = (err) => isPermissionDenied(err) ? 'The new room was refused — sign-in may have failed, try reloading.' : 'Couldn\'t create the new room — are you online?'
+  async function fromBackupFile(file, how) {
+    setLandingError('')
+    let b
+    try { b = readBackup(await file.text()) } catch { setLandingError('Couldn\'t read that file.'); return }
+    if (b.error) { setLandingError(b.error); return }
+    const when = b.exportedAt ? ` (backed up ${nowStr(Date.parse(b.exportedAt))})` : ''
+    try {
+      if (how === 'restore') {
+        if (!window.confirm(`Restore ${backupSummary(b.trip)}${when} into a new room?`)) return
+        await createTrip(seedFromBackup(b.trip))
+      } else {
+        if (!window.confirm(`Start a new room with the ${b.trip.players?.length || 0} players and ${b.trip.teams?.length || 0} teams from this backup${when}? No scores or matches are copied.`)) return
+        await createTrip(rosterOf(b.trip))
+      }
+    } catch (err) {
+      setLandingError(newRoomError(err))
+    }
+  }
+  // From inside a trip: a fresh room with this roster, opened in place of this one
+  async function cloneRoster() {
+    if (!window.confirm(`Start a new room with these ${players.length} players and ${teams.length} teams? No scores or matches are copied; this trip stays as it is.`)) return
+    try {
+      const { id } = await newRoom(rosterOf(latestRef.current))
+      window.location.assign(tripLink(id))
+    } catch (err) {
+      setAccessError(newRoomError(err))
+    }
+  }
+
+  /** ----------------- Save helpers ----------------- */
+  // Every write replays just this edit's operations (see tripSync.js / tripCommit.js) onto the latest
+  // server copy inside a transaction, so other people's concurrent edits survive.
+  const commitOps = (ops) => commitTripOps(db, doc(db, 'trips', tripId), ops)
+  // Trips from before rounds: store the rounds built from scoresByCourse once, so field writes have a place to land
+  async function migrateToRounds(ref, tripCourses) {
+    try {
+      await runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref)
+        const d = snap.data()
+        if (!d || d.rounds?.length) return
+        const r = roundsFromLegacy(d, tripCourses)
+        const matches = (d.matches || []).map(m => ({ roundId: r.roundId, ...m }))
+        tx.update(ref, { ...r, matches, guards: scoreGuards(matches, d.teams) })
+      })
+    } catch {}
+  }
+
+  const writeTimer = useRef(null)
+  const pendingOps = useRef([])
+  // Score typing: collect hole ops and write them together shortly after the last keystroke
+  function scheduleDebouncedSave(ops) {
     if (!tripId) return
+    pendingOps.current.push(...ops)
     scoresDirtyRef.current = true
     setSaving(true)
     clearTimeout(writeTimer.current)
     writeTimer.current = setTimeout(async () => {
-      const cur = { ...latestRef.current, ...overrides }
-      saveLocalDraft(cur)
-      try {
-        if (!navigator.onLine) throw new Error('offline')
-        await updateDoc(doc(db, 'trips', tripId), { ...cur, updatedAt: serverTimestamp() })
-        scoresDirtyRef.current = false
-        setSaving(false)
-      } catch {
-        setSaving(false) // stays in local draft
-      }
+      const batch = pendingOps.current.splice(0)
+      logScoreOps(batch)
+      await commitOrQueue(batch)
+      // Queued scores stay dirty until flushQueue gets them to the server
+      if (!readQueue().length && !pendingOps.current.length) scoresDirtyRef.current = false
+      setSaving(false)
     }, 250)
   }
+  // Apply an edit locally right away, then write only the fields / items / holes it changed
   async function saveNowAll(overrides = {}) {
     if (!tripId) return
-    const cur = { ...latestRef.current, ...overrides }
+    const base = latestRef.current
+    const cur = { ...base, ...overrides }
+    latestRef.current = cur
     setPlayers(cur.players); setTeams(cur.teams); setMatches(cur.matches)
-    setHistory(cur.history); setCourseKey(cur.courseKey); setScoresByCourse(cur.scoresByCourse)
-    setPinEnabled(cur.pinEnabled); setPin(cur.pin); setOwnerDeviceId(cur.ownerDeviceId)
+    setHistory(cur.history); setCup(cur.cup); setCourses(cur.courses); setRounds(cur.rounds); setRoundId(cur.roundId); setScoresByRound(cur.scoresByRound); setNotes(cur.notes)
+    setPinEnabled(cur.pinEnabled); setWatchLinks(cur.watchLinks); setOwnerUid(cur.ownerUid); setOwnerDeviceId(cur.ownerDeviceId)
     setSaving(true)
-    saveLocalDraft(cur)
+    await commitOrQueue(diffTrip(base, cur, Object.keys(overrides)))
+    setSaving(false)
+  }
+
+  /** ----------------- Offline queue ----------------- */
+  // Edits made offline (or whose write failed) wait in localStorage as [{ id, ts, ops }] and are
+  // replayed in order on reconnect; anything someone else changed meanwhile goes to the conflict dialog.
+  const queueKey = 'queue:' + tripId
+  const readQueue = () => { try { return JSON.parse(safeGetLocal(queueKey) || '[]') } catch { return [] } }
+  const queuedOps = (q = readQueue()) => [...q].sort((a, b) => a.ts - b.ts).flatMap(e => e.ops)
+  const flushing = useRef(false)
+  useEffect(() => { setQueued(readQueue().length); setConflicts([]) }, [tripId])
+
+  function queueOps(ops) {
+    const q = [...readQueue(), { id: uid(), ts: Date.now(), ops }]
+    safeSetLocal(queueKey, JSON.stringify(q))
+    setQueued(q.length)
+  }
+  async function commitOrQueue(ops) {
+    if (!ops.length) return
+    // Keep edits in order: while older ones are still queued, new ones line up behind them
+    if (!navigator.onLine || readQueue().length) { queueOps(ops); flushQueue(); return }
+    try { await commitOps(ops) } catch (err) {
+      if (isPermissionDenied(err)) writeDenied()
+      else queueOps(ops)
+    }
+  }
+  // The rules refused the edit: say so and put the screen back to what the server has
+  function writeDenied() {
+    setAccessError(pinEnabled ? 'This trip is locked — enter the PIN to edit. Your change was not saved.' : 'Your change was not allowed and was not saved.')
+    // Joined with a PIN the owner has since changed: offer the PIN box again
+    if (pinEnabled && !isOwner) setMemberVia('')
+    scoresDirtyRef.current = false
+    if (serverTripRef.current) applyTrip(serverTripRef.current)
+  }
+  async function flushQueue() {
+    const q = readQueue()
+    if (!tripId || !q.length || flushing.current || !navigator.onLine) return
+    flushing.current = true
+    const ops = queuedOps(q)
+    let found = [], sent = null
     try {
-      if (!navigator.onLine) throw new Error('offline')
-      await updateDoc(doc(db, 'trips', tripId), { ...cur, updatedAt: serverTimestamp() })
-      setSaving(false)
-    } catch { setSaving(false) }
+      const ref = doc(db, 'trips', tripId)
+      await runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref)
+        if (!snap.exists()) return
+        const { clean, conflicts } = findConflicts(snap.data(), ops)
+        found = conflicts
+        sent = withOps(snap.data(), clean)
+        if (clean.length) tx.update(ref, tripUpdate(snap.data(), clean))
+      })
+    } catch (err) {
+      // Locked out: keep the queue until this device unlocks with the PIN
+      if (isPermissionDenied(err)) setAccessError('This trip is locked — enter the PIN to send your offline edits.')
+      flushing.current = false
+      return
+    }
+    const rest = readQueue().filter(e => !q.some(x => x.id === e.id))
+    safeSetLocal(queueKey, JSON.stringify(rest))
+    setQueued(rest.length)
+    // Everything is on the server: scores follow the server again, starting from what was just written
+    if (!rest.length && !pendingOps.current.length && sent) {
+      scoresDirtyRef.current = false
+      applyTrip(sent)
+    }
+    if (found.length) setConflicts(c => [...c, ...found])
+    flushing.current = false
+    if (rest.length) flushQueue()
   }
-  // Flush local draft when back online
+  useEffect(() => { if (isOnline && tripId && authUid) flushQueue() }, [isOnline, tripId, authUid, memberVia])
+
+  // Keep mine: write this device's value over theirs (without `from`, so it isn't checked again); keep theirs: drop it
+  const forced = ({ from, ...op }) => op
+  function resolveConflict(c, keepMine) {
+    if (keepMine) commitOrQueue([forced(c.op)])
+    setConflicts(cs => cs.filter(x => x !== c))
+  }
+  function resolveAllConflicts(keepMine) {
+    if (keepMine) commitOrQueue(conflicts.map(c => forced(c.op)))
+    setConflicts([])
+  }
+  // Conflict dialog text: what was edited and the two competing values
+  const LIST_NAMES = { players: 'Player', teams: 'Team', matches: 'Match', history: 'Archived match', rounds: 'Round', courses: 'Course' }
+  const SET_NAMES = { cup: 'Cup settings', notes: 'Trip notes', roundId: 'Current round', pinEnabled: 'PIN lock', watchLinks: 'Watch-only link', ownerUid: 'Trip owner', ownerDeviceId: 'Trip owner' }
+  function describeConflict({ op, theirs }) {
+    if (op.type === 'hole') {
+      const team = teams.find(t => teamScoreId(t) === op.pid)
+      const who = team ? `${team.name} score` : (playerNames[op.pid] || 'Player')
+      const r = rounds.find(x => x.id === op.round)
+      return { what: `${who} • ${r ? roundLabel(r, courses) : 'Round'} • Hole ${op.hole + 1}`, mine: op.value || '—', theirs: theirs || '—' }
+    }
+    if (op.type === 'item') {
+      const item = op.value || op.from || theirs || {}
+      const teamName = (id) => teams.find(t => t.id === id)?.name || 'Team'
+      const name = op.field === 'rounds' ? roundLabel(item, courses)
+        : op.field === 'matches' ? (item.teamAId ? `${teamName(item.teamAId)} vs ${teamName(item.teamBId)}` : modeLabel(item.mode))
+        : item.name || item.label || ''
+      const state = (v, was) => v === null ? 'Deleted' : was === null ? 'Added' : 'Edited'
+      return { what: `${LIST_NAMES[op.field] || op.field}: ${name}`, mine: state(op.value, op.from), theirs: state(theirs, op.from) }
+    }
+    const show = (v) => v === null || v === undefined || v === '' ? '—' : typeof v === 'object' ? 'Edited' : String(v)
+    return { what: SET_NAMES[op.field] || op.field, mine: show(op.value), theirs: show(theirs) }
+  }
+
+  /** ----------------- Edit log ----------------- */
+  // Append-only: entries are only ever added (undo adds one too). Each records who
+  // (device + display name), when, what changed and the old / new values:
+  //   { kind: 'score', round, pid, hole, from, to, revertOf? }
+  //   { kind: 'archive' | 'restore' | 'delete' | 'import' | 'undo', field, label, from, to, matchId?, historyId?, ... }
+  //   restores also keep { round, prevScores: { [pid]: [18] | null } }, the score sheets they replaced
   useEffect(() => {
-    if (!tripId || !isOnline) return
-    const draft = safeGetLocal('draft:'+tripId)
-    if (draft) {
-      try { const d = JSON.parse(draft).data; updateDoc(doc(db, 'trips', tripId), { ...d, updatedAt: serverTimestamp() }) } catch {}
+    if (!tripId || !authUid) return
+    setEditLog([])
+    const q = query(collection(db, 'trips', tripId, 'log'), orderBy('ts', 'desc'), limit(500))
+    const unsub = onSnapshot(q, (snap) => setEditLog(snap.docs.map(d => ({ id: d.id, ...d.data() }))), () => {})
+    return () => unsub()
+  }, [tripId, authUid])
+
+  function logEdit(entry) {
+    if (!tripId) return
+    const e = Object.fromEntries(Object.entries(entry).filter(([, v]) => v !== undefined))
+    addDoc(collection(db, 'trips', tripId, 'log'), { ...e, ts: Date.now(), at: serverTimestamp(), deviceId, uid: authUid, by: myName.trim() }).catch(() => {})
+  }
+  // One entry per score cell in a write: what it was before the first keystroke → what it ended as
+  function logScoreOps(ops) {
+    const cells = new Map()
+    for (const op of ops) {
+      if (op.type !== 'hole') continue
+      const key = `${op.round}.${op.pid}.${op.hole}`
+      cells.set(key, { ...op, from: cells.has(key) ? cells.get(key).from : op.from })
+    }
+    for (const op of cells.values()) {
+      if ((op.from ?? '') === (op.value ?? '')) continue
+      logEdit({ kind: 'score', field: 'scores', round: op.round, pid: op.pid, hole: op.hole, from: op.from ?? '', to: op.value ?? '', revertOf: op.revertOf })
     }
-  }, [isOnline, tripId])
+  }
+  const undoneIds = useMemo(() => new Set(editLog.map(e => e.revertOf).filter(Boolean)), [editLog])
+
+  // Undo puts back the entry's old value (or reverses the archive action) and logs that as a new entry
+  async function undoEntry(e) {
+    if (!canUndo(e)) return
+    if (e.kind === 'score') {
+      const now = scoresByRound[e.round]?.[e.pid]?.[e.hole] ?? ''
+      if (now !== e.to && !window.confirm(`This score has changed since (now ${now || 'blank'}). Put back ${e.from || 'blank'} anyway?`)) return
+      writeScore(e.round, e.pid, e.hole, e.from, e.id)
+      return
+    }
+    const undo = { kind: 'undo', field: e.field, label: e.label, from: e.to, to: e.from, matchId: e.matchId, historyId: e.historyId, revertOf: e.id }
+    if (e.kind === 'archive') {
+      // Back to a live match; the archived copy goes (its scores never left the round)
+      if (matches.some(m => m.id === e.match?.id)) return
+      logEdit(undo)
+      await saveNowAll({ matches: [...matches, e.match], history: history.filter(h => h.id !== e.historyId) })
+      setView('live')
+    } else if (e.kind === 'delete') {
+      if (history.some(h => h.id === e.item?.id)) return
+      logEdit(undo)
+      await saveNowAll({ history: [...history, e.item] })
+    } else if (e.kind === 'import') {
+      // Players the import created stay
+      if (!history.some(h => h.id === e.historyId)) return
+      logEdit(undo)
+      await saveNowAll({ history: history.filter(h => h.id !== e.historyId) })
+    } else if (e.kind === 'restore') {
+      // Players, teams and rounds the restore recreated stay; the scores it wrote over come back
+      const restored = history.find(h => h.id === e.historyId)?.scores || {}
+      const sheet = { ...(scoresByRound[e.round] || {}) }
+      const changed = Object.keys(e.prevScores).some(pid => restored[pid] && JSON.stringify(sheet[pid]) !== JSON.stringify(restored[pid]))
+      if (changed && !window.confirm('Scores in this match have changed since it was restored. Put back the scores from before the restore anyway?')) return
+      for (const [pid, arr] of Object.entries(e.prevScores)) { if (arr) sheet[pid] = arr; else delete sheet[pid] }
+      logEdit(undo)
+      await saveNowAll({ matches: matches.filter(m => m.id !== e.matchId), scoresByRound: { ...scoresByRound, [e.round]: sheet } })
+    }
+  }
+  // Only what this device could change directly: unlocked scorecards and holes, matches it may score
+  // (restores logged before they recorded the scores they replaced can't be undone)
+  function undoAllowed(e) {
+    if (!canEdit) return false
+    if (e.kind === 'score') return canWriteScore(e.round, e.pid, e.hole)
+    if (e.kind === 'archive' || e.kind === 'import') return !history.find(h => h.id === e.historyId)?.locked
+    if (e.kind === 'delete') return true
+    if (e.kind === 'restore') {
+      const m = matches.find(x => x.id === e.matchId)
+      return !!(m && e.prevScores && canScore(m) && Object.keys(e.prevScores).every(pid => canWriteScore(e.round, pid)))
+    }
+    return false
+  }
+  const canUndo = (e) => !undoneIds.has(e.id) && undoAllowed(e)
+  function describeEntry(e) {
+    if (e.kind === 'score') {
+      const team = teams.find(t => teamScoreId(t) === e.pid)
+      const who = team ? `${team.name} score` : (playerNames[e.pid] || 'Player')
+      return `${who} • Hole ${e.hole + 1}: ${e.from || '—'} → ${e.to || '—'}${e.revertOf ? ' (undo)' : ''}`
+    }
+    const verb = { archive: 'Archived', restore: 'Restored', delete: 'Deleted archived', import: 'Imported', undo: 'Undid' }[e.kind] || 'Changed'
+    return `${verb} ${e.kind === 'undo' ? `change to ${e.label}` : e.label}`
+  }
 
   /** ----------------- Authorization ----------------- */
-  const isOwner = ownerDeviceId && ownerDeviceId === deviceId
-  const isEditor = isOwner || !pinEnabled || (enteredPin && pin && enteredPin === pin)
+  // Enforced by firestore.rules; these only decide what the UI offers.
+  // Trips from before sign-in have no ownerUid until their owner claims them (claimTrip below).
+  const isOwner = !!ownerUid && ownerUid === authUid
+  // With the PIN on only PIN members edit; with watch links on, members from either the PIN or the edit link
+  const isEditor = isOwner || (pinEnabled ? memberVia === 'pin' : !watchLinks || !!memberVia)
+  useEffect(() => {
+    if (!tripId || !authUid) return
+    setMemberVia('')
+    return onSnapshot(doc(db, 'trips', tripId, 'members', authUid), (s) => setMemberVia(s.exists() ? s.data().via || 'pin' : ''), () => setMemberVia(''))
+  }, [tripId, authUid])
+  useEffect(() => {
+    if (!tripId || !isOwner || !authUid) { setPinSet(false); return }
+    const unsubPin = onSnapshot(doc(db, 'trips', tripId, 'private', 'pin'), (s) => setPinSet(s.exists()), () => setPinSet(false))
+    const unsubKey = onSnapshot(doc(db, 'trips', tripId, 'private', 'editKey'), (s) => { if (s.exists()) setEditKey(s.data().key) }, () => {})
+    return () => { unsubPin(); unsubKey() }
+  }, [tripId, isOwner, authUid])
+  // Opened from an edit link: remember the key and join as an editor with it
+  useEffect(() => { if (tripId && editKey) safeSetLocal('editKey:' + tripId, editKey) }, [tripId, editKey])
+  useEffect(() => {
+    if (!tripId || !authUid || !watchLinks || !editKey || memberVia || isOwner) return
+    setDoc(doc(db, 'trips', tripId, 'members', authUid), { via: 'link', key: editKey, name: myName.trim(), joinedAt: serverTimestamp() })
+      .catch(err => { if (isPermissionDenied(err)) setAccessError('This edit link is no longer valid — ask the trip owner for a new one.') })
+  }, [tripId, authUid, watchLinks, editKey, memberVia, isOwner])
+
+  // Owner: split the trip link into an edit link and a watch-only one (the key is created once)
+  async function setSeparateLinks(on) {
+    try {
+      if (on && !editKey) {
+        const key = newEditKey()
+        await setDoc(doc(db, 'trips', tripId, 'private', 'editKey'), { key, createdAt: serverTimestamp() })
+        setEditKey(key)
+      }
+      await saveNowAll({ watchLinks: on })
+    } catch { setAccessError('Could not create the edit link — check your connection.') }
+  }
+  // Claim a trip from before sign-in with the code scripts/migrate-legacy-trips.js gave its owner
+  // (the rules check it against the hash in private/claim), then, as the owner, clear the code away
+  async function claimTrip() {
+    setAccessError('')
+    const ref = doc(db, 'trips', tripId)
+    try {
+      await updateDoc(ref, { ownerUid: authUid, claimCode: normClaimCode(claimCode) })
+    } catch (err) {
+      setAccessError(isPermissionDenied(err) ? 'That claim code is not right for this trip.' : 'Could not claim the trip — check your connection.')
+      return
+    }
+    setClaimCode('')
+    try {
+      await updateDoc(ref, { claimCode: deleteField() })
+      await deleteDoc(doc(db, 'trips', tripId, 'private', 'claim'))
+    } catch {}
+  }
+
+  // Opened from a link with the PIN in it: unlock once, and take the PIN out of the address bar
+  const urlPinTried = useRef(false)
   useEffect(() => {
-    if (isEditor && tripId) safeSetLocal('tripAuth:'+tripId, enteredPin || 'owner')
-  }, [isEditor, enteredPin, tripId])
+    if (urlPinTried.current || !safeUrlParam('pin') || !connected || !authUid) return
+    urlPinTried.current = true
+    try {
+      const url = new URL(window.location.href)
+      url.searchParams.delete('pin')
+      window.history.replaceState({}, '', url.toString())
+    } catch {}
+    if (pinEnabled && memberVia !== 'pin' && !isOwner) unlockWithPin()
+  }, [connected, authUid, pinEnabled, memberVia, isOwner])
+
+  // Owner: store a new PIN's hash. Editors who joined with the old PIN keep its hash on their
+  // member doc, which the rules no longer accept: they have to enter the new one.
+  async function setOwnerPin() {
+    if (!/^[0-9]{4}$/.test(newPin)) return
+    try {
+      await setDoc(doc(db, 'trips', tripId, 'private', 'pin'), { hash: await hashPin(tripId, newPin), updatedAt: serverTimestamp() })
+      setNewPin('')
+    } catch { setAccessError('Could not save the PIN — check your connection.') }
+  }
+  // Everyone else: join as an editor; the rules only accept the right PIN's hash
+  async function unlockWithPin() {
+    setAccessError('')
+    try {
+      await setDoc(doc(db, 'trips', tripId, 'members', authUid), { via: 'pin', pinHash: await hashPin(tripId, enteredPin), name: myName.trim(), joinedAt: serverTimestamp() })
+      setEnteredPin('')
+    } catch (err) {
+      setAccessError(isPermissionDenied(err) ? 'Wrong PIN.' : 'Could not unlock — check your connection.')
+    }
+  }
 
   /** ----------------- Players / Teams ----------------- */
   const assignedPlayerIds = useMemo(
@@ -266,21 +762,27 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
   const addPlayer = async (name = "") => {
     const p = { id: uid(), name: name || `Player ${players.length + 1}` }
     const nextPlayers = [...players, p]
-    const perCourse = { ...(scoresByCourse[courseKey] || {}), [p.id]: empty18() }
-    const nextScores = { ...scoresByCourse, [courseKey]: perCourse }
-    await saveNowAll({ players: nextPlayers, scoresByCourse: nextScores })
+    const nextScores = round ? { ...scoresByRound, [round.id]: { ...roundScores, [p.id]: empty18() } } : scoresByRound
+    await saveNowAll({ players: nextPlayers, scoresByRound: nextScores })
   }
   const renamePlayer = async (id, name) => { await saveNowAll({ players: players.map(p => p.id === id ? { ...p, name } : p) }) }
+  const setPlayerHandicap = async (id, handicap) => { await saveNowAll({ players: players.map(p => p.id === id ? { ...p, handicap } : p) }) }
   const removePlayer = async (id) => {
     const nextPlayers = players.filter(p => p.id !== id)
     const nextTeams = teams.map(t => ({ ...t, playerIds: (t.playerIds || []).map(pid => pid === id ? "" : pid) }))
-    const perCourse = { ...(scoresByCourse[courseKey] || {}) }; delete perCourse[id]
-    const nextScores = { ...scoresByCourse, [courseKey]: perCourse }
-    await saveNowAll({ players: nextPlayers, teams: nextTeams, scoresByCourse: nextScores })
+    const nextScores = Object.fromEntries(Object.entries(scoresByRound).map(([rid, map]) => {
+      const next = { ...map }; delete next[id]; return [rid, next]
+    }))
+    await saveNowAll({ players: nextPlayers, teams: nextTeams, scoresByRound: nextScores })
   }
 
   const addTeam = async () => { await saveNowAll({ teams: [...teams, { id: uid(), name: `Team ${teams.length + 1}`, playerIds: ["",""] }] }) }
   const setTeamName = async (id, name) => { await saveNowAll({ teams: teams.map(t => t.id === id ? { ...t, name } : t) }) }
+  const setTeamSide = async (id, sideId) => { await saveNowAll({ teams: teams.map(t => t.id === id ? { ...t, sideId } : t) }) }
+  // Teams hold 1–4 players; shrinking drops the players in the removed slots
+  const setTeamSize = async (id, size) => {
+    await saveNowAll({ teams: teams.map(t => t.id === id ? { ...t, playerIds: Array.from({ length: size }, (_, i) => t.playerIds?.[i] || "") } : t) })
+  }
   const assignPlayer = async (teamId, slotIdx, newPid) => {
     let nextTeams
     if (!newPid) {
@@ -297,198 +799,249 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
     await saveNowAll({ teams: nextTeams, matches: nextMatches })
   }
 
+  /** ----------------- Courses ----------------- */
+  const saveCourse = async (c) => {
+    const errs = validateCourse(c, courses)
+    if (errs.length) return errs
+    const nextCourses = courses.some(x => x.key === c.key) ? courses.map(x => x.key === c.key ? c : x) : [...courses, c]
+    await saveNowAll({ courses: nextCourses })
+    return []
+  }
+  // Courses played in a round can't be deleted (the round's scores depend on its par / stroke index)
+  const deleteCourse = async (key) => {
+    if (courses.length <= 1 || rounds.some(r => r.courseKey === key)) return
+    await saveNowAll({ courses: courses.filter(c => c.key !== key) })
+  }
+
+  /** ----------------- Rounds ----------------- */
+  const addRound = async () => {
+    const r = newRound(courseKey)
+    await saveNowAll({ rounds: [...rounds, r], roundId: r.id, scoresByRound: { ...scoresByRound, [r.id]: {} } })
+  }
+  // A new course resets the tee (tees belong to a course)
+  const setRoundField = async (id, field, value) => {
+    await saveNowAll({ rounds: rounds.map(r => r.id === id ? { ...r, [field]: value, ...(field === 'courseKey' ? { teeId: '' } : {}) } : r) })
+  }
+  const removeRound = async (id) => {
+    if (rounds.length <= 1) return
+    const r = rounds.find(x => x.id === id)
+    if (!window.confirm(`Delete the round ${roundLabel(r, courses)}? Its live matches and scores will be lost (archived scorecards keep their copy).`)) return
+    const nextRounds = rounds.filter(x => x.id !== id)
+    const nextScores = { ...scoresByRound }; delete nextScores[id]
+    await saveNowAll({
+      rounds: nextRounds,
+      roundId: roundId === id ? nextRounds[0].id : roundId,
+      scoresByRound: nextScores,
+      matches: matches.filter(m => roundOf(m)?.id !== id),
+    })
+  }
+
   /** ----------------- Matches ----------------- */
-  const addMatch = async () => { await saveNowAll({ matches: [...matches, { id: uid(), teamAId: "", teamBId: "", mode: MODES[0].id }] }) }
+  const addMatch = async () => { await saveNowAll({ matches: [...matches, { id: uid(), roundId: round?.id || '', teamAId: "", teamBId: "", mode: listModes()[0].id, scoring: "gross", allowance: 100, closeout: "play" }] }) }
   const removeMatch = async (mid) => { await saveNowAll({ matches: matches.filter(m => m.id !== mid) }) }
   const setMatchField = async (mid, field, value) => { await saveNowAll({ matches: matches.map(m => m.id === mid ? { ...m, [field]: value } : m) }) }
+  // Switching to an individual game (Wolf, singles) drops the teams and sizes the player list
+  const setMatchMode = async (mid, mode) => {
+    const md = getMode(mode)
+    await saveNowAll({ matches: matches.map(m => {
+      if (m.id !== mid) return m
+      if (!md?.individual) return { ...m, mode }
+      const playerIds = Array.from({ length: md.playersNeeded }, (_, i) => m.playerIds?.[i] || "")
+      return { ...m, mode, teamAId: "", teamBId: "", playerIds, ...(md.layout === 'wolf' ? { wolfPicks: m.wolfPicks || empty18() } : {}) }
+    }) })
+  }
+  const setMatchPlayer = async (mid, idx, pid) => {
+    await saveNowAll({ matches: matches.map(m => m.id === mid ? { ...m, playerIds: Object.assign([], m.playerIds, { [idx]: pid }) } : m) })
+  }
+  const setWolfPick = async (mid, h, pick) => {
+    await saveNowAll({ matches: matches.map(m => m.id === mid ? { ...m, wolfPicks: Object.assign(empty18(), m.wolfPicks, { [h]: pick }) } : m) })
+  }
+  // Manual press (Nassau): `by` is the side pressing, starting at hole index `start`
+  const addPress = async (mid, by, start) => {
+    await saveNowAll({ matches: matches.map(m => m.id === mid ? { ...m, presses: [...(m.presses || []), { id: uid(), by, start }] } : m) })
+  }
+  const removePress = async (mid, pressId) => {
+    await saveNowAll({ matches: matches.map(m => m.id === mid ? { ...m, presses: (m.presses || []).filter(p => p.id !== pressId) } : m) })
+  }
 
-  /** ----------------- Scores ----------------- */
-  const ensurePlayerScores = (pid) => setScoresByCourse(prev => {
-    const m = prev[courseKey] || {}
-    if (!m[pid]) return { ...prev, [courseKey]: { ...m, [pid]: empty18() } }
-    return prev
+  /** ----------------- Scorekeepers ----------------- */
+  // A match can name up to two scorekeeper devices (m.keepers: [{ uid, name }]). Once any are
+  // set, the app only lets them and the trip owner enter its scores; other editors see it
+  // read-only and can ask to take over (m.keeperRequests). m.locked freezes a finished match.
+  // Every write that changes matches carries a summary of them (src/scoreGuards.js), which
+  // firestore.rules check: other devices' score writes to a kept or locked match are refused.
+  const MAX_KEEPERS = 2
+  const keepersOf = (m) => m.keepers || []
+  const isKeeper = (m) => keepersOf(m).some(k => k.uid === authUid)
+  const canScore = (m) => canEdit && !m.locked && (isOwner || !keepersOf(m).length || isKeeper(m))
+  const canManageKeepers = (m) => canEdit && (isOwner || isKeeper(m) || !keepersOf(m).length)
+  // A score cell (or, without a hole, a whole sheet) in a round: every match showing it must let this device score it
+  function canWriteScore(rid, pid, hole) {
+    return canEdit && matches.every(m => {
+      if (m.roundId !== rid) return true
+      const tA = teams.find(t => t.id === m.teamAId), tB = teams.find(t => t.id === m.teamBId)
+      return !matchEntries(m, teams).includes(pid) || (canScore(m) && !scoreLive(m, tA, tB).locked(hole ?? 17))
+    })
+  }
+  const me = () => ({ uid: authUid, name: myName.trim() || `Device ${authUid.slice(0, 4)}` })
+  const updateMatch = (mid, fn) => saveNowAll({ matches: matches.map(m => m.id === mid ? fn(m) : m) })
+
+  const keepScore = (mid) => updateMatch(mid, m => ({ ...m, keepers: [...keepersOf(m).filter(k => k.uid !== authUid), me()].slice(-MAX_KEEPERS) }))
+  const stopKeeping = (mid, kid = authUid) => updateMatch(mid, m => ({ ...m, keepers: keepersOf(m).filter(k => k.uid !== kid) }))
+  const requestKeeper = (mid) => updateMatch(mid, m => ({ ...m, keeperRequests: [...(m.keeperRequests || []).filter(r => r.uid !== authUid), { ...me(), ts: Date.now() }] }))
+  // Hand over (the requester replaces this device, or everyone when the owner grants it) or add as a second keeper
+  const grantKeeper = (mid, req, handover) => updateMatch(mid, m => {
+    const { ts, ...k } = req
+    const stay = handover ? (isOwner ? [] : keepersOf(m).filter(x => x.uid !== authUid)) : keepersOf(m)
+    return { ...m, keepers: [...stay.filter(x => x.uid !== k.uid), k].slice(-MAX_KEEPERS), keeperRequests: (m.keeperRequests || []).filter(r => r.uid !== k.uid) }
   })
-  const setScore = (pid, h, value) => {
-    ensurePlayerScores(pid)
-    setScoresByCourse(prev => {
-      const map = { ...(prev[courseKey] || {}) }
+  const dismissRequest = (mid, rid) => updateMatch(mid, m => ({ ...m, keeperRequests: (m.keeperRequests || []).filter(r => r.uid !== rid) }))
+  const setMatchLocked = (mid, locked) => setMatchField(mid, 'locked', locked)
+
+  /** ----------------- Scores ----------------- */
+  const setScore = (pid, h, value) => { if (round) writeScore(round.id, pid, h, value) }
+  // revertOf: the log entry this write undoes
+  function writeScore(rid, pid, h, value, revertOf) {
+    setScoresByRound(prev => {
+      const map = prev[rid] || {}
       const arr = map[pid] ? [...map[pid]] : empty18()
       arr[h] = value
-      map[pid] = arr
-      const next = { ...prev, [courseKey]: map }
-      scoresDirtyRef.current = true
-      scheduleDebouncedSave({ scoresByCourse: next })
-      return next
+      return { ...prev, [rid]: { ...map, [pid]: arr } }
     })
+    scheduleDebouncedSave([{ type: 'hole', round: rid, pid, hole: h, from: scoresByRound[rid]?.[pid]?.[h] ?? '', value, ...(revertOf ? { revertOf } : {}) }])
   }
-  const getScore = (pid, h) => {
-    const v = (scoresByCourse[courseKey] || {})[pid]?.[h]
-    if (v === "" || v === null || v === undefined) return NaN
-    const n = Number(v); return Number.isFinite(n) ? n : NaN
-  }
-
-  /** ----------------- Per-hole computation (live) ----------------- */
-  function computeHole(modeId, h, A, B, parArray) {
-    if (!A || !B) return { aPts: 0, bPts: 0, info: "Pick two teams", complete: false }
-    const [a1, a2] = A.playerIds || [], [b1, b2] = B.playerIds || []
-    if (!a1 || !a2 || !b1 || !b2) return { aPts: 0, bPts: 0, info: "Both teams need two players", complete: false }
-    const aS = [getScore(a1, h), getScore(a2, h)]
-    const bS = [getScore(b1, h), getScore(b2, h)]
-    if (aS.some(Number.isNaN) || bS.some(Number.isNaN)) return { aPts: 0, bPts: 0, info: "Waiting for scores", complete: false }
-
-    const tie = 0.5, par = parArray[h]
-    if (modeId === "bestball") {
-      const aBest = Math.min(...aS), bBest = Math.min(...bS)
-      if (aBest < bBest) return { aPts: 1, bPts: 0, info: `A best ${aBest} beats ${bBest}`, complete: true }
-      if (bBest < aBest) return { aPts: 0, bPts: 1, info: `B best ${bBest} beats ${aBest}`, complete: true }
-      return { aPts: tie, bPts: tie, info: "Push", complete: true }
-    }
-    if (modeId === "aggregate") {
-      const aTot = aS[0] + aS[1], bTot = bS[0] + bS[1]
-      if (aTot < bTot) return { aPts: 1, bPts: 0, info: `A ${aTot} vs ${bTot}`, complete: true }
-      if (bTot < aTot) return { aPts: 0, bPts: 1, info: `B ${bTot} vs ${aTot}`, complete: true }
-      return { aPts: tie, bPts: tie, info: "Push", complete: true }
-    }
-    if (modeId === "highlow") {
-      let aPts = 0, bPts = 0
-      const aLow = Math.min(...aS), aHigh = Math.max(...aS)
-      const bLow = Math.min(...bS), bHigh = Math.max(...bS)
-      if (aLow < bLow) aPts += 1; else if (bLow < aLow) bPts += 1; else { aPts += tie; bPts += tie }
-      if (aHigh < bHigh) aPts += 1; else if (bHigh < aHigh) bPts += 1; else { aPts += tie; bPts += tie }
-      return { aPts, bPts, info: `Low ${aLow}/${bLow}, High ${aHigh}/${bHigh}`, complete: true }
-    }
-    if (modeId === "captainmate") {
-      const aCapS = aS[0], aMateS = aS[1], bCapS = bS[0], bMateS = bS[1]
-      let aPts = 0, bPts = 0
-      if (aCapS < bCapS) aPts += 1; else if (bCapS < aCapS) bPts += 1; else { aPts += tie; bPts += tie }
-      if (aMateS < bMateS) aPts += 1; else if (bMateS < aMateS) bPts += 1; else { aPts += tie; bPts += tie }
-      return { aPts, bPts, info: `Cap ${aCapS}/${bCapS}, Mate ${aMateS}/${bMateS}`, complete: true }
-    }
-    if (modeId === "stableford") {
-      const sp = (sc, p) => { const d = sc - p; if (d <= -3) return 5; if (d === -2) return 4; if (d === -1) return 3; if (d === 0) return 2; if (d === 1) return 1; return 0 }
-      const aPtsS = sp(aS[0], par) + sp(aS[1], par)
-      const bPtsS = sp(bS[0], par) + sp(bS[1], par)
-      if (aPtsS > bPtsS) return { aPts: 1, bPts: 0, info: `Stableford ${aPtsS}-${bPtsS}`, complete: true }
-      if (bPtsS > aPtsS) return { aPts: 0, bPts: 1, info: `Stableford ${bPtsS}-${aPtsS}`, complete: true }
-      return { aPts: 0.5, bPts: 0.5, info: `Stableford ${aPtsS}-${bPtsS} (push)`, complete: true }
-    }
-    if (modeId === "skins") {
-      const aBest = Math.min(...aS), bBest = Math.min(...bS)
-      if (aBest < bBest) return { aPts: 1, bPts: 0, info: `Skin A (${aBest} vs ${bBest})`, complete: true }
-      if (bBest < aBest) return { aPts: 0, bPts: 1, info: `Skin B (${bBest} vs ${aBest})`, complete: true }
-      return { aPts: 0, bPts: 0, info: "Skin halved", complete: true }
-    }
-    return { aPts: 0, bPts: 0, info: "Unknown mode", complete: false }
-  }
-  function applySkinsCarry(perHole) {
-    let carry = 0
-    return perHole.map((r) => {
-      if (!r.complete) return { ...r, aPts: 0, bPts: 0, info: r.info + (carry ? ` (carry ${carry})` : "") }
-      if (r.aPts === 0 && r.bPts === 0) { carry += 1; return { ...r, aPts: 0, bPts: 0, info: `Skin halved${carry ? ` (carry ${carry})` : ""}` } }
-      if (r.aPts > r.bPts)  { const pts = carry + 1; carry = 0; return { ...r, aPts: pts, bPts: 0, info: `Skin A x${pts}` } }
-      if (r.bPts > r.aPts)  { const pts = carry + 1; carry = 0; return { ...r, aPts: 0, bPts: pts, info: `Skin B x${pts}` } }
-      return r
-    })
-  }
-  function teamValue(modeId, h, T, parArray) {
-    if (!T) return "-"
-    const [p1, p2] = T.playerIds || []
-    const s1 = getScore(p1, h), s2 = getScore(p2, h)
-    if ([s1, s2].some(Number.isNaN)) return "-"
-    if (modeId === "bestball" || modeId === "skins") return Math.min(s1, s2)
-    if (modeId === "aggregate")  return s1 + s2
-    if (modeId === "highlow")    return `${Math.min(s1, s2)}/${Math.max(s1, s2)}`
-    if (modeId === "captainmate")return `${s1}/${s2}`
-    if (modeId === "stableford") {
-      const sp = (sc, p) => { const d = sc - p; if (d <= -3) return 5; if (d === -2) return 4; if (d === -1) return 3; if (d === 0) return 2; if (d === 1) return 1; return 0 }
-      return sp(s1, parArray[h]) + sp(s2, parArray[h])
-    }
-    return "-"
+  /** ----------------- Scoring (shared engine, see scoring.js) ----------------- */
+  const handicaps = useMemo(() => Object.fromEntries(players.map(p => [p.id, p.handicap ?? ""])), [players])
+  const playerNames = useMemo(() => Object.fromEntries(players.map(p => [p.id, p.name])), [players])
+  const scoreLive = (m, tA, tB) => {
+    const r = roundOf(m)
+    return scoreMatch({ ...m, course: courseOf(r), teamA: tA, teamB: tB, scores: scoresByRound[r?.id] || {}, handicaps, names: playerNames })
   }
-
-  /** ----------------- History compute (read archived scores only) ----------------- */
-  const getHistScore = (hist, pid, h) => {
-    const v = hist.scores?.[pid]?.[h]
-    const n = Number(v); return Number.isFinite(n) ? n : NaN
+  // Live team with the current player names, shaped like an archived team snapshot
+  const withNames = (t) => t && { ...t, playerNames: (t.playerIds || []).map(pid => playerNames[pid]) }
+  const scoreHist = (h) => scoreMatch({ ...h, course: courseForHist(h, courses), names: histNames(h) })
+  // What a HistoryCard shows for an item (archived, or previewed before an import)
+  const histCardProps = (h) => {
+    const res = scoreHist(h)
+    return { h, course: courseForHist(h, courses), perHole: res.perHole, teamRowA: res.teamRowA, teamRowB: res.teamRowB, totalsA: res.totalsA, totalsB: res.totalsB,
+      result: res, status: res.status, bets: res.bets, strokes: res.strokes,
+      onExportCSV: () => exportHistoryCSV(h), onExportJSON: () => exportHistoryJSON(h), onPrint: () => printHistory(h) }
   }
-  function computeHoleHist(hist, h) {
-    const parArray = (COURSES.find(c => c.key === hist.courseKey)?.par) || COURSES[0].par
-    const [a1, a2] = hist.teamA.playerIds || [], [b1, b2] = hist.teamB.playerIds || []
-    if (!a1 || !a2 || !b1 || !b2) return { aPts: 0, bPts: 0, info: "—", complete: false }
-
-    const aS = [getHistScore(hist, a1, h), getHistScore(hist, a2, h)]
-    const bS = [getHistScore(hist, b1, h), getHistScore(hist, b2, h)]
-    if (aS.some(Number.isNaN) || bS.some(Number.isNaN)) return { aPts: 0, bPts: 0, info: "—", complete: false }
 
-    const modeId = hist.mode, tie = 0.5, par = parArray[h]
-    if (modeId === "bestball") {
-      const aBest = Math.min(...aS), bBest = Math.min(...bS)
-      if (aBest < bBest) return { aPts: 1, bPts: 0, info: "", complete: true }
-      if (bBest < aBest) return { aPts: 0, bPts: 1, info: "", complete: true }
-      return { aPts: tie, bPts: tie, info: "", complete: true }
+  // W-L-T per player from finished archived 1v1 matches (singles); names come from the archive
+  const playerRecords = useMemo(() => {
+    const rec = {}
+    for (const h of history) {
+      if (h.playerIds?.length !== 2) continue
+      const res = scoreHist(h)
+      if (!res.finished) continue
+      h.playerIds.forEach((pid, i) => {
+        const r = rec[pid] ||= { id: pid, name: h.playerNames?.[i] || 'Player', w: 0, l: 0, t: 0 }
+        if (res.status.winner === 'halved') r.t++
+        else if (res.status.winner === pid) r.w++
+        else r.l++
+      })
     }
-    if (modeId === "aggregate") {
-      const aTot = aS[0] + aS[1], bTot = bS[0] + bS[1]
-      if (aTot < bTot) return { aPts: 1, bPts: 0, info: "", complete: true }
-      if (bTot < aTot) return { aPts: 0, bPts: 1, info: "", complete: true }
-      return { aPts: tie, bPts: tie, info: "", complete: true }
+    return Object.values(rec)
+  }, [history, courses])
+
+  // W-L-T per team from finished archived team matches (the team's current name)
+  const teamRecords = useMemo(() => teams.map(t => {
+    let w = 0, l = 0, tt = 0
+    for (const h of history) {
+      if (!h.teamA) continue
+      const res = scoreHist(h)
+      if (!res.finished) continue
+      const totals = { a: res.totalsA, b: res.totalsB }
+      const aIs = h.teamA.id === t.id, bIs = h.teamB.id === t.id
+      if (aIs || bIs) {
+        if (totals.a > totals.b) { if (aIs) w++; if (bIs) l++ }
+        else if (totals.b > totals.a) { if (bIs) w++; if (aIs) l++ }
+        else { tt++ }
+      }
     }
-    if (modeId === "highlow") {
-      let aPts = 0, bPts = 0
-      const aLow = Math.min(...aS), aHigh = Math.max(...aS)
-      const bLow = Math.min(...bS), bHigh = Math.max(...bS)
-      if (aLow < bLow) aPts += 1; else if (bLow < aLow) bPts += 1; else { aPts += tie; bPts += tie }
-      if (aHigh < bHigh) aPts += 1; else if (bHigh < aHigh) bPts += 1; else { aPts += tie; bPts += tie }
-      return { aPts, bPts, info: "", complete: true }
+    return { id: t.id, name: t.name, w, l, t: tt }
+  }), [teams, history, courses])
+
+  /** ----------------- Trip cup ----------------- */
+  const sideOfPlayer = (pid) => teams.find(t => (t.playerIds || []).includes(pid))?.sideId || ''
+  const setCupField = async (patch) => { await saveNowAll({ cup: { ...cup, ...patch } }) }
+  const setSideName = async (id, name) => { await setCupField({ sides: cup.sides.map(sd => sd.id === id ? { ...sd, name } : sd) }) }
+  const cupActive = teams.some(t => t.sideId) || history.some(h => h.teamA?.sideId || h.playerSides?.some(Boolean))
+  // Every live and archived head-to-head match as { sideA, sideB, points, status } with A/B = those sides
+  const standings = useMemo(() => {
+    const entry = (sides, res, points, playerIds) => {
+      const toAB = (x) => x && x === playerIds?.[0] ? 'A' : x && x === playerIds?.[1] ? 'B' : x
+      return { sideA: sides[0], sideB: sides[1], points: points ?? 1, status: { ...res.status, winner: toAB(res.status.winner), leader: toAB(res.status.leader) } }
     }
-    if (modeId === "captainmate") {
-      let aPts = 0, bPts = 0
-      if (aS[0] < bS[0]) aPts += 1; else if (bS[0] < aS[0]) bPts += 1; else { aPts += tie; bPts += tie }
-      if (aS[1] < bS[1]) aPts += 1; else if (bS[1] < aS[1]) bPts += 1; else { aPts += tie; bPts += tie }
-      return { aPts, bPts, info: "", complete: true }
+    const entries = []
+    for (const m of matches) {
+      if (getMode(m.mode)?.individual) {
+        if (m.playerIds?.length === 2) entries.push(entry(m.playerIds.map(sideOfPlayer), scoreLive(m), m.cupPoints, m.playerIds))
+        continue
+      }
+      const tA = teams.find(t => t.id === m.teamAId), tB = teams.find(t => t.id === m.teamBId)
+      if (tA && tB) entries.push(entry([tA.sideId, tB.sideId], scoreLive(m, tA, tB), m.cupPoints))
     }
-    if (modeId === "stableford") {
-      const sp = (sc) => { const d = sc - par; if (d <= -3) return 5; if (d === -2) return 4; if (d === -1) return 3; if (d === 0) return 2; if (d === 1) return 1; return 0 }
-      const aPtsS = sp(aS[0]) + sp(aS[1])
-      const bPtsS = sp(bS[0]) + sp(bS[1])
-      if (aPtsS > bPtsS) return { aPts: 1, bPts: 0, info: "", complete: true }
-      if (bPtsS > aPtsS) return { aPts: 0, bPts: 1, info: "", complete: true }
-      return { aPts: 0.5, bPts: 0.5, info: "", complete: true }
+    for (const h of history) {
+      if (h.teamA) entries.push(entry([h.teamA.sideId, h.teamB.sideId], scoreHist(h), h.cupPoints))
+      else if (h.playerSides?.length === 2) entries.push(entry(h.playerSides, scoreHist(h), h.cupPoints, h.playerIds))
     }
-    if (modeId === "skins") {
-      const aBest = Math.min(...aS), bBest = Math.min(...bS)
-      if (aBest < bBest) return { aPts: 1, bPts: 0, info: "", complete: true }
-      if (bBest < aBest) return { aPts: 0, bPts: 1, info: "", complete: true }
-      return { aPts: 0, bPts: 0, info: "", complete: true }
+    return cupStandings(cup, entries)
+  }, [matches, history, teams, cup, courses, rounds, scoresByRound, handicaps, playerNames])
+
+  /** ----------------- Betting ledger ----------------- */
+  // Money for one scored match from its stake; archived items carry their own team / player snapshot
+  const moneyFor = (stake, res, mode, { teamA, teamB, playerIds }) => {
+    if (res.individual) {
+      const ids = (playerIds || []).filter(Boolean)
+      if (ids.length === 2) return matchMoney(stake, res, { playersA: [ids[0]], playersB: [ids[1]], sides: ids, lowerWins: !!getMode(mode)?.lowerWins })
+      return ids.length ? matchMoney(stake, res, { points: res.totals }) : {}
     }
-    return { aPts: 0, bPts: 0, info: "", complete: false }
-  }
-  function applySkinsCarryHist(perHole) {
-    let carry = 0
-    return perHole.map((r) => {
-      if (!r.complete) return { ...r, aPts: 0, bPts: 0 }
-      if (r.aPts === 0 && r.bPts === 0) { carry += 1; return { ...r, aPts: 0, bPts: 0 } }
-      if (r.aPts > r.bPts)  { const pts = carry + 1; carry = 0; return { ...r, aPts: pts, bPts: 0 } }
-      if (r.bPts > r.aPts)  { const pts = carry + 1; carry = 0; return { ...r, aPts: 0, bPts: pts } }
-      return r
-    })
+    const players = (T) => (T?.playerIds || []).filter(Boolean)
+    return matchMoney(stake, res, { playersA: players(teamA), playersB: players(teamB), isSkins: mode === 'skins' })
   }
-  function OneHolePanel({ m, tA, tB, parArr, perHoleAdj }) {
+  const ledger = useMemo(() => {
+    const entries = []
+    for (const m of matches) {
+      if (!m.stake?.type) continue
+      const tA = teams.find(t => t.id === m.teamAId), tB = teams.find(t => t.id === m.teamBId)
+      const res = scoreLive(m, tA, tB)
+      const matchup = getMode(m.mode)?.individual ? (m.playerIds || []).map(pid => playerNames[pid] || '—').join(' / ') : `${tA?.name || 'Team A'} vs ${tB?.name || 'Team B'}`
+      entries.push({ id: m.id, label: `${matchup} (${modeLabel(m.mode)})`, live: true, status: res.status.text, stake: m.stake,
+        money: moneyFor(m.stake, res, m.mode, { teamA: tA, teamB: tB, playerIds: m.playerIds }) })
+    }
+    for (const h of history) {
+      if (!h.stake?.type) continue
+      const res = scoreHist(h)
+      entries.push({ id: h.id, label: h.label, live: false, status: h.result || res.status.text, stake: h.stake,
+        money: moneyFor(h.stake, res, h.mode, h) })
+    }
+    const l = tripLedger(entries)
+    return { ...l, transfers: settle(Object.fromEntries(l.players.map(p => [p.id, p.net]))) }
+  }, [matches, history, teams, courses, rounds, scoresByRound, handicaps, playerNames])
+  // Names for the ledger: current players, else the name saved with an archived match
+  const ledgerName = (pid) => playerNames[pid] || history.map(h => histNames(h)[pid]).find(Boolean) || 'Player'
+  const stakeText = (st) => STAKE_TYPES.find(t => t.id === st.type)?.label.replace('$', fmtMoney(Number(st.amount) || 0)) || ''
+
+  /** ----------------- Player stats ----------------- */
+  // Every player's card in every round, live and archived (names: current roster, else the archive's)
+  const cards = useMemo(() => playerCards(
+    rounds.map(r => ({ roundId: r.id, course: courseOf(r), label: roundLabel(r, courses), scores: scoresByRound[r.id], names: playerNames, handicaps })),
+    history.map(h => ({ roundId: h.roundId, round: h.round, courseKey: h.courseKey, course: courseForHist(h, courses), label: roundLabel({ ...h.round, courseKey: h.courseKey, courseName: h.course?.name }, courses),
+      scores: h.scores, names: { ...histNames(h), ...playerNames }, handicaps: h.handicaps })),
+  ), [rounds, scoresByRound, history, courses, playerNames, handicaps])
+
+  function OneHolePanel({ m, tA, tB, parArr, result }) {
   const hole = holeByMatch[m.id] ?? 0;
   const par = parArr[hole];
 
-  const safePlayersA = (tA?.playerIds || []).slice(0, 2);
-  const safePlayersB = (tB?.playerIds || []).slice(0, 2);
+  const entriesA = entryIds(m.mode, tA);
+  const entriesB = entryIds(m.mode, tB);
 
-  // running totals as of selected hole
-  const upTo = perHoleAdj.slice(0, hole + 1);
-  const totA = upTo.reduce((s, r) => s + (r.complete ? r.aPts : 0), 0);
-  const totB = upTo.reduce((s, r) => s + (r.complete ? r.bPts : 0), 0);
-  const status =
-    upTo.every(r => !r.complete) ? 'No scores yet' :
-    totA > totB ? `${tA?.name || 'A'} up ${(totA - totB).toFixed(1)}` :
-    totB > totA ? `${tB?.name || 'B'} up ${(totB - totA).toFixed(1)}` :
-    'All square';
+  // running status as of selected hole
+  const perHoleAdj = result.perHole;
+  const status = result.statusAt(hole).text;
 
   return (
     <div className="onehole" style={{ border:'1px dashed var(--border)', borderRadius:12, padding:10, marginTop:10 }}>
@@ -505,18 +1058,18 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
       <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:10, marginTop:10 }}>
         <div className="card" style={{ padding:8 }}>
           <div style={{ fontWeight:600, marginBottom:6 }}>{tA?.name || 'Team A'}</div>
-          {safePlayersA.map((pid, idx) => {
-            const nm = players.find(p=>p.id===pid)?.name || (idx===0?'A Player 1':'A Player 2');
-            const v = (scoresByCourse[courseKey] || {})[pid]?.[hole] ?? '';
+          {entriesA.map((pid, idx) => {
+            const nm = entryLabel(withNames(tA), pid, idx, 'A');
+            const v = roundScores[pid]?.[hole] ?? '';
             const color = colorForRelative(v, par);
             return (
               <div key={pid || idx} className="row" style={{ marginBottom:6 }}>
-                <div style={{ minWidth:120 }}>{nm}</div>
+                <div style={{ minWidth:120 }}>{nm} <span className="strokeDots">{strokeDots(result.strokes(pid, hole))}</span></div>
                 <input
                   className="score"
                   inputMode="numeric" pattern="[0-9]*"
                   value={v}
-                  disabled={!isEditor || !pid}
+                  disabled={!canScore(m) || !pid || result.locked(hole)}
                   onChange={(e)=>setScore(pid, hole, e.target.value.replace(/[^0-9]/g,''))}
                   style={{ color }}
                 />
@@ -530,18 +1083,18 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
 
         <div className="card" style={{ padding:8 }}>
           <div style={{ fontWeight:600, marginBottom:6 }}>{tB?.name || 'Team B'}</div>
-          {safePlayersB.map((pid, idx) => {
-            const nm = players.find(p=>p.id===pid)?.name || (idx===0?'B Player 1':'B Player 2');
-            const v = (scoresByCourse[courseKey] || {})[pid]?.[hole] ?? '';
+          {entriesB.map((pid, idx) => {
+            const nm = entryLabel(withNames(tB), pid, idx, 'B');
+            const v = roundScores[pid]?.[hole] ?? '';
             const color = colorForRelative(v, par);
             return (
               <div key={pid || idx} className="row" style={{ marginBottom:6 }}>
-                <div style={{ minWidth:120 }}>{nm}</div>
+                <div style={{ minWidth:120 }}>{nm} <span className="strokeDots">{strokeDots(result.strokes(pid, hole))}</span></div>
                 <input
                   className="score"
                   inputMode="numeric" pattern="[0-9]*"
                   value={v}
-                  disabled={!isEditor || !pid}
+                  disabled={!canScore(m) || !pid || result.locked(hole)}
                   onChange={(e)=>setScore(pid, hole, e.target.value.replace(/[^0-9]/g,''))}
                   style={{ color }}
                 />
@@ -561,59 +1114,184 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
   /** ----------------- Archive & History actions ----------------- */
   async function saveMatchToHistory(mid) {
     const m = matches.find(x => x.id === mid); if (!m) return
+    const r = roundOf(m), course = courseOf(r)
+    const individual = !!getMode(m.mode)?.individual
     const tA = teams.find(t => t.id === m.teamAId), tB = teams.find(t => t.id === m.teamBId)
-    if (!tA || !tB) return
-    const ids = [...(tA.playerIds||[]), ...(tB.playerIds||[])].filter(Boolean)
-    const scoresSnap = {}; const courseMap = scoresByCourse[courseKey] || {}
-    ids.forEach(pid => { scoresSnap[pid] = [...(courseMap[pid] || empty18())] })
+    if (!individual && (!tA || !tB)) return
+    const ids = individual
+      ? (m.playerIds || []).filter(Boolean)
+      : [...(tA.playerIds||[]), ...(tB.playerIds||[])].filter(Boolean)
+    const entries = individual ? ids : [...entryIds(m.mode, tA), ...entryIds(m.mode, tB)].filter(Boolean)
+    const scoresSnap = {}; const roundMap = scoresByRound[r?.id] || {}
+    entries.forEach(pid => { scoresSnap[pid] = [...(roundMap[pid] || empty18())] })
+    const nameOf = (pid) => players.find(p=>p.id===pid)?.name || ""
     const histItem = {
       id: uid(),
       savedAt: Date.now(),
-      label: `Match • ${COURSES.find(c=>c.key===courseKey)?.name || 'Course'} • ${tA.name} vs ${tB.name}`,
-      courseKey,
+      label: `Match • ${course.name || 'Course'} • ${individual ? `${modeLabel(m.mode)}: ${ids.map(nameOf).join(' / ')}` : `${tA.name} vs ${tB.name}`}`,
+      courseKey: course.key,
+      roundId: r?.id || '',
+      round: { date: r?.date || '', teeId: r?.teeId || '', teeName: (course.tees || []).find(t => t.id === r?.teeId)?.name || '' },
+      course: { key: course.key, name: course.name, par: [...course.par], si: [...(course.si || [])] },
       mode: m.mode,
-      teamA: { id: tA.id, name: tA.name, playerIds: [...(tA.playerIds||[])],
-               playerNames: (tA.playerIds||[]).map(pid => players.find(p=>p.id===pid)?.name || "") },
-      teamB: { id: tB.id, name: tB.name, playerIds: [...(tB.playerIds||[])],
-               playerNames: (tB.playerIds||[]).map(pid => players.find(p=>p.id===pid)?.name || "") },
+      scoring: m.scoring || 'gross',
+      allowance: m.allowance ?? 100,
+      cupPoints: m.cupPoints ?? 1,
+      ...(m.stake ? { stake: { ...m.stake } } : {}),
+      ...(m.locked ? { locked: true } : {}),
+      handicaps: Object.fromEntries(ids.map(pid => [pid, players.find(p=>p.id===pid)?.handicap ?? ""])),
       scores: scoresSnap,
     }
+    if (individual) {
+      Object.assign(histItem, {
+        playerIds: [...m.playerIds],
+        playerNames: m.playerIds.map(nameOf),
+        ...(m.playerIds.length === 2 ? { playerSides: m.playerIds.map(sideOfPlayer) } : {}),
+        ...(m.wolfPicks ? { wolfPicks: [...m.wolfPicks] } : {}),
+      })
+    } else {
+      Object.assign(histItem, {
+        closeout: m.closeout || 'play',
+        autoPress: m.autoPress !== false,
+        presses: [...(m.presses || [])],
+        ...(m.bestBalls ? { bestBalls: m.bestBalls } : {}),
+        teamA: { id: tA.id, name: tA.name, sideId: tA.sideId || '', playerIds: [...(tA.playerIds||[])], playerNames: (tA.playerIds||[]).map(nameOf) },
+        teamB: { id: tB.id, name: tB.name, sideId: tB.sideId || '', playerIds: [...(tB.playerIds||[])], playerNames: (tB.playerIds||[]).map(nameOf) },
+      })
+    }
+    const res = scoreHist(histItem)
+    histItem.result = res.betsSummary || res.status.text
+    logEdit({ kind: 'archive', field: 'history', label: histItem.label, from: null, to: histItem.result, matchId: mid, historyId: histItem.id, match: m })
     await saveNowAll({ history: [...history, histItem], matches: matches.filter(x=>x.id!==mid) })
     setView('history')
   }
-  async function deleteHistory(hid) { await saveNowAll({ history: history.filter(h => h.id !== hid) }) }
+  async function deleteHistory(hid) {
+    const h = history.find(x => x.id === hid); if (!h) return
+    logEdit({ kind: 'delete', field: 'history', label: h.label, from: h.result || '', to: null, historyId: hid, item: h })
+    await saveNowAll({ history: history.filter(x => x.id !== hid) })
+  }
+  // Locked scorecards can't be renamed or deleted in the app (a guard against slips, not
+  // enforced by the rules); any editor locks, the owner's device shows the unlock
+  async function setHistoryLocked(hid, locked) { await saveNowAll({ history: history.map(h => h.id === hid ? { ...h, locked } : h) }) }
   async function renameHistory(hid, label) { await saveNowAll({ history: history.map(h => h.id === hid ? { ...h, label } : h) }) }
   async function restoreHistory(hid) {
     const h = history.find(x => x.id === hid); if (!h) return
+    const individual = Array.isArray(h.playerIds)
     // Ensure players exist
-    const allIds = [...h.teamA.playerIds, ...h.teamB.playerIds]
+    const allIds = individual ? h.playerIds.filter(Boolean) : [...h.teamA.playerIds, ...h.teamB.playerIds]
     let nextPlayers = [...players]
     for (const pid of allIds) {
       if (!nextPlayers.find(p => p.id === pid)) {
-        const name =
+        const name = individual ? h.playerNames?.[h.playerIds.indexOf(pid)] :
           (h.teamA.playerIds.includes(pid) ? h.teamA.playerNames[h.teamA.playerIds.indexOf(pid)] :
-           h.teamB.playerNames[h.teamB.playerIds.indexOf(pid)]) || `Player`
-        nextPlayers.push({ id: pid, name })
+           h.teamB.playerNames[h.teamB.playerIds.indexOf(pid)])
+        nextPlayers.push({ id: pid, name: name || `Player`, handicap: h.handicaps?.[pid] ?? "" })
       }
     }
+    // Back into its round (recreated if deleted; items from before rounds go to a round on their course)
+    let nextRounds = rounds, nextCourses = courses
+    let r = rounds.find(x => x.id === h.roundId) || (!h.roundId && rounds.find(x => x.courseKey === h.courseKey))
+    if (!r) {
+      r = { id: h.roundId || uid(), date: h.round?.date || '', courseKey: h.courseKey, teeId: h.round?.teeId || '' }
+      nextRounds = [...rounds, r]
+      if (!courses.some(c => c.key === h.courseKey) && h.course) nextCourses = [...courses, { tees: [], ...h.course }]
+    }
+    // Merge scores
+    const perRound = { ...(scoresByRound[r.id] || {}) }
+    const entries = individual ? allIds : [...allIds, ...entryIds(h.mode, h.teamA), ...entryIds(h.mode, h.teamB)]
+    for (const pid of new Set(entries)) { perRound[pid] = [...(h.scores?.[pid] || empty18())] }
+    const roundFields = { rounds: nextRounds, courses: nextCourses, roundId: r.id, scoresByRound: { ...scoresByRound, [r.id]: perRound } }
+    const matchId = uid()
+    // What the restore writes over, so undo can put it back (null: the sheet wasn't there)
+    const prevScores = Object.fromEntries([...new Set(entries)].map(pid => [pid, scoresByRound[r.id]?.[pid] || null]))
+    logEdit({ kind: 'restore', field: 'matches', label: h.label, from: null, to: h.result || '', matchId, historyId: hid, round: r.id, prevScores })
+    if (individual) {
+      const match = { id: matchId, roundId: r.id, teamAId: "", teamBId: "", mode: h.mode, scoring: h.scoring || 'gross', allowance: h.allowance ?? 100, cupPoints: h.cupPoints ?? 1, ...(h.stake ? { stake: { ...h.stake } } : {}),
+        playerIds: [...h.playerIds], ...(h.wolfPicks ? { wolfPicks: [...h.wolfPicks] } : {}) }
+      await saveNowAll({ players: nextPlayers, matches: [...matches, match], ...roundFields })
+      setView('live')
+      return
+    }
     // Ensure teams exist (same IDs)
     let nextTeams = [...teams]
     const ensureTeam = (t) => {
-      if (!nextTeams.find(x => x.id === t.id)) nextTeams.push({ id: t.id, name: t.name, playerIds: [...t.playerIds] })
-      else nextTeams = nextTeams.map(x => x.id === t.id ? { ...x, name: t.name, playerIds: [...t.playerIds] } : x)
+      const side = t.sideId ? { sideId: t.sideId } : {}
+      if (!nextTeams.find(x => x.id === t.id)) nextTeams.push({ id: t.id, name: t.name, playerIds: [...t.playerIds], ...side })
+      else nextTeams = nextTeams.map(x => x.id === t.id ? { ...x, name: t.name, playerIds: [...t.playerIds], ...side } : x)
     }
     ensureTeam(h.teamA); ensureTeam(h.teamB)
-    // Merge scores
-    const nextScores = { ...scoresByCourse }
-    const perCourse = { ...(nextScores[h.courseKey] || {}) }
-    for (const pid of allIds) { perCourse[pid] = [...(h.scores?.[pid] || empty18())] }
-    nextScores[h.courseKey] = perCourse
     // Add live match
-    const nextMatches = [...matches, { id: uid(), teamAId: h.teamA.id, teamBId: h.teamB.id, mode: h.mode }]
-    await saveNowAll({ players: nextPlayers, teams: nextTeams, matches: nextMatches, scoresByCourse: nextScores, courseKey: h.courseKey })
+    const nextMatches = [...matches, { id: matchId, roundId: r.id, teamAId: h.teamA.id, teamBId: h.teamB.id, mode: h.mode, scoring: h.scoring || 'gross', allowance: h.allowance ?? 100, cupPoints: h.cupPoints ?? 1, ...(h.stake ? { stake: { ...h.stake } } : {}), closeout: h.closeout || 'play', autoPress: h.autoPress !== false, presses: [...(h.presses || [])], ...(h.bestBalls ? { bestBalls: h.bestBalls } : {}) }]
+    await saveNowAll({ players: nextPlayers, teams: nextTeams, matches: nextMatches, ...roundFields })
     setView('live')
   }
 
+  /** ----------------- Import (History tab) ----------------- */
+  // Scorecards exported as JSON / CSV come back in through a preview: each imported player
+  // (by name) maps onto a trip player or becomes a new one, then valid items join history
+  const playerKey = (name) => String(name || '').trim().toLowerCase()
+  async function openImport(files) {
+    const ctx = { courses, historyIds: history.map(h => h.id) }
+    let results
+    try {
+      results = (await Promise.all([...files].map(async f => parseImportFile(await f.text(), ctx).map(r => ({ ...r, source: f.name }))))).flat()
+    } catch (err) {
+      results = [{ source: [...files].map(f => f.name).join(', '), item: null, errors: [`Couldn't read the file: ${err?.message || err}`], warnings: [] }]
+    }
+    // A scorecard already in history (or in the import twice) comes in as a copy
+    const ids = new Set(ctx.historyIds)
+    results.forEach(r => { if (!r.item) return; if (!r.item.id || ids.has(r.item.id)) r.item = { ...r.item, id: uid() }; ids.add(r.item.id) })
+    const map = {}, newIds = {}
+    for (const p of results.filter(r => r.item && !r.errors.length).flatMap(r => itemPlayers(r.item))) {
+      const key = playerKey(p.name)
+      if (key in map) continue
+      map[key] = players.find(x => playerKey(x.name) === key)?.id || ''
+      newIds[key] = p.id && !players.some(x => x.id === p.id) && !Object.values(newIds).includes(p.id) ? p.id : uid()
+    }
+    setImporting({ results, map, newIds })
+  }
+  // Items ready to append (with the players swapped in), the new players they need, and
+  // items left out because two of their players were mapped onto the same trip player
+  function importPlan({ results, map, newIds }) {
+    const newPlayers = new Map(), clashes = []
+    const items = results.filter(r => r.item && !r.errors.length).map(({ item }) => {
+      const idMap = {}
+      for (const p of itemPlayers(item)) {
+        const key = playerKey(p.name), existing = players.find(x => x.id === map[key])
+        if (existing) { idMap[p.id] = existing; continue }
+        if (!newPlayers.has(key)) newPlayers.set(key, { id: newIds[key], name: p.name.trim(), handicap: item.handicaps?.[p.id] ?? '' })
+        idMap[p.id] = newPlayers.get(key)
+      }
+      const mapped = Object.values(idMap).map(p => p.id)
+      if (new Set(mapped).size < mapped.length) { clashes.push(item.label); return null }
+      const h = remapItem(item, idMap, teams)
+      // Scored here too, so a card the preview can't show fails inside the preview's try
+      const res = scoreHist(h)
+      if (!h.result) h.result = res.betsSummary || res.status.text
+      return h
+    }).filter(Boolean)
+    return { items, newPlayers: [...newPlayers.values()].filter(p => items.some(h => itemPlayers(h).some(x => x.id === p.id))), clashes }
+  }
+  // The preview, worked out once per change; anything in a file that still trips it up is
+  // shown in the dialog instead of taking the app down
+  const importPreview = useMemo(() => {
+    if (!importing) return null
+    try {
+      const ok = importing.results.filter(r => r.item && !r.errors.length)
+      const names = [...new Map(ok.flatMap(r => itemPlayers(r.item)).map(p => [playerKey(p.name), p.name])).entries()]
+      return { ...importPlan(importing), names, error: '' }
+    } catch (err) {
+      return { items: [], newPlayers: [], clashes: [], names: [], error: err?.message || String(err) }
+    }
+  }, [importing, players, teams, courses])
+  async function applyImport() {
+    const { items, newPlayers, error } = importPreview || {}
+    if (error || !items?.length) return
+    items.forEach(h => logEdit({ kind: 'import', field: 'history', label: h.label, from: null, to: h.result, historyId: h.id }))
+    await saveNowAll({ players: [...players, ...newPlayers], history: [...history, ...items] })
+    setImporting(null)
+  }
+
   /** ----------------- Exports ----------------- */
   function downloadText(filename, text) {
     const blob = new Blob([text], { type: 'text/plain;charset=utf-8' })
@@ -625,90 +1303,272 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
   }
   function exportHistoryJSON(h) { downloadText(`${h.label.replaceAll(' ','_')}.json`, JSON.stringify(h, null, 2)) }
   function exportHistoryCSV(h) {
-    const courseName = COURSES.find(c => c.key === h.courseKey)?.name || 'Course'
-    const parArray = (COURSES.find(c => c.key === h.courseKey)?.par) || COURSES[0].par
-    let perHole = Array.from({ length: 18 }, (_, i) => computeHoleHist(h, i))
-    if (h.mode === 'skins') perHole = applySkinsCarryHist(perHole)
-    const [a1,a2] = h.teamA.playerIds, [b1,b2] = h.teamB.playerIds
-    const a1n = h.teamA.playerNames?.[0] || 'A1', a2n = h.teamA.playerNames?.[1] || 'A2'
-    const b1n = h.teamB.playerNames?.[0] || 'B1', b2n = h.teamB.playerNames?.[1] || 'B2'
+    const hc = courseForHist(h, courses)
+    const courseName = hc.name || 'Course'
+    const parArray = hc.par
+    const res = scoreHist(h), perHole = res.perHole
+    const isNet = h.scoring === 'net'
+    if (res.individual) {
+      const ids = h.playerIds, names = ids.map((pid, i) => h.playerNames?.[i] || `P${i + 1}`)
+      const nameOf = (pid) => names[ids.indexOf(pid)] || ''
+      const header = [
+        `Course: ${courseName}${h.round?.date ? ` • ${h.round.date}` : ''}`, `Mode: ${modeLabel(h.mode)}`, `Scoring: ${isNet ? `net (${h.allowance ?? 100}%)` : 'gross'}`,
+        `Players: ${names.join(' / ')}`, `Result: ${h.result || res.status.text}`, `Saved: ${nowStr(h.savedAt)}`
+      ].map(csvCell).join('\n')
+      const md = getMode(h.mode), isWolf = md?.layout === 'wolf', ptsLabel = md?.pointsLabel || 'pts'
+      const lines = [csvRow(['Hole','Par',...names,...(isWolf ? ['Wolf','Pick'] : []),'Result',...names.map(n => `${n} ${ptsLabel}`)])]
+      for (let i=0;i<18;i++) {
+        const r = perHole[i]
+        lines.push(csvRow([
+          i+1, parArray[i], ...ids.map(pid => h.scores?.[pid]?.[i] || ''),
+          ...(isWolf ? [nameOf(r.wolf), wolfPickLabel(r.pick, nameOf)] : []),
+          r.complete ? r.info : '', ...ids.map(pid => r.complete ? r.points[pid] : ''),
+        ]))
+      }
+      lines.push(csvRow(['Total','',...ids.map(pid => (h.scores?.[pid]||[]).reduce((s,v)=>s+(Number(v)||0),0)),...(isWolf ? ['',''] : []),'',...ids.map(pid => res.totals[pid])]))
+      downloadText(`${h.label.replaceAll(' ','_')}.csv`, header + '\n\n' + lines.join('\n'))
+      return
+    }
+    const ids = [...entryIds(h.mode, h.teamA), ...entryIds(h.mode, h.teamB)]
+    const names = [
+      ...entryIds(h.mode, h.teamA).map((id, i) => entryLabel(h.teamA, id, i, 'A')),
+      ...entryIds(h.mode, h.teamB).map((id, i) => entryLabel(h.teamB, id, i, 'B')),
+    ]
     const header = [
-      `Course: ${courseName}`, `Mode: ${h.mode}`, `${h.teamA.name} vs ${h.teamB.name}`, `Saved: ${nowStr(h.savedAt)}`
-    ].join('\n')
-    const cols = ['Hole','Par',a1n,a2n,b1n,b2n,'A pts','B pts']
-    const lines = [cols.join(',')]
+      `Course: ${courseName}${h.round?.date ? ` • ${h.round.date}` : ''}`, `Mode: ${modeLabel(h.mode)}`, `Scoring: ${isNet ? `net (${h.allowance ?? 100}%)` : 'gross'}`,
+      `${h.teamA.name} vs ${h.teamB.name}`, `Result: ${h.result || res.status.text}`, `Saved: ${nowStr(h.savedAt)}`
+    ].map(csvCell).join('\n')
+    const netCols = isNet ? names.map(n => `${n} net`) : []
+    const cols = ['Hole','Par',...names,...netCols,'A pts','B pts']
+    // Which team each score column belongs to, so the importer can rebuild uneven teams
+    const sides = ['Team','',...entryIds(h.mode, h.teamA).map(() => 'A'),...entryIds(h.mode, h.teamB).map(() => 'B')]
+    const lines = [csvRow(sides), csvRow(cols)]
     for (let i=0;i<18;i++) {
       const r = perHole[i]
       const row = [
         i+1,
         parArray[i],
-        h.scores?.[a1]?.[i] || '',
-        h.scores?.[a2]?.[i] || '',
-        h.scores?.[b1]?.[i] || '',
-        h.scores?.[b2]?.[i] || '',
+        ...ids.map(pid => h.scores?.[pid]?.[i] || ''),
+        ...(isNet ? ids.map(pid => h.scores?.[pid]?.[i] ? res.net(pid, i) : '') : []),
         (r.complete ? r.aPts : 0),
         (r.complete ? r.bPts : 0),
       ]
-      lines.push(row.join(','))
+      lines.push(csvRow(row))
+    }
+    if (res.bets) {
+      lines.push('', csvRow(['Bet','From','To','Result']))
+      res.bets.forEach(b => lines.push(csvRow([b.label, `H${b.start + 1}`, `H${b.end + 1}`, b.status.text])))
     }
     downloadText(`${h.label.replaceAll(' ','_')}.csv`, header + '\n\n' + lines.join('\n'))
   }
-  function printHistory(h) {
-    const courseName = COURSES.find(c => c.key === h.courseKey)?.name || 'Course'
-    const parArray = (COURSES.find(c => c.key === h.courseKey)?.par) || COURSES[0].par
-    let perHole = Array.from({ length: 18 }, (_, i) => computeHoleHist(h, i))
-    if (h.mode === 'skins') perHole = applySkinsCarryHist(perHole)
+  function exportLedgerCSV() {
+    const q = (v) => `"${String(v).replaceAll('"', '""')}"`
+    const lines = [
+      ['Player','Won','Lost','Net'].join(','),
+      ...ledger.players.map(p => [q(ledgerName(p.id)), p.won.toFixed(2), p.lost.toFixed(2), p.net.toFixed(2)].join(',')),
+      '', ['From','To','Amount'].join(','),
+      ...ledger.transfers.map(t => [q(ledgerName(t.from)), q(ledgerName(t.to)), t.amount.toFixed(2)].join(',')),
+      '', ['Match','Stake','Status','Live'].join(','),
+      ...ledger.lines.map(e => [q(e.label), q(stakeText(e.stake)), q(e.status), e.live ? 'yes' : 'no'].join(',')),
+    ]
+    downloadText('trip_ledger.csv', lines.join('\n'))
+  }
+  function printLedger() {
     const win = window.open('', '_blank')
-    const style = `
+    win.document.write(`
       <style>
         body { font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial; color:#000; }
-        table { border-collapse: collapse; width:100% }
-        th, td { border:1px solid #000; padding:4px; text-align:center }
-        h2 { margin: 8px 0 }
-      </style>`
-    const head = `<h2>${h.label}</h2><div>${courseName} • ${nowStr(h.savedAt)}</div>`
+        table { border-collapse: collapse; width:100%; margin-bottom:12px }
+        th, td { border:1px solid #000; padding:4px; text-align:left }
+      </style>
+      <h2>Trip settlement</h2>
+      <h3>Who pays whom</h3>
+      <table><tbody>${ledger.transfers.map(t => `<tr><td>${esc(ledgerName(t.from))} pays ${esc(ledgerName(t.to))}</td><td>${fmtMoney(t.amount)}</td></tr>`).join('') || '<tr><td>All square</td></tr>'}</tbody></table>
+      <h3>Ledger</h3>
+      <table><thead><tr><th>Player</th><th>Won</th><th>Lost</th><th>Net</th></tr></thead>
+        <tbody>${ledger.players.map(p => `<tr><td>${esc(ledgerName(p.id))}</td><td>${fmtMoney(p.won)}</td><td>${fmtMoney(p.lost)}</td><td><b>${fmtMoney(p.net)}</b></td></tr>`).join('')}</tbody></table>
+      <h3>Matches</h3>
+      <table><tbody>${ledger.lines.map(e => `<tr><td>${esc(e.label)}${e.live ? ' (live)' : ''}</td><td>${esc(stakeText(e.stake))}</td><td>${esc(e.status)}</td></tr>`).join('')}</tbody></table>`)
+    win.document.close(); win.focus(); win.print()
+  }
+  // One archived scorecard as print HTML: { head } title / round / result, { body } score table and bets
+  function historyHTML(h) {
+    const hc = courseForHist(h, courses)
+    const courseName = hc.name || 'Course'
+    const parArray = hc.par
+    const res = scoreHist(h), perHole = res.perHole
+    const scoringNote = h.scoring === 'net' ? ` • Net (${h.allowance ?? 100}% allowance, • = stroke)` : ''
+    const head = `<h2>${esc(h.label)}</h2><div>${esc(h.round ? roundLabel({ ...h.round, courseKey: h.courseKey }, [hc]) : courseName)} • ${nowStr(h.savedAt)}${scoringNote}</div><div><b>${esc(h.result || res.status.text)}</b></div>`
     const headerRow = Array.from({length:18}).map((_,i)=>`<th>H${i+1}</th>`).join('')
-    const parRow = parArray.map(p=>`<td>${p}</td>`).join('')
+    const parRow = parArray.map(p=>`<td>${esc(p)}</td>`).join('')
     const rowFor = (pidArr, names) => {
       return pidArr.map((pid, idx) => `
-        <tr><td>${names?.[idx] || ''}</td>${Array.from({length:18}).map((_,i)=>`<td>${h.scores?.[pid]?.[i] ?? ''}</td>`).join('')}<td>${(h.scores?.[pid]||[]).reduce((s,v)=>s+(Number(v)||0),0)}</td></tr>
+        <tr><td>${esc(names?.[idx])}</td>${Array.from({length:18}).map((_,i)=>`<td>${esc(h.scores?.[pid]?.[i])}${strokeDots(res.strokes(pid, i))}</td>`).join('')}<td>${(h.scores?.[pid]||[]).reduce((s,v)=>s+(Number(v)||0),0)}</td></tr>
       `).join('')
     }
+    if (res.individual) {
+      const ids = h.playerIds, nameOf = (pid) => h.playerNames?.[ids.indexOf(pid)] || ''
+      const md = getMode(h.mode)
+      const wolfRow = md?.layout === 'wolf'
+        ? `<tr><td>Wolf</td>${perHole.map(r => `<td>${esc(nameOf(r.wolf))}<br/><small>${esc(wolfPickLabel(r.pick, nameOf))}</small></td>`).join('')}<td></td></tr>`
+        : ''
+      const ptsRows = ids.map(pid => `<tr><td><b>${esc(nameOf(pid))} ${md?.pointsLabel || 'pts'}</b></td>${perHole.map(r => `<td>${r.complete ? r.points[pid] : ''}</td>`).join('')}<td><b>${res.totals[pid]}</b></td></tr>`).join('')
+      return { head, body: `
+        <table>
+          <thead><tr><th>Row</th>${headerRow}<th>Total</th></tr></thead>
+          <tbody>
+            <tr><td>Par</td>${parRow}<td>${parArray.reduce((a,b)=>a+b,0)}</td></tr>
+            ${rowFor(ids, h.playerNames)}
+            ${wolfRow}
+            ${ptsRows}
+          </tbody>
+        </table>` }
+    }
     const aPts = perHole.map(r => r.complete ? r.aPts : 0).join('</td><td>')
     const bPts = perHole.map(r => r.complete ? r.bPts : 0).join('</td><td>')
-    const html = `
-      ${style}${head}
+    return { head, body: `
       <table>
         <thead><tr><th>Row</th>${headerRow}<th>Total</th></tr></thead>
         <tbody>
           <tr><td>Par</td>${parRow}<td>${parArray.reduce((a,b)=>a+b,0)}</td></tr>
-          ${rowFor(h.teamA.playerIds, h.teamA.playerNames)}
-          <tr><td><b>${h.teamA.name}</b></td><td>${aPts}</td><td><b>${perHole.reduce((s,r)=>s+(r.complete?r.aPts:0),0).toFixed(1)}</b></td></tr>
-          ${rowFor(h.teamB.playerIds, h.teamB.playerNames)}
-          <tr><td><b>${h.teamB.name}</b></td><td>${bPts}</td><td><b>${perHole.reduce((s,r)=>s+(r.complete?r.bPts:0),0).toFixed(1)}</b></td></tr>
+          ${rowFor(entryIds(h.mode, h.teamA), entryIds(h.mode, h.teamA).map((id, i) => entryLabel(h.teamA, id, i, 'A')))}
+          <tr><td><b>${esc(h.teamA.name)}</b></td><td>${aPts}</td><td><b>${perHole.reduce((s,r)=>s+(r.complete?r.aPts:0),0).toFixed(1)}</b></td></tr>
+          ${rowFor(entryIds(h.mode, h.teamB), entryIds(h.mode, h.teamB).map((id, i) => entryLabel(h.teamB, id, i, 'B')))}
+          <tr><td><b>${esc(h.teamB.name)}</b></td><td>${bPts}</td><td><b>${perHole.reduce((s,r)=>s+(r.complete?r.bPts:0),0).toFixed(1)}</b></td></tr>
         </tbody>
-      </table>`
-    win.document.write(html); win.document.close(); win.focus(); win.print()
+      </table>
+      ${res.bets ? `<h3>Bets</h3><table><tbody>${res.bets.map(b => `<tr><td>${esc(b.label)}</td><td>H${b.start + 1}–H${b.end + 1}</td><td>${esc(b.status.text)}</td></tr>`).join('')}</tbody></table>` : ''}` }
+  }
+  function printHistory(h) {
+    const win = window.open('', '_blank')
+    const style = `
+      <style>
+        body { font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial; color:#000; }
+        table { border-collapse: collapse; width:100% }
+        th, td { border:1px solid #000; padding:4px; text-align:center }
+        h2 { margin: 8px 0 }
+      </style>`
+    const { head, body } = historyHTML(h)
+    win.document.write(`${style}${head}${body}`); win.document.close(); win.focus(); win.print()
+  }
+  // End-of-trip report: standings, records, leaderboards, stats highlights and notes on the first
+  // pages, then every archived scorecard grouped by round, each round starting a new page
+  function printTripReport() {
+    // nameCol: the left-aligned column
+    const table = (cols, rows, nameCol = 1) => `<table><thead><tr>${cols.map((c, i) => `<th${i === nameCol ? ' class="name"' : ''}>${c}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(r => `<tr>${r.map((v, i) => `<td${i === nameCol ? ' class="name"' : ''}>${esc(v)}</td>`).join('')}</tr>`).join('')}</tbody></table>`
+    const dates = rounds.map(r => r.date).filter(Boolean).sort()
+    const when = dates.length ? [dates[0], dates[dates.length - 1]].filter((d, i, a) => a.indexOf(d) === i).map(d => new Date(`${d}T12:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })).join(' – ') : ''
+
+    const ranked = [...teamRecords].sort((a, b) => b.w - a.w || a.l - b.l || b.t - a.t)
+    const cupHTML = cupActive ? `<h2>Trip cup</h2>${table(['Side', 'Points'], standings.sides.map(sd => [`${sd.name}${standings.holder === sd.id ? ' (holder)' : ''}`, fmtCup(sd.won)]), 0)}<p><b>${esc(standings.text)}</b></p>` : ''
+    const recordsHTML = `<h2>Team records</h2>${ranked.length ? table(['#', 'Team', 'W', 'L', 'T'], ranked.map((r, i) => [i + 1, r.name, r.w, r.l, r.t])) : '<p class="muted">No teams.</p>'}
+      ${playerRecords.length ? `<h3>Player records (singles)</h3>${table(['Player', 'W', 'L', 'T'], playerRecords.map(r => [r.name, r.w, r.l, r.t]), 0)}` : ''}`
+    const board = (scoring) => {
+      const rows = leaderboard(cards, scoring)
+      return `<div><h3>${scoring === 'net' ? 'Net' : 'Gross'}</h3>${rows.length ? table(['Pos', 'Player', 'To par', 'Holes', 'Strokes'], rows.map(r => [fmtPos(r), r.name || 'Player', fmtScore(r.toPar), r.holes, r.strokes])) : '<p class="muted">No scores.</p>'}</div>`
+    }
+    const highlights = tripHighlights(cards)
+    const statRows = playerStats(cards).map(p => [p.name || 'Player', p.rounds, p.avgScore === null ? '—' : p.avgScore.toFixed(1), fmtToPar(p.toParPerHole, 2), p.counts.eagles + p.counts.birdies, p.counts.pars, p.counts.bogeys, p.counts.doubles])
+    const statsHTML = `<h2>Stats highlights</h2>
+      ${highlights.length ? `<ul>${highlights.map(x => `<li><b>${x.label}:</b> ${esc(x.text)}</li>`).join('')}</ul>` : '<p class="muted">No scores yet.</p>'}
+      ${statRows.length ? table(['Player', 'Rounds', 'Avg', 'To par / hole', 'Birdies+', 'Pars', 'Bogeys', 'Doubles+'], statRows, 0) : ''}`
+    const notesHTML = notes.trim() ? `<h2>Trip notes &amp; highlights</h2><div class="notes">${esc(notes.trim())}</div>` : ''
+
+    // Archived scorecards by round, in itinerary order (rounds since deleted go last, by date)
+    const groups = new Map()
+    for (const h of history) {
+      const key = h.roundId || `${h.courseKey}|${h.round?.date || ''}`
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(h)
+    }
+    const order = (key, items) => { const i = rounds.findIndex(r => r.id === key); return i >= 0 ? String(i).padStart(4, '0') : `9999${items[0].round?.date || ''}` }
+    const roundsHTML = [...groups].sort(([a, x], [b, y]) => order(a, x).localeCompare(order(b, y))).map(([key, items], i) => {
+      const r = rounds.find(x => x.id === key)
+      const label = r ? roundLabel(r, courses) : roundLabel({ ...items[0].round, courseKey: items[0].courseKey, courseName: items[0].course?.name }, courses)
+      return `<section class="round"><h1>Round ${i + 1} — ${esc(label)}</h1>
+        ${items.map(h => { const { head, body } = historyHTML(h); return `<div class="scorecard">${head}${body}</div>` }).join('')}</section>`
+    }).join('')
+
+    const win = window.open('', '_blank')
+    win.document.write(`<!doctype html><title>Golf trip report</title>
+      <style>
+        @page { size: landscape; margin: 12mm }
+        body { font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial; color:#000; font-size: 11pt }
+        h1 { margin: 0 0 6px } h2 { margin: 14px 0 6px } h3 { margin: 10px 0 4px }
+        table { border-collapse: collapse; width:100%; margin: 4px 0 }
+        th, td { border:1px solid #000; padding:3px 4px; text-align:center }
+        th.name, td.name { text-align:left }
+        thead { display: table-header-group }
+        tr, .scorecard, ul { break-inside: avoid; page-break-inside: avoid }
+        .cols { display:flex; gap:16px } .cols > * { flex:1 }
+        .muted { color:#555 }
+        .notes { white-space: pre-wrap }
+        .summary { break-after: page; page-break-after: always }
+        .round { break-before: page; page-break-before: always }
+        .round:first-of-type { break-before: auto; page-break-before: auto }
+        .scorecard { margin: 0 0 14px } .scorecard h2 { font-size: 1.1em; margin: 8px 0 2px }
+      </style>
+      <div class="summary">
+        <h1>Golf trip report</h1>
+        <div class="muted">${when ? `${when} • ` : ''}${rounds.length} round${rounds.length === 1 ? '' : 's'} • ${history.length} archived scorecard${history.length === 1 ? '' : 's'} • printed ${nowStr(Date.now())}</div>
+        ${cupHTML}${recordsHTML}
+        <h2>Individual leaderboard</h2><div class="cols">${board('gross')}${board('net')}</div>
+        ${statsHTML}${notesHTML}
+      </div>
+      ${roundsHTML || '<p class="muted">No archived scorecards yet.</p>'}`)
+    win.document.close(); win.focus(); win.print()
   }
 
   /** ----------------- UI ----------------- */
   if (!tripId) {
+    const lastTripId = (() => { try { return JSON.parse(safeGetLocal('lastTrip') || 'null')?.trip || '' } catch { return '' } })()
     return (
       <div className="wrap">
         <style>{css}</style>
         <h1>Golf Trip App</h1>
         <p>Create a shared room so everyone can enter scores from their phones.</p>
-        <button className="btn" onClick={createTrip}>Create Room</button>
+        <div className="row">
+          <button className="btn" onClick={() => createTrip()}>Create Room</button>
+          <label className="btn">
+            Restore into new room
+            <input type="file" accept=".json,application/json" style={{ display:'none' }}
+              onChange={(e) => { const f = e.target.files[0]; e.target.value = ''; if (f) fromBackupFile(f, 'restore') }} />
+          </label>
+          <label className="btn">
+            Clone roster
+            <input type="file" accept=".json,application/json" style={{ display:'none' }}
+              onChange={(e) => { const f = e.target.files[0]; e.target.value = ''; if (f) fromBackupFile(f, 'clone') }} />
+          </label>
+          {lastTripId && <button className="btn" onClick={() => downloadTripBackup(lastTripId)}>Download trip backup</button>}
+        </div>
+        {landingError && <p style={{ color:'#b91c1c' }}>{landingError}</p>}
         <p style={{ marginTop: 8, fontSize: 12, color: 'var(--muted)' }}>
           After creating, share the URL (it will contain <code>?trip=&lt;id&gt;</code>).
+          Restore and Clone roster read a trip backup file; Clone roster keeps only the players, teams and courses.
+          {lastTripId && <> Download trip backup saves the last trip opened on this device (<code>{lastTripId}</code>).</>}
         </p>
       </div>
     )
   }
 
   const assignedSet = assignedPlayerIds
-  const statusChip = isOnline ? (saving ? 'Syncing…' : 'Saved') : 'Offline: saving locally'
-  const canEdit = (ownerDeviceId && ownerDeviceId === deviceId) || !pinEnabled || (enteredPin && pin && enteredPin === pin)
+  const queuedText = queued ? ` • ${queued} edit${queued === 1 ? '' : 's'} queued` : ''
+  const statusChip = isOnline ? (saving || queued ? 'Syncing…' : 'Saved') : `Offline: saving locally${queuedText}`
+  // Watch-only view (no inputs): the spectator link, or a device that can only watch this trip
+  const watchParam = safeUrlParam('watch') === '1'
+  const watchOnly = watchParam || (watchLinks && !pinEnabled && !isEditor)
+  const canEdit = isEditor && !watchOnly
+  const editLink = !watchLinks ? tripLink(tripId) : editKey && canEdit ? tripLink(tripId, { key: editKey }) : ''
+  const watchLink = watchLinks ? tripLink(tripId, { watch: '1' }) : ''
+  const pinLink = pinEnabled && canEdit && editLink ? tripLink(tripId, { ...(watchLinks ? { key: editKey } : {}), pin: sharePin }) : ''
+  const shareOptions = [
+    editLink && { id: 'edit', label: 'Edit link' },
+    watchLink && { id: 'watch', label: 'Watch-only' },
+    pinLink && { id: 'pin', label: 'With PIN' },
+  ].filter(Boolean)
+  const shareKind = shareOptions.some(o => o.id === shareWhich) ? shareWhich : shareOptions[0]?.id
+  const shareLink = shareKind === 'pin' && sharePin.length !== 4 ? '' : { edit: editLink, watch: watchLink, pin: pinLink }[shareKind] || ''
 
   return (
     <div className="wrap">
@@ -723,24 +1583,53 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
             <span className="pill">{statusChip}</span>
           </div>
           <div className="row">
-            <button className="btn" onClick={() => {
-              const url = window.location.href
-              if (navigator.share) navigator.share({ title:'Golf Trip', url }).catch(()=>{})
-              else { navigator.clipboard?.writeText(url); alert('Link copied') }
-            }}>Share link</button>
-            <button className="btn" onClick={() => setShowQR(true)}>QR</button>
+            <button className="btn" onClick={() => setShowQR(true)}>Share / QR</button>
+            {watchOnly && <span className="pill">Watching</span>}
             <button className={`tab ${view==='live'?'active':''}`} onClick={()=>setView('live')}>Live</button>
             <button className={`tab ${view==='history'?'active':''}`} onClick={()=>setView('history')}>History</button>
+            <button className={`tab ${view==='money'?'active':''}`} onClick={()=>setView('money')}>Money</button>
+            <button className={`tab ${view==='leaderboard'?'active':''}`} onClick={()=>setView('leaderboard')}>Leaderboard</button>
+            <button className={`tab ${view==='stats'?'active':''}`} onClick={()=>setView('stats')}>Stats</button>
+            {!watchOnly && <button className={`tab ${view==='courses'?'active':''}`} onClick={()=>setView('courses')}>Courses</button>}
           </div>
         </div>
 
+        {watchOnly ? (
         <div className="row" style={{ marginTop: 6 }}>
-          <select
-            value={courseKey} disabled={!canEdit}
-            onChange={async (e) => { await saveNowAll({ courseKey: e.target.value }) }}>
-            {COURSES.map(c => <option key={c.key} value={c.key}>{c.name}</option>)}
+          {round && <span className="pill">{roundLabel(round, courses)}</span>}
+          {pinEnabled && !watchParam && !isEditor && (
+            <div className="row" style={{ marginLeft:'auto' }}>
+              <input className="score" maxLength={4} placeholder="Enter PIN"
+                value={enteredPin} onChange={(e)=>setEnteredPin(e.target.value.replace(/[^0-9]/g,'').slice(0,4))} />
+              <button className="btn" disabled={enteredPin.length !== 4 || !authUid} onClick={unlockWithPin}>Unlock</button>
+            </div>
+          )}
+        </div>
+        ) : (
+        <div className="row" style={{ marginTop: 6 }}>
+          {/* Round picker + the current round's date / course / tee */}
+          <select value={round?.id || ''} disabled={!canEdit} onChange={async (e) => { await saveNowAll({ roundId: e.target.value }) }} title="Round">
+            {rounds.map((r, i) => <option key={r.id} value={r.id}>R{i + 1}: {roundLabel(r, courses)}</option>)}
           </select>
-
+          {round && (
+            <>
+              <input type="date" value={round.date || ''} disabled={!canEdit} onChange={e=>setRoundField(round.id, 'date', e.target.value)} />
+              <select value={round.courseKey} disabled={!canEdit} onChange={e=>setRoundField(round.id, 'courseKey', e.target.value)} title="Course">
+                {courses.map(c => <option key={c.key} value={c.key}>{c.name}</option>)}
+              </select>
+              {(course.tees || []).length > 0 && (
+                <select value={round.teeId || ''} disabled={!canEdit} onChange={e=>setRoundField(round.id, 'teeId', e.target.value)} title="Tee">
+                  <option value=''>— Tee —</option>
+                  {course.tees.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                </select>
+              )}
+            </>
+          )}
+          <button className="btn" disabled={!canEdit} onClick={addRound}>Add round</button>
+          <button className="btn" disabled={!canEdit || rounds.length <= 1} onClick={() => removeRound(round.id)}>Remove round</button>
+
+          <input placeholder="Your name" value={myName} title="Shown in the changes log"
+            onChange={e => { setMyName(e.target.value); safeSetLocal('displayName', e.target.value) }} style={{ width: 110 }} />
           <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }}>
             <input type="checkbox" checked={bigType} onChange={e => { setBigType(e.target.checked); safeSetLocal('prefBigType', e.target.checked ? '1':'0') }} />
             Big type
@@ -751,42 +1640,127 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
           </label>
 
           {/* PIN controls */}
-          {(ownerDeviceId && ownerDeviceId === deviceId) ? (
+          {isOwner ? (
             <div className="row" style={{ marginLeft:'auto' }}>
-              <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }}>
-                <input type="checkbox" checked={pinEnabled} onChange={e => saveNowAll({ pinEnabled: e.target.checked })} />
+              <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }} title={pinSet ? '' : 'Set a PIN first'}>
+                <input type="checkbox" checked={pinEnabled} disabled={!pinSet && !pinEnabled} onChange={e => saveNowAll({ pinEnabled: e.target.checked })} />
                 Require PIN to edit
               </label>
-              <input className="score" maxLength={4} placeholder="PIN"
-                value={pin} onChange={(e)=>saveNowAll({ pin: e.target.value.replace(/[^0-9]/g,'').slice(0,4) })} />
+              <input className="score" maxLength={4} placeholder={pinSet ? 'New' : 'PIN'}
+                value={newPin} onChange={(e)=>setNewPin(e.target.value.replace(/[^0-9]/g,'').slice(0,4))} />
+              <button className="btn" disabled={newPin.length !== 4} onClick={setOwnerPin}>{pinSet ? 'Change PIN' : 'Set PIN'}</button>
+            </div>
+          ) : connected && !ownerUid ? (
+            <div className="row" style={{ marginLeft:'auto' }} title="Trips from before sign-in are claimed with the code their owner was sent">
+              <input placeholder="Claim code" value={claimCode} onChange={(e)=>setClaimCode(e.target.value)} style={{ width: 110 }} />
+              <button className="btn" disabled={normClaimCode(claimCode).length !== 8 || !authUid} onClick={claimTrip}>Claim trip</button>
             </div>
           ) : pinEnabled && !canEdit ? (
             <div className="row" style={{ marginLeft:'auto' }}>
               <input className="score" maxLength={4} placeholder="Enter PIN"
                 value={enteredPin} onChange={(e)=>setEnteredPin(e.target.value.replace(/[^0-9]/g,'').slice(0,4))} />
-              <button className="btn" onClick={()=>{ /* recompute canEdit via state change */ }}>Unlock</button>
+              <button className="btn" disabled={enteredPin.length !== 4 || !authUid} onClick={unlockWithPin}>Unlock</button>
             </div>
           ) : null}
         </div>
+        )}
       </header>
 
+      {connected && (fromCache || !isOnline) && (
+        <div className="card" style={{ marginTop: 12, borderColor:'#b45309', background:'#fffbeb' }}>
+          <b>Offline — showing the copy saved on this phone</b>
+          <span style={{ fontSize:12, color:'var(--muted)' }}>
+            {syncedAt ? ` (last synced ${nowStr(syncedAt)})` : ''}. Scores may be out of date; your edits are kept and sent when you're back online.
+          </span>
+        </div>
+      )}
+
+      {accessError && (
+        <div className="card row" style={{ marginTop: 12, justifyContent:'space-between', borderColor:'#b91c1c' }}>
+          <span>{accessError}</span>
+          <button className="btn" onClick={() => setAccessError('')}>Dismiss</button>
+        </div>
+      )}
+
+      {cupActive && <CupBanner standings={standings} />}
+
       {/* QR Modal */}
       {showQR && (
         <div className="qrModal" onClick={()=>setShowQR(false)}>
-          <div className="qrCard" onClick={e=>e.stopPropagation()}>
-            <h3 style={{ marginTop:0 }}>Scan to join</h3>
-            <img alt="Join QR" width={220} height={220}
-              src={`https://api.qrserver.com/v1/create-qr-code/?size=220x220&data=${encodeURIComponent(window.location.href)}`} />
-            <div style={{ textAlign:'right', marginTop:8 }}>
+          <div className="qrCard" onClick={e=>e.stopPropagation()} style={{ maxWidth: 360 }}>
+            <h3 style={{ marginTop:0 }}>Share the trip</h3>
+            {isOwner && !watchOnly && (
+              <label className="pill" style={{ display:'flex', gap:6, alignItems:'center', marginBottom: 8 }}>
+                <input type="checkbox" checked={watchLinks} onChange={e => setSeparateLinks(e.target.checked)} />
+                Separate watch-only link
+              </label>
+            )}
+            {shareOptions.length > 1 && (
+              <div className="tabs" style={{ marginBottom: 8 }}>
+                {shareOptions.map(o => (
+                  <button key={o.id} className={`tab ${shareKind===o.id?'active':''}`} onClick={()=>setShareWhich(o.id)}>{o.label}</button>
+                ))}
+              </div>
+            )}
+            <div style={{ fontSize:12, color:'var(--muted)', marginBottom: 8 }}>
+              {shareKind === 'watch' ? 'Anyone with this link can follow the scores but not change anything.'
+                : shareKind === 'pin' ? 'Opens ready to edit, no PIN to type. Anyone who sees this code can edit.'
+                : watchLinks ? 'Anyone with this link can edit the trip. Only share it with players.'
+                : 'Anyone with this link can edit the trip' + (pinEnabled ? ' once they enter the PIN.' : '.')}
+            </div>
+            {shareKind === 'pin' && (
+              <input className="score" maxLength={4} placeholder="PIN" style={{ marginBottom: 8 }}
+                value={sharePin} onChange={(e)=>setSharePin(e.target.value.replace(/[^0-9]/g,'').slice(0,4))} />
+            )}
+            {shareLink && (
+              <>
+                <QRCode text={shareLink} size={220} />
+                <div style={{ fontSize:12, wordBreak:'break-all', margin:'8px 0' }}><code>{shareLink}</code></div>
+              </>
+            )}
+            <div className="row" style={{ justifyContent:'flex-end' }}>
+              <button className="btn" disabled={!shareLink} onClick={() => downloadQRPng(shareLink, `golf-trip-${shareKind}-qr.png`)}>Download QR</button>
+              <button className="btn" disabled={!shareLink} onClick={() => {
+                if (navigator.share) navigator.share({ title:'Golf Trip', url: shareLink }).catch(()=>{})
+                else { navigator.clipboard?.writeText(shareLink); alert('Link copied') }
+              }}>Share link</button>
               <button className="btn" onClick={()=>setShowQR(false)}>Close</button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Conflicts found when replaying offline edits */}
+      {conflicts.length > 0 && (
+        <div className="qrModal">
+          <div className="qrCard" style={{ maxWidth: 520, width: '92%', maxHeight: '80vh', overflow: 'auto' }}>
+            <h3 style={{ marginTop:0 }}>Edits that clashed while you were offline</h3>
+            <div style={{ fontSize:12, color:'var(--muted)', marginBottom: 8 }}>Someone else changed these too. Pick which version to keep.</div>
+            {conflicts.map((c, i) => {
+              const d = describeConflict(c)
+              return (
+                <div key={i} style={{ borderTop: '1px solid var(--border)', padding: '8px 0' }}>
+                  <div><b>{d.what}</b></div>
+                  <div style={{ fontSize:13 }}>Yours: <b>{d.mine}</b> • Theirs: <b>{d.theirs}</b></div>
+                  <div className="row" style={{ gap: 6, marginTop: 4 }}>
+                    <button className="btn" onClick={() => resolveConflict(c, true)}>Keep mine</button>
+                    <button className="btn" onClick={() => resolveConflict(c, false)}>Keep theirs</button>
+                  </div>
+                </div>
+              )
+            })}
+            <div className="row" style={{ gap: 6, justifyContent: 'flex-end', marginTop: 8 }}>
+              <button className="btn" onClick={() => resolveAllConflicts(true)}>Keep all mine</button>
+              <button className="btn" onClick={() => resolveAllConflicts(false)}>Keep all theirs</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {view === 'live' && (
         <>
           {/* Setup */}
+          {!watchOnly && (
           <section className="grid3" style={{ marginTop: 12 }}>
             <div className="card">
               <h3>Players</h3>
@@ -794,6 +1768,9 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
                 {players.map(p => (
                   <div key={p.id} className="row" style={{ marginBottom: 6 }}>
                     <input value={p.name} disabled={!canEdit} onChange={(e) => renamePlayer(p.id, e.target.value)} />
+                    <input className="score" inputMode="decimal" placeholder="HCP" title="Handicap index (+2 for a plus handicap)"
+                      value={p.handicap ?? ''} disabled={!canEdit}
+                      onChange={(e) => setPlayerHandicap(p.id, e.target.value.replace(/[^0-9.+-]/g,'').slice(0,5))} />
                     <button className="btn" disabled={!canEdit} onClick={() => removePlayer(p.id)}>Remove</button>
                   </div>
                 ))}
@@ -810,10 +1787,17 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
                     <div key={t.id} style={{ border:'1px solid var(--border)', borderRadius:10, padding:8, marginBottom:8 }}>
                       <div className="row">
                         <input value={t.name} disabled={!canEdit} onChange={(e)=>setTeamName(t.id, e.target.value)} />
+                        <select value={(t.playerIds || []).length || 2} disabled={!canEdit} onChange={e=>setTeamSize(t.id, Number(e.target.value))} title="Team size">
+                          {[1,2,3,4].map(n => <option key={n} value={n}>{n} player{n > 1 ? 's' : ''}</option>)}
+                        </select>
+                        <select value={t.sideId || ''} disabled={!canEdit} onChange={e=>setTeamSide(t.id, e.target.value)} title="Cup side">
+                          <option value=''>— No side —</option>
+                          {cup.sides.map(sd => <option key={sd.id} value={sd.id}>{sd.name}</option>)}
+                        </select>
                         <button className="btn" disabled={!canEdit} onClick={()=>removeTeam(t.id)}>Remove</button>
                       </div>
                       <div className="row" style={{ gap:8, marginTop:8 }}>
-                        {[0,1].map(slot => (
+                        {(t.playerIds?.length ? t.playerIds : ["",""]).map((_, slot) => (
                           <select key={slot} disabled={!canEdit} value={t.playerIds?.[slot] || ''} onChange={e=>assignPlayer(t.id, slot, e.target.value)}>
                             <option value=''>— Select —</option>
                             {players
@@ -833,76 +1817,226 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
               <h3>Matches</h3>
               <button className="btn" disabled={!canEdit} onClick={addMatch}>Add match</button>
               <div style={{ fontSize: 12, color:'var(--muted)', marginTop: 6 }}>
-                Each match has its own mode. A team can only play one match at a time, and can’t face itself.
+                Matches belong to the round picked in the header. Each match has its own mode. A team can only play one match per round, and can’t face itself.
+              </div>
+              <h4 style={{ margin:'12px 0 6px' }}>Trip cup</h4>
+              <div className="row">
+                {cup.sides.map(sd => (
+                  <input key={sd.id} value={sd.name} disabled={!canEdit} onChange={e=>setSideName(sd.id, e.target.value)} style={{ width:110 }} title="Side name" />
+                ))}
+                <select value={cup.holder || ''} disabled={!canEdit} onChange={e=>setCupField({ holder: e.target.value })} title="Retains the cup on a tie">
+                  <option value=''>No holder</option>
+                  {cup.sides.map(sd => <option key={sd.id} value={sd.id}>{sd.name} holds</option>)}
+                </select>
+              </div>
+              <div style={{ fontSize: 12, color:'var(--muted)', marginTop: 6 }}>
+                Put teams on a side to start the cup. Singles count for the sides of the players’ teams.
               </div>
             </div>
           </section>
+          )}
 
           {/* Scorecards */}
-          {matches.map((m) => {
+          {matches.filter(m => roundOf(m)?.id === round?.id).map((m) => {
             const tA = teams.find(t => t.id === m.teamAId)
             const tB = teams.find(t => t.id === m.teamBId)
 
             const inUseElsewhere = new Set(
-              matches.filter(x => x.id !== m.id).flatMap(x => [x.teamAId, x.teamBId].filter(Boolean))
+              matches.filter(x => x.id !== m.id && roundOf(x)?.id === round?.id).flatMap(x => [x.teamAId, x.teamBId].filter(Boolean))
             )
             const teamOptionsA = teams.filter(t => !inUseElsewhere.has(t.id) && t.id !== m.teamBId)
             const teamOptionsB = teams.filter(t => !inUseElsewhere.has(t.id) && t.id !== m.teamAId)
 
-            let perHole = Array.from({ length: 18 }, (_, h) => computeHole(m.mode, h, tA, tB, parArr))
-            if (m.mode === "skins") perHole = applySkinsCarry(perHole)
-            const completedCount = perHole.filter(r => r.complete).length
-
-            const teamRowA = Array.from({ length: 18 }, (_, h) => teamValue(m.mode, h, tA, parArr))
-            const teamRowB = Array.from({ length: 18 }, (_, h) => teamValue(m.mode, h, tB, parArr))
-            const totalsA = perHole.reduce((s,r)=>s+(r.complete?r.aPts:0),0)
-            const totalsB = perHole.reduce((s,r)=>s+(r.complete?r.bPts:0),0)
-
-            const courseName = COURSES.find(c => c.key === courseKey)?.name
-            const title = `Scorecard — ${courseName} — ${tA?.name || 'Team A'} vs ${tB?.name || 'Team B'}`
-            const canSave = Boolean(tA && tB && (tA.playerIds||[])[0] && (tA.playerIds||[])[1] && (tB.playerIds||[])[0] && (tB.playerIds||[])[1])
+            const md = getMode(m.mode)
+            const individual = !!md?.individual
+            const res = scoreLive(m, tA, tB)
+            const { perHole, teamRowA, teamRowB, totalsA, totalsB } = res
+            const completedCount = res.completed
+
+            const courseName = course.name
+            const matchup = individual
+              ? `${md.label}: ${(m.playerIds || []).map(pid => playerNames[pid] || '—').join(' / ')}`
+              : `${tA?.name || 'Team A'} vs ${tB?.name || 'Team B'}`
+            const title = `Scorecard — ${courseName} — ${matchup}`
+            const canSave = individual
+              ? (m.playerIds || []).filter(Boolean).length === md.playersNeeded
+              : [tA, tB].every(t => t?.playerIds?.length && t.playerIds.every(Boolean))
+            // This match's score cells in its round, plus entries about the match itself
+            const entryPids = individual ? (m.playerIds || []) : [...entryIds(m.mode, tA), ...entryIds(m.mode, tB)]
+            const changes = editLog.filter(e => e.matchId === m.id || (e.kind === 'score' && e.round === roundOf(m)?.id && entryPids.includes(e.pid)))
+            const canEditMatch = canEdit && !m.locked
+            const keepers = keepersOf(m), requests = m.keeperRequests || []
+            const closedOut = res.finished || res.status.decidedAt != null
 
             return (
               <section key={m.id} className="card" style={{ marginTop: 12 }}>
+                {!watchOnly && (
                 <div className="row">
-                  <select value={m.teamAId} disabled={!canEdit} onChange={e=>setMatchField(m.id,'teamAId',e.target.value)}>
-                    <option value=''>— Select Team A —</option>
-                    {teamOptionsA.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                  {individual ? (m.playerIds || []).map((pid, idx) => (
+                    <select key={idx} value={pid} disabled={!canEditMatch} onChange={e=>setMatchPlayer(m.id, idx, e.target.value)} title={`Tee order ${idx + 1}`}>
+                      <option value=''>— Player {idx + 1} —</option>
+                      {players
+                        .filter(pl => pl.id === pid || !(m.playerIds || []).includes(pl.id))
+                        .map(pl => <option key={pl.id} value={pl.id}>{pl.name}</option>)}
+                    </select>
+                  )) : (
+                    <>
+                      <select value={m.teamAId} disabled={!canEditMatch} onChange={e=>setMatchField(m.id,'teamAId',e.target.value)}>
+                        <option value=''>— Select Team A —</option>
+                        {teamOptionsA.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                      </select>
+                      <select value={m.teamBId} disabled={!canEditMatch} onChange={e=>setMatchField(m.id,'teamBId',e.target.value)}>
+                        <option value=''>— Select Team B —</option>
+                        {teamOptionsB.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                      </select>
+                    </>
+                  )}
+                  <select value={m.mode} disabled={!canEditMatch} onChange={e=>setMatchMode(m.id, e.target.value)}>
+                    {listModes().map(md => <option key={md.id} value={md.id}>{md.label}</option>)}
                   </select>
-                  <select value={m.teamBId} disabled={!canEdit} onChange={e=>setMatchField(m.id,'teamBId',e.target.value)}>
-                    <option value=''>— Select Team B —</option>
-                    {teamOptionsB.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                  <select value={m.scoring || 'gross'} disabled={!canEditMatch} onChange={e=>setMatchField(m.id,'scoring',e.target.value)}>
+                    <option value="gross">Gross</option>
+                    <option value="net">Net</option>
                   </select>
-                  <select value={m.mode} disabled={!canEdit} onChange={e=>setMatchField(m.id,'mode',e.target.value)}>
-                    {MODES.map(md => <option key={md.id} value={md.id}>{md.name}</option>)}
+                  {m.scoring === 'net' && (
+                    <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }}>
+                      Allowance
+                      <input className="score" inputMode="numeric" value={m.allowance ?? 100} disabled={!canEditMatch}
+                        onChange={e=>setMatchField(m.id,'allowance',Math.min(100, Number(e.target.value.replace(/[^0-9]/g,'')) || 0))} />
+                      %
+                    </label>
+                  )}
+                  {getMode(m.mode)?.matchPlay && (
+                    <select value={m.closeout || 'play'} disabled={!canEditMatch} onChange={e=>setMatchField(m.id,'closeout',e.target.value)} title="After the match is decided">
+                      <option value="play">Closed out: keep playing</option>
+                      <option value="lock">Closed out: lock scores</option>
+                      <option value="unplayed">Closed out: mark unplayed</option>
+                    </select>
+                  )}
+                  {cupActive && !(individual && md.playersNeeded !== 2) && (
+                    <select value={m.cupPoints ?? 1} disabled={!canEditMatch} onChange={e=>setMatchField(m.id,'cupPoints',Number(e.target.value))} title="Cup points for this match">
+                      {[0,0.5,1,1.5,2,3].map(n => <option key={n} value={n}>{n ? `${fmtCup(n)} cup pt${n > 1 ? 's' : ''}` : 'No cup pts'}</option>)}
+                    </select>
+                  )}
+                  <select value={m.stake?.type || ''} disabled={!canEditMatch} title="Stake"
+                    onChange={e=>setMatchField(m.id,'stake', e.target.value ? { type: e.target.value, amount: m.stake?.amount ?? 5 } : null)}>
+                    <option value=''>No stake</option>
+                    {STAKE_TYPES.filter(t => !(individual && md.playersNeeded !== 2) || t.id === 'point').map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
                   </select>
-                  <button
-                    className="btn"
-                    onClick={() =>
-                      setOneOpenByMatch(o => ({ ...o, [m.id]: !o[m.id] }))
-                    }
-                  >
-                    {oneOpenByMatch[m.id] ? 'Hide one-hole view' : 'One-hole view'}
+                  {m.stake?.type && (
+                    <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }}>
+                      $
+                      <input className="score" inputMode="decimal" value={m.stake.amount} disabled={!canEditMatch}
+                        onChange={e=>setMatchField(m.id,'stake',{ ...m.stake, amount: e.target.value.replace(/[^0-9.]/g,'').slice(0,7) })} />
+                    </label>
+                  )}
+                  {md?.countsBest && (
+                    <select value={m.bestBalls || 2} disabled={!canEditMatch} onChange={e=>setMatchField(m.id,'bestBalls',Number(e.target.value))} title="Balls that count on each hole">
+                      {[1,2,3].map(n => <option key={n} value={n}>Best {n} count</option>)}
+                    </select>
+                  )}
+                  {getMode(m.mode)?.presses && (() => {
+                    const next = res.perHole.findIndex(r => !r.complete)
+                    return (
+                      <>
+                        <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }}>
+                          <input type="checkbox" checked={m.autoPress !== false} disabled={!canEditMatch}
+                            onChange={e=>setMatchField(m.id,'autoPress',e.target.checked)} />
+                          Auto-press at 2 down
+                        </label>
+                        <button className="btn" disabled={!canEditMatch || next < 0} onClick={()=>addPress(m.id, 'A', next)}>Press ({tA?.name || 'A'})</button>
+                        <button className="btn" disabled={!canEditMatch || next < 0} onClick={()=>addPress(m.id, 'B', next)}>Press ({tB?.name || 'B'})</button>
+                      </>
+                    )
+                  })()}
+                  {!individual && (
+                    <button
+                      className="btn"
+                      onClick={() =>
+                        setOneOpenByMatch(o => ({ ...o, [m.id]: !o[m.id] }))
+                      }
+                    >
+                      {oneOpenByMatch[m.id] ? 'Hide one-hole view' : 'One-hole view'}
+                    </button>
+                  )}
+
+                  <button className="btn" onClick={() => setChangesOpenByMatch(o => ({ ...o, [m.id]: !o[m.id] }))}>
+                    {changesOpenByMatch[m.id] ? 'Hide changes' : `Changes (${changes.length})`}
                   </button>
 
                   <div className="row" style={{ marginLeft:'auto' }}>
-                    <button className="btn" disabled={!canEdit} onClick={()=>removeMatch(m.id)}>Remove</button>
+                    <button className="btn" disabled={!canEditMatch} onClick={()=>removeMatch(m.id)}>Remove</button>
                     <button className="btn" disabled={!canEdit || !canSave} onClick={()=>saveMatchToHistory(m.id)}>Save scorecard</button>
                   </div>
                 </div>
+                )}
 
                 <h4 style={{ margin:'8px 0' }}>{title}</h4>
 
-                {oneOpenByMatch[m.id] && (
+                {/* Scorekeepers + lock */}
+                {!watchOnly && (
+                <div className="row" style={{ marginBottom: 8 }}>
+                  <span className="pill" title="Only the scorekeepers and the trip owner can enter this match's scores, and no one while it's locked.">Scorekeeper: <b>{keepers.length ? keepers.map(k => k.uid === authUid ? `${k.name} (you)` : k.name).join(' & ') : 'anyone'}</b></span>
+                  {m.locked && <span className="pill"><b>Locked</b></span>}
+                  {canEdit && authUid && !m.locked && !isKeeper(m) && (!keepers.length || isOwner) && keepers.length < MAX_KEEPERS && (
+                    <button className="btn" onClick={() => keepScore(m.id)}>Keep score on this device</button>
+                  )}
+                  {isKeeper(m) && <button className="btn" onClick={() => stopKeeping(m.id)}>Stop keeping score</button>}
+                  {isOwner && keepers.filter(k => k.uid !== authUid).map(k => (
+                    <button key={k.uid} className="btn" onClick={() => stopKeeping(m.id, k.uid)}>Remove {k.name}</button>
+                  ))}
+                  {canEdit && authUid && !canScore(m) && !m.locked && (
+                    requests.some(r => r.uid === authUid)
+                      ? <span className="pill">Asked to keep score</span>
+                      : <button className="btn" onClick={() => requestKeeper(m.id)}>Request to keep score</button>
+                  )}
+                  {canManageKeepers(m) && (
+                    <button className="btn" disabled={!m.locked && !closedOut} title={closedOut ? '' : 'Lock once the match is closed out'}
+                      onClick={() => setMatchLocked(m.id, !m.locked)}>{m.locked ? 'Unlock match' : 'Lock match'}</button>
+                  )}
+                </div>
+                )}
+                {(isKeeper(m) || isOwner) && requests.map(r => (
+                  <div key={r.uid} className="row" style={{ marginBottom: 8 }}>
+                    <span><b>{r.name}</b> asks to keep score</span>
+                    <button className="btn" onClick={() => grantKeeper(m.id, r, true)}>Hand over</button>
+                    {keepers.length < MAX_KEEPERS && <button className="btn" onClick={() => grantKeeper(m.id, r, false)}>Add as second</button>}
+                    <button className="btn" onClick={() => dismissRequest(m.id, r.uid)}>Dismiss</button>
+                  </div>
+                ))}
+                {canEdit && !canScore(m) && (
+                  <div style={{ fontSize:12, color:'var(--muted)', marginBottom: 8 }}>
+                    {m.locked ? 'This match is locked.' : `Read-only here: ${keepers.map(k => k.name).join(' & ')} ${keepers.length > 1 ? 'are' : 'is'} keeping score.`}
+                  </div>
+                )}
+
+                {changesOpenByMatch[m.id] && (
+                  <ChangesList entries={changes} describe={describeEntry} canUndo={canUndo} onUndo={undoEntry} />
+                )}
+
+                {!individual && oneOpenByMatch[m.id] && (
                   <OneHolePanel
                     m={m}
                     tA={tA}
                     tB={tB}
                     parArr={parArr}
-                    perHoleAdj={perHole}  // the per-hole results array you already compute
+                    result={res}
                    />
                 )}
 
+                {individual ? (
+                  <PlayersTable
+                    mode={md}
+                    playerIds={m.playerIds || []}
+                    nameOf={(pid) => playerNames[pid]}
+                    parArray={parArr}
+                    result={res}
+                    picks={m.wolfPicks || empty18()}
+                    valueOf={(pid, h) => roundScores[pid]?.[h] ?? ''}
+                    onScore={canScore(m) ? setScore : null}
+                    onPick={canScore(m) ? (h, pick) => setWolfPick(m.id, h, pick) : null}
+                  />
+                ) : (
                 <div className="tableWrap">
                   <table style={{ borderCollapse:'collapse', minWidth:940, width:'100%' }}>
                     <thead>
@@ -925,25 +2059,34 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
                         </td>
                       </tr>
 
-                      {tA?.playerIds?.map((pid, idx) => (
+                      {entryIds(m.mode, tA).map((pid, idx) => (
                         <tr key={pid || idx}>
                           <td style={{ border:'1px solid var(--border)', padding:6 }}>
-                            {(players.find(p => p.id === pid)?.name) || (idx === 0 ? 'A Player 1' : 'A Player 2')}
+                            {entryLabel(withNames(tA), pid, idx, 'A')}
                           </td>
                           {Array.from({ length: 18 }).map((_, h) => {
-                            const v = (scoresByCourse[courseKey] || {})[pid]?.[h] ?? ''
+                            const v = roundScores[pid]?.[h] ?? ''
                             const color = colorForRelative(v, parArr[h])
+                            const dots = strokeDots(res.strokes(pid, h))
                             return (
                               <td key={h} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArr[h]) }}>
+                                {watchOnly ? <span style={{ color }}>{v || '—'}</span> : (
                                 <input className="score" inputMode='numeric' pattern='[0-9]*'
-                                  value={v} disabled={!canEdit}
+                                  value={v} disabled={!canScore(m) || res.locked(h)}
                                   onChange={(e)=>setScore(pid, h, e.target.value.replace(/[^0-9]/g,''))}
                                   style={{ color }} />
+                                )}
+                                {dots && <div className="strokeDots">{dots}</div>}
                               </td>
                             )
                           })}
                           <td style={{ border:'1px solid var(--border)', padding:6, textAlign:'center', fontWeight:600 }}>
-                            {(scoresByCourse[courseKey]?.[pid] || empty18()).reduce((s,v)=>s+(Number(v)||0),0)}
+                            {(roundScores[pid] || empty18()).reduce((s,v)=>s+(Number(v)||0),0)}
+                            {m.scoring === 'net' && (
+                              <div style={{ fontSize:12, color:'var(--muted)' }}>
+                                net {Array.from({ length: 18 }, (_, h) => res.net(pid, h)).reduce((s,v)=>s+(Number.isNaN(v)?0:v),0)}
+                              </div>
+                            )}
                           </td>
                         </tr>
                       ))}
@@ -951,15 +2094,11 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
                       <tr>
                         <td style={{ border:'1px solid var(--border)', padding:6, fontWeight:600 }}>{tA?.name || 'Team A'}</td>
                         {Array.from({ length: 18 }).map((_, i) => {
-                          const val = teamRowA[i]
                           const pts = perHole[i].complete ? perHole[i].aPts : 0
-                          const n = Number(val)
-                          const basis = (m.mode === "aggregate") ? parArr[i] * 2 : parArr[i]
-                          const colored = Number.isFinite(n) && (m.mode === "bestball" || m.mode === "skins" || m.mode === "aggregate")
                           return (
                             <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArr[i]), textAlign:'center' }}>
                               <div style={{ lineHeight:1.1 }}>
-                                {colored ? <span style={{ color: colorForRelative(n, basis) }}>{String(val)}</span> : <span>{String(val)}</span>}
+                                <TeamCellValue cell={teamRowA[i]} />
                                 <div style={{ fontSize:12, color:'var(--muted)' }}>({Number(pts).toFixed(1)})</div>
                               </div>
                             </td>
@@ -970,25 +2109,34 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
                         </td>
                       </tr>
 
-                      {tB?.playerIds?.map((pid, idx) => (
+                      {entryIds(m.mode, tB).map((pid, idx) => (
                         <tr key={pid || idx}>
                           <td style={{ border:'1px solid var(--border)', padding:6 }}>
-                            {(players.find(p => p.id === pid)?.name) || (idx === 0 ? 'B Player 1' : 'B Player 2')}
+                            {entryLabel(withNames(tB), pid, idx, 'B')}
                           </td>
                           {Array.from({ length: 18 }).map((_, h) => {
-                            const v = (scoresByCourse[courseKey] || {})[pid]?.[h] ?? ''
+                            const v = roundScores[pid]?.[h] ?? ''
                             const color = colorForRelative(v, parArr[h])
+                            const dots = strokeDots(res.strokes(pid, h))
                             return (
                               <td key={h} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArr[h]) }}>
+                                {watchOnly ? <span style={{ color }}>{v || '—'}</span> : (
                                 <input className="score" inputMode='numeric' pattern='[0-9]*'
-                                  value={v} disabled={!canEdit}
+                                  value={v} disabled={!canScore(m) || res.locked(h)}
                                   onChange={(e)=>setScore(pid, h, e.target.value.replace(/[^0-9]/g,''))}
                                   style={{ color }} />
+                                )}
+                                {dots && <div className="strokeDots">{dots}</div>}
                               </td>
                             )
                           })}
                           <td style={{ border:'1px solid var(--border)', padding:6, textAlign:'center', fontWeight:600 }}>
-                            {(scoresByCourse[courseKey]?.[pid] || empty18()).reduce((s,v)=>s+(Number(v)||0),0)}
+                            {(roundScores[pid] || empty18()).reduce((s,v)=>s+(Number(v)||0),0)}
+                            {m.scoring === 'net' && (
+                              <div style={{ fontSize:12, color:'var(--muted)' }}>
+                                net {Array.from({ length: 18 }, (_, h) => res.net(pid, h)).reduce((s,v)=>s+(Number.isNaN(v)?0:v),0)}
+                              </div>
+                            )}
                           </td>
                         </tr>
                       ))}
@@ -996,15 +2144,11 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
                       <tr>
                         <td style={{ border:'1px solid var(--border)', padding:6, fontWeight:600 }}>{tB?.name || 'Team B'}</td>
                         {Array.from({ length: 18 }).map((_, i) => {
-                          const val = teamRowB[i]
                           const pts = perHole[i].complete ? perHole[i].bPts : 0
-                          const n = Number(val)
-                          const basis = (m.mode === "aggregate") ? parArr[i] * 2 : parArr[i]
-                          const colored = Number.isFinite(n) && (m.mode === "bestball" || m.mode === "skins" || m.mode === "aggregate")
                           return (
                             <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArr[i]), textAlign:'center' }}>
                               <div style={{ lineHeight:1.1 }}>
-                                {colored ? <span style={{ color: colorForRelative(n, basis) }}>{String(val)}</span> : <span>{String(val)}</span>}
+                                <TeamCellValue cell={teamRowB[i]} />
                                 <div style={{ fontSize:12, color:'var(--muted)' }}>({Number(pts).toFixed(1)})</div>
                               </div>
                             </td>
@@ -1019,22 +2163,21 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
                         <td style={{ border:'1px solid var(--border)', padding:6, color:'var(--muted)' }}>Result</td>
                         {perHole.map((r, i) => (
                           <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArr[i]), textAlign:'center', fontSize:12, color:'var(--muted)' }}>
-                            {r.complete ? r.info : '—'}
+                            {r.complete ? r.info : r.unplayed ? 'Unplayed' : '—'}
                           </td>
                         ))}
                         <td style={{ border:'1px solid var(--border)', padding:6, textAlign:'center', fontWeight:600 }}>
-                          {completedCount === 0
-                            ? 'No scores yet'
-                            : (totalsA > totalsB
-                                ? `${tA?.name || 'A'} up ${(totalsA - totalsB).toFixed(1)}`
-                                : totalsB > totalsA
-                                  ? `${tB?.name || 'B'} up ${(totalsB - totalsA).toFixed(1)}`
-                                  : 'All square')}
+                          {res.status.text}
                         </td>
                       </tr>
+                      {res.bets && (
+                        <BetRows bets={res.bets} parArray={parArr}
+                          onRemovePress={canEditMatch ? (id) => removePress(m.id, id) : null} />
+                      )}
                     </tbody>
                   </table>
                 </div>
+                )}
               </section>
             )
           })}
@@ -1043,84 +2186,799 @@ const [oneOpenByMatch, setOneOpenByMatch] = useState({}); // { [matchId]: boolea
           <section className="card" style={{ marginTop: 12 }}>
             <h3>Overall Records (archived matches)</h3>
             <div className="row" style={{ gap: 16, flexWrap:'wrap' }}>
-              {teams.map(t => {
-                let w=0,l=0,tt=0
-                for (const h of history) {
-                  const parArray = (COURSES.find(c=>c.key===h.courseKey)?.par)||COURSES[0].par
-                  let per = Array.from({length:18},(_,i)=>computeHoleHist(h,i))
-                  if (h.mode==='skins') per = applySkinsCarryHist(per)
-                  if (!per.every(r=>r.complete)) continue
-                  const totals = per.reduce((acc,r)=>({a:acc.a+(r.aPts||0), b:acc.b+(r.bPts||0)}),{a:0,b:0})
-                  const aIs = h.teamA.id===t.id, bIs = h.teamB.id===t.id
-                  if (aIs || bIs) {
-                    if (totals.a>totals.b) { if (aIs) w++; if (bIs) l++ }
-                    else if (totals.b>totals.a) { if (bIs) w++; if (aIs) l++ }
-                    else { tt++ }
-                  }
-                }
-                return (
-                  <div key={t.id} className="pill">{t.name}: {w}-{l}-{tt}</div>
-                )
-              })}
+              {teamRecords.map(r => (
+                <div key={r.id} className="pill">{r.name}: {r.w}-{r.l}-{r.t}</div>
+              ))}
             </div>
+            {playerRecords.length > 0 && (
+              <>
+                <h4 style={{ margin:'12px 0 6px' }}>Player records (singles)</h4>
+                <div className="row" style={{ gap: 16, flexWrap:'wrap' }}>
+                  {playerRecords.map(r => (
+                    <div key={r.id} className="pill">{r.name}: {r.w}-{r.l}-{r.t}</div>
+                  ))}
+                </div>
+              </>
+            )}
+            {history.length > 0 && (
+              <ul style={{ margin:'8px 0 0', paddingLeft:18, fontSize:14 }}>
+                {history.map(h => (
+                  <li key={h.id}>{histTitle(h)} ({modeLabel(h.mode)}): <b>{h.result || scoreHist(h).status.text}</b></li>
+                ))}
+              </ul>
+            )}
           </section>
         </>
       )}
 
       {view === 'history' && (
         <section style={{ marginTop: 12, display: 'grid', gap: 12 }}>
+          <div className="card row" style={{ justifyContent:'space-between' }}>
+            <div style={{ fontSize:12, color:'var(--muted)', flex:1 }}>
+              {canEdit && 'Bring back scorecards exported from this or another trip (JSON or CSV); you\'ll see them before they\'re added. '}
+              The trip backup holds everything — players, teams, matches, scores, history, courses — to keep or restore into a new room from the start page.
+            </div>
+            <div className="row">
+              {canEdit && (
+                <label className="btn">
+                  Import scorecards
+                  <input type="file" accept=".json,.csv,application/json,text/csv" multiple style={{ display:'none' }}
+                    onChange={(e) => { const files = [...e.target.files]; e.target.value = ''; if (files.length) openImport(files) }} />
+                </label>
+              )}
+              <button className="btn" onClick={downloadBackup}>Download trip backup</button>
+              {!watchOnly && <button className="btn" onClick={cloneRoster}>New trip with this roster</button>}
+            </div>
+          </div>
+          <TripReportCard notes={notes} canEdit={canEdit} onSave={(text) => saveNowAll({ notes: text })} onPrint={printTripReport} />
           {history.length === 0 && <div className="card">No archived scorecards yet.</div>}
+          {!watchOnly && editLog.some(e => e.field !== 'scores') && (
+            <details className="card">
+              <summary style={{ cursor:'pointer', fontWeight:600 }}>Archive log</summary>
+              <ChangesList entries={editLog.filter(e => e.field !== 'scores')} describe={describeEntry} canUndo={canUndo} onUndo={undoEntry} />
+            </details>
+          )}
           {history.slice().reverse().map(h => {
-            const parArray = (COURSES.find(c => c.key === h.courseKey)?.par) || COURSES[0].par
-            let perHole = Array.from({ length: 18 }, (_, i) => computeHoleHist(h, i))
-            if (h.mode === 'skins') perHole = applySkinsCarryHist(perHole)
-            const totalsA = perHole.reduce((s,r)=>s+(r.aPts||0),0)
-            const totalsB = perHole.reduce((s,r)=>s+(r.bPts||0),0)
             return (
               <HistoryCard
                 key={h.id}
-                h={h}
-                parArray={parArray}
-                perHole={perHole}
-                totalsA={totalsA}
-                totalsB={totalsB}
+                {...histCardProps(h)}
                 onDelete={() => deleteHistory(h.id)}
                 onRename={(label)=>renameHistory(h.id, label)}
                 onRestore={() => restoreHistory(h.id)}
-                onExportCSV={() => exportHistoryCSV(h)}
-                onExportJSON={() => exportHistoryJSON(h)}
-                onPrint={() => printHistory(h)}
+                onToggleLock={canEdit && (!h.locked || isOwner) ? () => setHistoryLocked(h.id, !h.locked) : null}
+                readOnly={watchOnly}
               />
             )
           })}
         </section>
       )}
+
+      {importing && (() => {
+        const plan = importPreview, names = plan.names
+        return (
+          <div className="qrModal">
+            <div className="qrCard" style={{ maxWidth: 980, width: '94%', maxHeight: '86vh', overflow: 'auto' }}>
+              <h3 style={{ marginTop: 0 }}>Import scorecards</h3>
+              {importing.results.map((r, i) => (
+                <div key={i} style={{ marginBottom: 8 }}>
+                  <b>{r.source}</b>{r.item?.label ? ` — ${r.item.label}` : ''}{!r.errors.length && ' ✓'}
+                  {r.errors.map((e, j) => <div key={j} style={{ color:'#7F0000' }}>{e}</div>)}
+                  {r.warnings.map((w, j) => <div key={j} style={{ fontSize:12, color:'var(--muted)' }}>{w}</div>)}
+                </div>
+              ))}
+              {names.length > 0 && (
+                <>
+                  <h4>Players</h4>
+                  {names.map(([key, name]) => (
+                    <div key={key} className="row" style={{ marginBottom: 6 }}>
+                      <span style={{ minWidth: 140 }}>{name}</span>→
+                      <select value={importing.map[key] || ''} onChange={(e) => setImporting(s => ({ ...s, map: { ...s.map, [key]: e.target.value } }))}>
+                        <option value="">New player “{name.trim()}”</option>
+                        {players.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </>
+              )}
+              {plan.error && <div style={{ color:'#7F0000' }}>Couldn't read these scorecards: {plan.error}</div>}
+              {plan.clashes.map((label, i) => <div key={i} style={{ color:'#7F0000' }}>{label}: two of its players are mapped to the same person</div>)}
+              {plan.items.length > 0 && <h4>Preview</h4>}
+              <div style={{ display:'grid', gap: 8 }}>
+                {plan.items.map(h => <HistoryCard key={h.id} {...histCardProps(h)} readOnly />)}
+              </div>
+              <div className="row" style={{ justifyContent:'flex-end', marginTop: 12 }}>
+                {plan.newPlayers.length > 0 && <span style={{ fontSize:12, color:'var(--muted)' }}>Adds {plan.newPlayers.length} new player{plan.newPlayers.length === 1 ? '' : 's'}</span>}
+                <button className="btn" onClick={() => setImporting(null)}>Cancel</button>
+                <button className="btn" disabled={!plan.items.length} onClick={applyImport}><b>Add {plan.items.length} to history</b></button>
+              </div>
+            </div>
+          </div>
+        )
+      })()}
+
+      {view === 'money' && (
+        <MoneyView ledger={ledger} nameOf={ledgerName} stakeText={stakeText} onExportCSV={exportLedgerCSV} onPrint={printLedger} />
+      )}
+
+      {view === 'leaderboard' && <LeaderboardView cards={cards} rounds={rounds} roundId={round?.id || ''} roundLabel={(r) => roundLabel(r, courses)} onTV={() => setTvMode(true)} />}
+      {tvMode && <TVBoard cards={cards} round={round} roundText={round ? roundLabel(round, courses) : ''} syncedAt={syncedAt} connected={connected} onClose={() => setTvMode(false)} />}
+
+      {view === 'stats' && <StatsView cards={cards} />}
+
+      {view === 'courses' && (
+        <CourseManager
+          courses={courses}
+          courseKey={courseKey}
+          rounds={rounds}
+          canEdit={canEdit}
+          onSave={saveCourse}
+          onDelete={deleteCourse}
+        />
+      )}
+    </div>
+  )
+}
+
+/** ------------ Course Manager Component ------------ */
+const blankCourse = () => ({ key: uid(), name: '', par: Array(18).fill(4), si: Array.from({ length: 18 }, (_, i) => i + 1), tees: [] })
+const blankTee = () => ({ id: uid(), name: '', yards: empty18(), rating: '', slope: '' })
+const toNum = (v) => v === '' || v === null || v === undefined ? NaN : Number(v)
+
+function CourseManager({ courses, courseKey, rounds, canEdit, onSave, onDelete }) {
+  const [draft, setDraft] = useState(null) // course being edited (values kept as typed)
+  const [errors, setErrors] = useState([])
+
+  const edit = (c) => { setDraft(JSON.parse(JSON.stringify({ ...c, tees: c.tees || [] }))); setErrors([]) }
+  const setHole = (field, i, v) => setDraft(d => ({ ...d, [field]: Object.assign([], d[field], { [i]: v }) }))
+  const setTee = (id, patch) => setDraft(d => ({ ...d, tees: d.tees.map(t => t.id === id ? { ...t, ...patch } : t) }))
+  const setTeeYard = (id, i, v) => setDraft(d => ({ ...d, tees: d.tees.map(t => t.id === id ? { ...t, yards: Object.assign([], t.yards, { [i]: v }) } : t) }))
+
+  async function save() {
+    const c = {
+      key: draft.key,
+      name: draft.name.trim(),
+      par: draft.par.map(toNum),
+      si: draft.si.map(toNum),
+      tees: draft.tees.map(t => ({
+        id: t.id, name: t.name.trim(),
+        yards: t.yards.map(y => y === '' ? '' : Number(y)),
+        rating: t.rating === '' ? '' : Number(t.rating),
+        slope: t.slope === '' ? '' : Number(t.slope),
+      })),
+    }
+    const errs = await onSave(c)
+    if (errs.length) setErrors(errs)
+    else { setDraft(null); setErrors([]) }
+  }
+  function remove(c) {
+    if (window.confirm(`Delete ${c.name}? Archived scorecards keep their copy.`)) onDelete(c.key)
+  }
+
+  const roundsOn = (key) => rounds.filter(r => r.courseKey === key).length
+  const cell = { border:'1px solid var(--border)', padding:4, textAlign:'center' }
+  return (
+    <section style={{ marginTop: 12, display: 'grid', gap: 12 }}>
+      <div className="card">
+        <div className="row" style={{ justifyContent:'space-between' }}>
+          <h3 style={{ margin: 0 }}>Courses</h3>
+          <button className="btn" disabled={!canEdit || !!draft} onClick={() => edit(blankCourse())}>Add course</button>
+        </div>
+        {courses.map(c => (
+          <div key={c.key} className="row" style={{ justifyContent:'space-between', borderTop:'1px solid var(--border)', padding:'8px 0', marginTop:8 }}>
+            <div className="row">
+              <b>{c.name}</b>
+              <span className="pill">Par {c.par.reduce((a,b)=>a+b,0)}</span>
+              {(c.tees || []).map(t => (
+                <span key={t.id} className="pill">{t.name} {t.yards.reduce((a,y)=>a+(Number(y)||0),0) || ''}{t.rating !== '' ? ` • ${t.rating}/${t.slope}` : ''}</span>
+              ))}
+              {c.key === courseKey && <span className="pill">Current</span>}
+            </div>
+            <div className="row">
+              <button className="btn" disabled={!canEdit || !!draft} onClick={() => edit(c)}>Edit</button>
+              <button className="btn" disabled={!canEdit || courses.length <= 1 || roundsOn(c.key) > 0} onClick={() => remove(c)}
+                title={roundsOn(c.key) ? `Played in ${roundsOn(c.key)} round(s)` : undefined}>Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {draft && (
+        <div className="card">
+          <div className="row">
+            <input value={draft.name} placeholder="Course name" onChange={e=>setDraft(d => ({ ...d, name: e.target.value }))} style={{ minWidth: 260 }} />
+            <button className="btn" onClick={() => setDraft(d => ({ ...d, tees: [...d.tees, blankTee()] }))}>Add tee</button>
+          </div>
+          <div className="tableWrap" style={{ marginTop: 8 }}>
+            <table style={{ borderCollapse:'collapse', minWidth:940, width:'100%' }}>
+              <thead>
+                <tr>
+                  <th style={{ ...cell, textAlign:'left' }}>Row</th>
+                  {Array.from({ length: 18 }).map((_, i) => <th key={i} style={cell}>H{i + 1}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {[['par', 'Par'], ['si', 'Stroke index']].map(([field, name]) => (
+                  <tr key={field}>
+                    <td style={{ ...cell, textAlign:'left', fontWeight:600 }}>{name}</td>
+                    {draft[field].map((v, i) => (
+                      <td key={i} style={cell}>
+                        <input className="score" inputMode="numeric" value={Number.isNaN(v) ? '' : v}
+                          onChange={e=>setHole(field, i, e.target.value.replace(/[^0-9]/g,'').slice(0,2))} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                {draft.tees.map(t => (
+                  <tr key={t.id}>
+                    <td style={{ ...cell, textAlign:'left' }}>{t.name || 'Tee'} yds</td>
+                    {t.yards.map((y, i) => (
+                      <td key={i} style={cell}>
+                        <input className="score" inputMode="numeric" value={y}
+                          onChange={e=>setTeeYard(t.id, i, e.target.value.replace(/[^0-9]/g,'').slice(0,3))} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {draft.tees.map(t => (
+            <div key={t.id} className="row" style={{ marginTop: 8 }}>
+              <input value={t.name} placeholder="Tee name (e.g. White)" onChange={e=>setTee(t.id, { name: e.target.value })} />
+              <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }}>
+                Rating <input className="score" inputMode="decimal" value={t.rating} onChange={e=>setTee(t.id, { rating: e.target.value.replace(/[^0-9.]/g,'').slice(0,4) })} />
+              </label>
+              <label className="pill" style={{ display:'flex', gap:6, alignItems:'center' }}>
+                Slope <input className="score" inputMode="numeric" value={t.slope} onChange={e=>setTee(t.id, { slope: e.target.value.replace(/[^0-9]/g,'').slice(0,3) })} />
+              </label>
+              <button className="btn" onClick={() => setDraft(d => ({ ...d, tees: d.tees.filter(x => x.id !== t.id) }))}>Remove tee</button>
+            </div>
+          ))}
+          {errors.length > 0 && (
+            <ul style={{ color:'#D55E00', fontSize:14 }}>
+              {errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+          )}
+          <div className="row" style={{ justifyContent:'flex-end', marginTop: 8 }}>
+            <button className="btn" onClick={() => { setDraft(null); setErrors([]) }}>Cancel</button>
+            <button className="btn" onClick={save}>Save course</button>
+          </div>
+        </div>
+      )}
+    </section>
+  )
+}
+
+/** Team row value from the mode's renderer; colored vs par when the mode gives a basis */
+function TeamCellValue({ cell }) {
+  const n = Number(cell?.value)
+  if (cell?.colorPar && Number.isFinite(n)) return <span style={{ color: colorForRelative(n, cell.colorPar) }}>{String(cell.value)}</span>
+  return <span>{String(cell?.value ?? '-')}</span>
+}
+
+/** Side-bet rows (Nassau): running margin per hole (A2 / AS / B1) and each bet's status */
+const betMargin = (d) => d === null ? '' : d > 0 ? `A${d}` : d < 0 ? `B${-d}` : 'AS'
+function BetRows({ bets, parArray, onRemovePress }) {
+  const cell = { border:'1px solid var(--border)', padding:6, textAlign:'center', fontSize:12 }
+  return bets.map(b => (
+    <tr key={b.id}>
+      <td style={{ ...cell, textAlign:'left', fontWeight: b.by ? 400 : 600 }}>
+        {b.label}
+        {b.manual && onRemovePress && <button className="btn" style={{ marginLeft:6, padding:'0 6px' }} onClick={() => onRemovePress(b.id)}>✕</button>}
+      </td>
+      {Array.from({ length: 18 }).map((_, i) => (
+        <td key={i} style={{ ...cell, backgroundColor: holeBgForPar(parArray[i]), color: i < b.start || i > b.end ? 'var(--border)' : 'var(--ink)' }}>
+          {i < b.start || i > b.end ? '·' : betMargin(b.running[i])}
+        </td>
+      ))}
+      <td style={{ ...cell, fontWeight:600 }}>{b.status.text}</td>
+    </tr>
+  ))
+}
+
+/** QR code drawn in the bundle (src/qr.js), so it works offline and the link stays private */
+function QRCode({ text, size = 220 }) {
+  const qr = useMemo(() => qrMatrix(text), [text])
+  if (!qr) return <div style={{ fontSize:12, color:'var(--muted)' }}>Link too long for a QR code.</div>
+  const n = qr.size + 8
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${n} ${n}`} shapeRendering="crispEdges" role="img" aria-label="QR code">
+      <rect width={n} height={n} fill="#fff" />
+      <path d={qrPath(qr, 4)} fill="#000" />
+    </svg>
+  )
+}
+/** The same QR code as a PNG download */
+function downloadQRPng(text, filename, scale = 10) {
+  const qr = qrMatrix(text); if (!qr) return
+  const margin = 4, n = (qr.size + margin * 2) * scale
+  const canvas = document.createElement('canvas')
+  canvas.width = canvas.height = n
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, n, n)
+  ctx.fillStyle = '#000'
+  qr.dark.forEach((row, y) => row.forEach((on, x) => { if (on) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale) }))
+  const a = document.createElement('a')
+  a.href = canvas.toDataURL('image/png')
+  a.download = filename
+  a.click()
+}
+
+/** Edit log entries, newest first, with who / when and an undo button */
+function ChangesList({ entries, describe, canUndo, onUndo }) {
+  if (!entries.length) return <div style={{ fontSize:12, color:'var(--muted)', margin:'6px 0' }}>No changes logged yet.</div>
+  return (
+    <div style={{ maxHeight: 240, overflow: 'auto', margin: '6px 0', borderTop: '1px solid var(--border)' }}>
+      {entries.map(e => (
+        <div key={e.id} className="row" style={{ justifyContent:'space-between', borderBottom: '1px solid var(--border)', padding: '4px 0' }}>
+          <div>
+            <div>{describe(e)}</div>
+            <div style={{ fontSize:12, color:'var(--muted)' }}>{e.by || `Device ${String(e.deviceId || '').slice(0, 4)}`} • {new Date(e.ts).toLocaleString()}</div>
+          </div>
+          {canUndo(e) && <button className="btn" onClick={() => onUndo(e)}>Undo</button>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/** ------------ Betting ledger + settlement ------------ */
+function MoneyView({ ledger, nameOf, stakeText, onExportCSV, onPrint }) {
+  const cell = { border:'1px solid var(--border)', padding:6 }
+  const color = (n) => n > 0 ? '#009E73' : n < 0 ? '#7F0000' : 'var(--ink)'
+  return (
+    <section style={{ marginTop: 12, display: 'grid', gap: 12 }}>
+      <div className="card">
+        <div className="row" style={{ justifyContent:'space-between' }}>
+          <h3 style={{ margin: 0 }}>Settle up</h3>
+          <div className="row">
+            <button className="btn" onClick={onExportCSV}>Export CSV</button>
+            <button className="btn" onClick={onPrint}>Print / PDF</button>
+          </div>
+        </div>
+        {ledger.transfers.length === 0 && <div style={{ marginTop: 8 }}>All square — nobody owes anything.</div>}
+        <ul style={{ margin:'8px 0 0', paddingLeft:18 }}>
+          {ledger.transfers.map((t, i) => (
+            <li key={i}><b>{nameOf(t.from)}</b> pays <b>{nameOf(t.to)}</b> {fmtMoney(t.amount)}</li>
+          ))}
+        </ul>
+        <div style={{ fontSize: 12, color:'var(--muted)', marginTop: 6 }}>
+          Fewest transfers that square everyone up. Live matches count at their current state.
+        </div>
+      </div>
+
+      <div className="card">
+        <h3 style={{ marginTop: 0 }}>Ledger</h3>
+        {ledger.players.length === 0 ? <div>No stakes yet — set one on a match.</div> : (
+          <table style={{ borderCollapse:'collapse', width:'100%' }}>
+            <thead><tr><th style={{ ...cell, textAlign:'left' }}>Player</th><th style={cell}>Won</th><th style={cell}>Lost</th><th style={cell}>Net</th></tr></thead>
+            <tbody>
+              {ledger.players.map(p => (
+                <tr key={p.id}>
+                  <td style={cell}>{nameOf(p.id)}</td>
+                  <td style={{ ...cell, textAlign:'center' }}>{fmtMoney(p.won)}</td>
+                  <td style={{ ...cell, textAlign:'center' }}>{fmtMoney(p.lost)}</td>
+                  <td style={{ ...cell, textAlign:'center', fontWeight:700, color: color(p.net) }}>{fmtMoney(p.net)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {ledger.lines.length > 0 && (
+          <ul style={{ margin:'8px 0 0', paddingLeft:18, fontSize:14 }}>
+            {ledger.lines.map(e => (
+              <li key={e.id}>
+                {e.label}{e.live && <span className="pill" style={{ marginLeft:6, padding:'2px 8px' }}>live</span>} — {stakeText(e.stake)} — {e.status}:{' '}
+                {Object.entries(e.money).map(([pid, amt]) => `${nameOf(pid)} ${fmtMoney(amt)}`).join(', ')}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  )
+}
+
+/** ------------ Trip report ------------ */
+// Notes are saved when the box loses focus (like renaming a scorecard), not on every key
+function TripReportCard({ notes, canEdit, onSave, onPrint }) {
+  const [text, setText] = useState(notes)
+  useEffect(() => { setText(notes) }, [notes])
+  return (
+    <div className="card">
+      <div className="row" style={{ justifyContent:'space-between' }}>
+        <h3 style={{ margin: 0 }}>Trip report</h3>
+        <button className="btn" onClick={onPrint}>Print trip report</button>
+      </div>
+      <textarea value={text} disabled={!canEdit} rows={3} placeholder="Trip notes & highlights — the hole-in-one, the rain delay, who buys dinner next year…"
+        onChange={(e) => setText(e.target.value)} onBlur={() => text !== notes && onSave(text)}
+        style={{ width:'100%', marginTop: 8, font:'inherit', padding: 6, border:'1px solid var(--border)', borderRadius: 10 }} />
+      <div style={{ fontSize:12, color:'var(--muted)' }}>One printable report (or PDF): cup and team standings, records, the individual leaderboard, stats highlights, these notes and every archived scorecard by round.</div>
+    </div>
+  )
+}
+
+/** ------------ Stroke-play leaderboard + TV mode ------------ */
+function LeaderboardTable({ rows, showToday }) {
+  const cell = { border:'1px solid var(--border)', padding:6, textAlign:'center' }
+  if (!rows.length) return <div>No scores yet.</div>
+  return (
+    <table style={{ borderCollapse:'collapse', width:'100%' }}>
+      <thead><tr>
+        <th style={cell}>Pos</th><th style={{ ...cell, textAlign:'left' }}>Player</th><th style={cell}>To par</th>
+        {showToday && <th style={cell}>Today</th>}<th style={cell}>Thru</th><th style={cell}>Strokes</th>
+      </tr></thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.id}>
+            <td style={cell}>{fmtPos(r)}</td>
+            <td style={{ ...cell, textAlign:'left' }}>{r.name || 'Player'}</td>
+            <td style={{ ...cell, fontWeight:700, color: r.toPar < 0 ? '#009E73' : 'var(--ink)' }}>{fmtScore(r.toPar)}</td>
+            {showToday && <td style={cell}>{fmtScore(r.today)}</td>}
+            <td style={cell}>{showToday ? fmtThru(r) : r.holes >= 18 ? 'F' : `thru ${r.holes}`}</td>
+            <td style={cell}>{r.strokes}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function LeaderboardView({ cards, rounds, roundId, roundLabel, onTV }) {
+  const [scope, setScope] = useState('') // '' = whole trip, else a round id
+  const [scoring, setScoring] = useState('gross')
+  const played = rounds.filter(r => cards.some(c => c.roundId === r.id))
+  const rows = leaderboard(scope ? cards.filter(c => c.roundId === scope) : cards, scoring, roundId)
+  return (
+    <section style={{ marginTop: 12, display: 'grid', gap: 12 }}>
+      <div className="card">
+        <div className="row" style={{ justifyContent:'space-between' }}>
+          <div className="row">
+            <h3 style={{ margin: 0 }}>Stroke play</h3>
+            <select value={scope} onChange={(e)=>setScope(e.target.value)}>
+              <option value="">Whole trip</option>
+              {played.map(r => <option key={r.id} value={r.id}>{roundLabel(r)}</option>)}
+            </select>
+            <button className={`tab ${scoring==='gross'?'active':''}`} onClick={()=>setScoring('gross')}>Gross</button>
+            <button className={`tab ${scoring==='net'?'active':''}`} onClick={()=>setScoring('net')}>Net</button>
+          </div>
+          <button className="btn" onClick={onTV}>TV mode</button>
+        </div>
+        <div style={{ marginTop: 8 }}><LeaderboardTable rows={rows} showToday={!scope} /></div>
+        <div style={{ fontSize:12, color:'var(--muted)', marginTop:6 }}>
+          Every player ranked by score to par through the holes they've played{scope ? '' : ', with today\'s round and how far through it they are'}.
+          Net uses each player's full handicap by stroke index.
+        </div>
+      </div>
+    </section>
+  )
+}
+
+/** Full-screen gross and net boards for a clubhouse screen; the trip's live subscription keeps them current */
+function TVBoard({ cards, round, roundText, syncedAt, connected, onClose }) {
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', onKey)
+    document.documentElement.requestFullscreen?.().catch(() => {})
+    // Keep the screen on while the board is up (where the browser allows it)
+    let lock = null
+    navigator.wakeLock?.request('screen').then(l => { lock = l }).catch(() => {})
+    return () => {
+      window.removeEventListener('keydown', onKey)
+      if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {})
+      lock?.release().catch(() => {})
+    }
+  }, [])
+  const board = (scoring) => {
+    const rows = leaderboard(cards, scoring, round?.id || '')
+    return (
+      <div>
+        <h2 style={{ margin:'0 0 8px' }}>{scoring === 'net' ? 'Net' : 'Gross'}</h2>
+        <table>
+          <thead><tr><th>Pos</th><th style={{ textAlign:'left' }}>Player</th><th>To par</th><th>Today</th><th>Thru</th></tr></thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.id}>
+                <td>{fmtPos(r)}</td>
+                <td style={{ textAlign:'left', fontWeight:600 }}>{r.name || 'Player'}</td>
+                <td style={{ fontWeight:700, color: r.toPar < 0 ? '#ff8a80' : '#fff' }}>{fmtScore(r.toPar)}</td>
+                <td>{fmtScore(r.today)}</td>
+                <td>{fmtThru(r)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!rows.length && <div style={{ opacity:.8 }}>No scores yet.</div>}
+      </div>
+    )
+  }
+  return (
+    <div className="tv">
+      <div className="row" style={{ justifyContent:'space-between', marginBottom:16 }}>
+        <div>
+          <h1 style={{ margin:0 }}>Leaderboard</h1>
+          <div style={{ opacity:.8 }}>{roundText}</div>
+        </div>
+        <div className="row">
+          <span style={{ opacity:.8, fontSize:'.7em' }}>{connected ? 'Live' : 'Connecting…'}{syncedAt ? ` • updated ${new Date(syncedAt).toLocaleTimeString()}` : ''}</span>
+          <button className="btn" onClick={onClose}>Exit</button>
+        </div>
+      </div>
+      <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(420px, 1fr))', gap:32 }}>
+        {board('gross')}
+        {board('net')}
+      </div>
+    </div>
+  )
+}
+
+/** ------------ Player stats ------------ */
+function StatsView({ cards }) {
+  const [courseKey, setCourseKey] = useState('')
+  const [pid, setPid] = useState('')
+  const courseList = cardCourses(cards)
+  const filtered = courseKey ? cards.filter(c => c.courseKey === courseKey) : cards
+  const stats = playerStats(filtered)
+  const shown = pid ? stats.filter(p => p.id === pid) : stats
+  const cell = { border:'1px solid var(--border)', padding:6, textAlign:'center' }
+  const num = (n, d = 1) => n === null ? '—' : n.toFixed(d)
+  const holeText = (h) => `${courseKey ? '' : `${h.courseName} `}#${h.hole} (par ${h.par}) ${fmtToPar(h.toPar)}${h.n > 1 ? ` over ${h.n}` : ''}`
+  return (
+    <section style={{ marginTop: 12, display: 'grid', gap: 12 }}>
+      <div className="card row">
+        <h3 style={{ margin: 0 }}>Player stats</h3>
+        <select value={courseKey} onChange={(e)=>setCourseKey(e.target.value)}>
+          <option value="">All courses</option>
+          {courseList.map(c => <option key={c.key} value={c.key}>{c.name}</option>)}
+        </select>
+        <select value={pid} onChange={(e)=>setPid(e.target.value)}>
+          <option value="">All players</option>
+          {playerStats(cards).map(p => <option key={p.id} value={p.id}>{p.name || 'Player'}</option>)}
+        </select>
+        <span style={{ fontSize:12, color:'var(--muted)' }}>Gross scores from every round, live and archived. Averages per round use complete rounds only.</span>
+      </div>
+
+      {(pid ? shown : stats).length === 0 && <div className="card">No scores yet{courseKey ? ' on this course' : ''}.</div>}
+      {stats.length > 0 && !pid && (
+        <div className="card" style={{ overflowX:'auto' }}>
+          <table style={{ borderCollapse:'collapse', width:'100%' }}>
+            <thead><tr>
+              <th style={{ ...cell, textAlign:'left' }}>Player</th><th style={cell}>Rounds</th><th style={cell}>Avg</th><th style={cell}>To par</th>
+              <th style={cell}>Par 3</th><th style={cell}>Par 4</th><th style={cell}>Par 5</th>
+              <th style={cell}>Birdies+</th><th style={cell}>Pars</th><th style={cell}>Bogeys</th><th style={cell}>Doubles+</th>
+            </tr></thead>
+            <tbody>
+              {stats.map(p => (
+                <tr key={p.id} style={{ cursor:'pointer' }} onClick={()=>setPid(p.id)}>
+                  <td style={{ ...cell, textAlign:'left' }}>{p.name || 'Player'}</td>
+                  <td style={cell}>{p.rounds}</td>
+                  <td style={cell}>{num(p.avgScore)}</td>
+                  <td style={cell}>{fmtToPar(p.avgToPar)}</td>
+                  {[3, 4, 5].map(par => <td key={par} style={cell}>{p.byPar[par] ? num(p.byPar[par].avg, 2) : '—'}</td>)}
+                  <td style={cell}>{p.counts.eagles + p.counts.birdies}</td>
+                  <td style={cell}>{p.counts.pars}</td>
+                  <td style={cell}>{p.counts.bogeys}</td>
+                  <td style={cell}>{p.counts.doubles}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ fontSize:12, color:'var(--muted)', marginTop:6 }}>Sorted by scoring to par per hole played. Tap a player for the details.</div>
+        </div>
+      )}
+
+      {pid && shown.map(p => (
+        <div key={p.id} className="card">
+          <div className="row" style={{ justifyContent:'space-between' }}>
+            <h3 style={{ margin: 0 }}>{p.name || 'Player'}</h3>
+            <button className="btn" onClick={()=>setPid('')}>All players</button>
+          </div>
+          <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(200px, 1fr))', gap:12, marginTop:8 }}>
+            <div>
+              <div><b>{p.rounds}</b> round{p.rounds === 1 ? '' : 's'}, <b>{p.holes}</b> holes</div>
+              <div>Average score: <b>{num(p.avgScore)}</b> ({fmtToPar(p.avgToPar)}{p.complete ? ` over ${p.complete} complete` : ''})</div>
+              <div>To par per hole: <b>{fmtToPar(p.toParPerHole, 2)}</b></div>
+              <div>Front 9: <b>{num(p.front.avg)}</b> ({fmtToPar(p.front.toPar)}) • Back 9: <b>{num(p.back.avg)}</b> ({fmtToPar(p.back.toPar)})</div>
+            </div>
+            <div>
+              {[3, 4, 5, 6].filter(par => p.byPar[par]).map(par => (
+                <div key={par}>Par {par}s: <b>{num(p.byPar[par].avg, 2)}</b> ({fmtToPar(p.byPar[par].toPar, 2)}, {p.byPar[par].holes} holes)</div>
+              ))}
+            </div>
+            <div>
+              {p.counts.eagles > 0 && <div>Eagles or better: <b>{p.counts.eagles}</b></div>}
+              <div>Birdies: <b>{p.counts.birdies}</b></div>
+              <div>Pars: <b>{p.counts.pars}</b></div>
+              <div>Bogeys: <b>{p.counts.bogeys}</b></div>
+              <div>Doubles or worse: <b>{p.counts.doubles}</b></div>
+            </div>
+          </div>
+          <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(260px, 1fr))', gap:12, marginTop:8 }}>
+            <div><b>Best holes</b>{p.best.map(h => <div key={`${h.courseKey}${h.hole}`}>{holeText(h)}</div>)}</div>
+            <div><b>Worst holes</b>{p.worst.length ? p.worst.map(h => <div key={`${h.courseKey}${h.hole}`}>{holeText(h)}</div>) : <div>—</div>}</div>
+          </div>
+        </div>
+      ))}
+    </section>
+  )
+}
+
+/** ------------ Trip cup banner ------------ */
+function CupBanner({ standings }) {
+  const { sides, holder } = standings
+  const side = (sd) => (
+    <div style={{ textAlign:'center', minWidth:150 }}>
+      <div style={{ fontWeight:600 }}>{sd.name}{holder === sd.id ? ' (holder)' : ''}</div>
+      <div style={{ fontSize:36, fontWeight:700, lineHeight:1.1 }}>{fmtCup(sd.won)}</div>
+      <div style={{ fontSize:12, color:'var(--muted)' }}>
+        {sd.live ? `+${fmtCup(sd.live)} in progress (projected ${fmtCup(sd.projected)})` : 'Nothing in progress'}
+      </div>
+      <div style={{ fontSize:12 }}>
+        {sd.clinched ? (holder === sd.id ? 'Retained' : 'Won') : `Needs ${fmtCup(sd.needed)} to ${holder === sd.id ? 'retain' : 'win'}`}
+      </div>
+    </div>
+  )
+  return (
+    <section className="card" style={{ marginTop: 12 }}>
+      <div className="row" style={{ justifyContent:'space-between' }}>
+        {side(sides[0])}
+        <div style={{ textAlign:'center' }}>
+          <div style={{ fontWeight:600 }}>{standings.text}</div>
+          <div style={{ fontSize:12, color:'var(--muted)' }}>{fmtCup(standings.played)} of {fmtCup(standings.total)} points decided</div>
+        </div>
+        {side(sides[1])}
+      </div>
+    </section>
+  )
+}
+
+/** ------------ Individual-player scorecard (Wolf, singles) ------------ */
+const wolfPickLabel = (pick, nameOf) =>
+  pick === 'lone' ? 'Lone wolf' : pick === 'blind' ? 'Blind wolf' : pick ? `w/ ${nameOf(pick) || 'partner'}` : ''
+const signed = (n) => n > 0 ? `+${n}` : String(n)
+
+// One score row per player, then per-player points rows; Wolf adds the wolf/pick row.
+// Editable when onScore / onPick are given, read-only otherwise (history).
+function PlayersTable({ mode, playerIds, nameOf, parArray, result, picks, valueOf, onScore, onPick }) {
+  const cell = { border:'1px solid var(--border)', padding:6, textAlign:'center' }
+  const isWolf = mode?.layout === 'wolf'
+  const fmtPts = (n) => isWolf ? signed(n) : String(n)
+  const label = (pid, idx) => nameOf(pid) || `Player ${idx + 1}`
+  return (
+    <div className="tableWrap" style={{ marginTop:8 }}>
+      <table style={{ borderCollapse:'collapse', minWidth:940, width:'100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...cell, textAlign:'left' }}>Row</th>
+            {Array.from({ length: 18 }).map((_, i) => (
+              <th key={i} style={{ ...cell, backgroundColor: holeBgForPar(parArray[i]) }}>H{i + 1}</th>
+            ))}
+            <th style={cell}>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td style={{ ...cell, textAlign:'left', fontWeight:600 }}>Par</td>
+            {parArray.map((p, i) => (
+              <td key={i} style={{ ...cell, backgroundColor: holeBgForPar(p), color:'var(--muted)' }}>{p}</td>
+            ))}
+            <td style={{ ...cell, fontWeight:600 }}>{parArray.reduce((a,b)=>a+b,0)}</td>
+          </tr>
+
+          {playerIds.map((pid, idx) => (
+            <tr key={pid || idx}>
+              <td style={{ ...cell, textAlign:'left' }}>{label(pid, idx)}</td>
+              {Array.from({ length: 18 }).map((_, h) => {
+                const v = valueOf(pid, h)
+                const wolfHere = isWolf && result.perHole[h]?.wolf === pid
+                const dots = strokeDots(result.strokes(pid, h))
+                return (
+                  <td key={h} style={{ ...cell, backgroundColor: holeBgForPar(parArray[h]), outline: wolfHere ? '2px solid var(--ink)' : 'none', outlineOffset: -3 }}>
+                    {onScore ? (
+                      <input className="score" inputMode='numeric' pattern='[0-9]*' value={v} disabled={!pid}
+                        onChange={(e)=>onScore(pid, h, e.target.value.replace(/[^0-9]/g,''))}
+                        style={{ color: colorForRelative(v, parArray[h]) }} />
+                    ) : (
+                      <span style={{ color: colorForRelative(v, parArray[h]) }}>{v || '—'}</span>
+                    )}
+                    {dots && <div className="strokeDots">{dots}</div>}
+                  </td>
+                )
+              })}
+              <td style={{ ...cell, fontWeight:600 }}>{Array.from({ length: 18 }, (_, h) => Number(valueOf(pid, h)) || 0).reduce((a,b)=>a+b,0)}</td>
+            </tr>
+          ))}
+
+          {isWolf && <tr>
+            <td style={{ ...cell, textAlign:'left', fontWeight:600 }}>Wolf</td>
+            {result.perHole.map((r, h) => (
+              <td key={h} style={{ ...cell, backgroundColor: holeBgForPar(parArray[h]), fontSize:12 }}>
+                <div>{r.wolf ? nameOf(r.wolf) : '—'}</div>
+                {onPick && r.wolf ? (
+                  <select value={picks[h] || ''} onChange={e=>onPick(h, e.target.value)} style={{ fontSize:12, maxWidth:90 }}>
+                    <option value=''>Pick…</option>
+                    {playerIds.filter(pid => pid && pid !== r.wolf).map(pid => <option key={pid} value={pid}>w/ {nameOf(pid)}</option>)}
+                    <option value='lone'>Lone wolf</option>
+                    <option value='blind'>Blind wolf</option>
+                  </select>
+                ) : (
+                  <div style={{ color:'var(--muted)' }}>{wolfPickLabel(r.pick, nameOf)}</div>
+                )}
+              </td>
+            ))}
+            <td style={cell}></td>
+          </tr>}
+
+          {playerIds.map((pid, idx) => (
+            <tr key={`pts-${pid || idx}`}>
+              <td style={{ ...cell, textAlign:'left', fontWeight:600 }}>{label(pid, idx)} {mode?.pointsLabel || 'pts'}</td>
+              {result.perHole.map((r, h) => (
+                <td key={h} style={{ ...cell, backgroundColor: holeBgForPar(parArray[h]), fontSize:12, color:'var(--muted)' }}>
+                  {r.complete ? fmtPts(r.points[pid]) : ''}
+                </td>
+              ))}
+              <td style={{ ...cell, fontWeight:700 }}>{pid ? fmtPts(result.totals[pid] || 0) : ''}</td>
+            </tr>
+          ))}
+
+          <tr>
+            <td style={{ ...cell, textAlign:'left', color:'var(--muted)' }}>Result</td>
+            {result.perHole.map((r, h) => (
+              <td key={h} style={{ ...cell, backgroundColor: holeBgForPar(parArray[h]), fontSize:12, color:'var(--muted)' }}>
+                {r.complete ? r.info : '—'}
+              </td>
+            ))}
+            <td style={{ ...cell, fontWeight:600 }}>{result.status.text}</td>
+          </tr>
+        </tbody>
+      </table>
     </div>
   )
 }
 
 /** ------------ History Card Component ------------ */
-function HistoryCard({ h, parArray, perHole, totalsA, totalsB, onDelete, onRename, onRestore, onExportCSV, onExportJSON, onPrint }) {
+function HistoryCard({ h, course, result, perHole, teamRowA, teamRowB, totalsA, totalsB, status, bets, strokes, onDelete, onRename, onRestore, onToggleLock, readOnly, onExportCSV, onExportJSON, onPrint }) {
   const [open, setOpen] = useState(false)
   const [label, setLabel] = useState(h.label || '')
+  const parArray = course.par
   return (
     <div className="card">
       <div className="row" style={{ justifyContent:'space-between' }}>
         <div className="row">
-          <input value={label} onChange={(e)=>setLabel(e.target.value)} onBlur={()=>label!==h.label && onRename(label)} style={{ minWidth: 260 }} />
+          {readOnly ? <b>{h.label}</b> : (
+            <input value={label} disabled={h.locked} onChange={(e)=>setLabel(e.target.value)} onBlur={()=>label!==h.label && onRename(label)} style={{ minWidth: 260 }} />
+          )}
+          {h.locked && <span className="pill"><b>Locked</b></span>}
           <span className="pill">{nowStr(h.savedAt)}</span>
+          {h.round && <span className="pill">{roundLabel({ ...h.round, courseKey: h.courseKey }, [course])}</span>}
+          <span className="pill">{modeLabel(h.mode)}</span>
+          <span className="pill"><b>{h.result || status.text}</b></span>
+          {h.scoring === 'net' && <span className="pill">Net {h.allowance ?? 100}%</span>}
         </div>
         <div className="row">
-          <button className="btn" onClick={onRestore}>Restore to Live</button>
+          {!readOnly && <button className="btn" onClick={onRestore}>Restore to Live</button>}
           <button className="btn" onClick={onExportCSV}>Export CSV</button>
           <button className="btn" onClick={onExportJSON}>Export JSON</button>
           <button className="btn" onClick={onPrint}>Print / PDF</button>
           <button className="btn" onClick={()=>setOpen(o=>!o)}>{open?'Hide':'View'}</button>
-          <button className="btn" onClick={onDelete}>Delete</button>
+          {onToggleLock && <button className="btn" onClick={onToggleLock}>{h.locked ? 'Unlock' : 'Lock'}</button>}
+          {!readOnly && <button className="btn" disabled={h.locked} onClick={onDelete}>Delete</button>}
         </div>
       </div>
 
-      {open && (
+      {open && result.individual && (
+        <PlayersTable
+          mode={getMode(h.mode)}
+          playerIds={h.playerIds}
+          nameOf={(pid) => h.playerNames?.[h.playerIds.indexOf(pid)]}
+          parArray={parArray}
+          result={result}
+          picks={h.wolfPicks || []}
+          valueOf={(pid, i) => h.scores?.[pid]?.[i] ?? ''}
+        />
+      )}
+      {open && !result.individual && (
         <div className="tableWrap" style={{ marginTop:8 }}>
           <table style={{ borderCollapse:'collapse', minWidth:940, width:'100%' }}>
             <thead>
@@ -1143,18 +3001,20 @@ function HistoryCard({ h, parArray, perHole, totalsA, totalsB, onDelete, onRenam
                 </td>
               </tr>
 
-              {/* Team A players */}
-              {h.teamA.playerIds.map((pid, idx) => (
+              {/* Team A players (or team score) */}
+              {entryIds(h.mode, h.teamA).map((pid, idx) => (
                 <tr key={pid || idx}>
                   <td style={{ border:'1px solid var(--border)', padding:6 }}>
-                    {h.teamA.playerNames?.[idx] || (idx===0?'A Player 1':'A Player 2')}
+                    {entryLabel(h.teamA, pid, idx, 'A')}
                   </td>
                   {Array.from({ length: 18 }).map((_, i) => {
                     const v = h.scores?.[pid]?.[i] ?? ''
                     const color = colorForRelative(v, parArray[i])
+                    const dots = strokeDots(strokes(pid, i))
                     return (
                       <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArray[i]), textAlign:'center', color }}>
                         {v || '—'}
+                        {dots && <div className="strokeDots">{dots}</div>}
                       </td>
                     )
                   })}
@@ -1168,7 +3028,8 @@ function HistoryCard({ h, parArray, perHole, totalsA, totalsB, onDelete, onRenam
               <tr>
                 <td style={{ border:'1px solid var(--border)', padding:6, fontWeight:600 }}>{h.teamA.name}</td>
                 {Array.from({ length: 18 }).map((_, i) => (
-                  <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArray[i]), textAlign:'center' }}>
+                  <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArray[i]), textAlign:'center', lineHeight:1.1 }}>
+                    <TeamCellValue cell={teamRowA[i]} />
                     <div style={{ fontSize:12, color:'var(--muted)' }}>({Number(perHole[i].aPts || 0).toFixed(1)})</div>
                   </td>
                 ))}
@@ -1177,18 +3038,20 @@ function HistoryCard({ h, parArray, perHole, totalsA, totalsB, onDelete, onRenam
                 </td>
               </tr>
 
-              {/* Team B players */}
-              {h.teamB.playerIds.map((pid, idx) => (
+              {/* Team B players (or team score) */}
+              {entryIds(h.mode, h.teamB).map((pid, idx) => (
                 <tr key={pid || idx}>
                   <td style={{ border:'1px solid var(--border)', padding:6 }}>
-                    {h.teamB.playerNames?.[idx] || (idx===0?'B Player 1':'B Player 2')}
+                    {entryLabel(h.teamB, pid, idx, 'B')}
                   </td>
                   {Array.from({ length: 18 }).map((_, i) => {
                     const v = h.scores?.[pid]?.[i] ?? ''
                     const color = colorForRelative(v, parArray[i])
+                    const dots = strokeDots(strokes(pid, i))
                     return (
                       <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArray[i]), textAlign:'center', color }}>
                         {v || '—'}
+                        {dots && <div className="strokeDots">{dots}</div>}
                       </td>
                     )
                   })}
@@ -1202,7 +3065,8 @@ function HistoryCard({ h, parArray, perHole, totalsA, totalsB, onDelete, onRenam
               <tr>
                 <td style={{ border:'1px solid var(--border)', padding:6, fontWeight:600 }}>{h.teamB.name}</td>
                 {Array.from({ length: 18 }).map((_, i) => (
-                  <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArray[i]), textAlign:'center' }}>
+                  <td key={i} style={{ border:'1px solid var(--border)', padding:6, backgroundColor: holeBgForPar(parArray[i]), textAlign:'center', lineHeight:1.1 }}>
+                    <TeamCellValue cell={teamRowB[i]} />
                     <div style={{ fontSize:12, color:'var(--muted)' }}>({Number(perHole[i].bPts || 0).toFixed(1)})</div>
                   </td>
                 ))}
@@ -1210,6 +3074,7 @@ function HistoryCard({ h, parArray, perHole, totalsA, totalsB, onDelete, onRenam
                   {totalsB.toFixed(1)}
                 </td>
               </tr>
+              {bets && <BetRows bets={bets} parArray={parArray} />}
             </tbody>
           </table>
         </div>
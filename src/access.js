@@ -0,0 +1,39 @@
+// src/access.js
+// Edit access. The PIN itself is never stored: the owner keeps a hash of it in
+// trips/{id}/private/pin (only the owner can read it), and a device becomes an editor
+// by creating trips/{id}/members/{uid} with the same hash — firestore.rules compare the
+// two, so a viewer who doesn't know the PIN can't write. A trip with a separate watch-only
+// link works the same way with a random edit key (private/editKey) carried in the edit link.
+
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/** SHA-256 (hex) of the PIN salted with the trip id, so equal PINs differ between trips */
+export const hashPin = (tripId, pin) => sha256Hex(`${tripId}:${pin}`)
+
+/** Firestore rejected the write (or read) under the security rules */
+export const isPermissionDenied = (err) => err?.code === 'permission-denied'
+
+/** Random secret for the edit link (?key=) when the trip has a separate watch-only link */
+export function newEditKey() {
+  return [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// Trips created before sign-in have no owner account. scripts/migrate-legacy-trips.js gives each
+// one a claim code for its owner and keeps only the code's hash (private/claim); the owner's device
+// claims the trip by writing the code with its ownerUid, and firestore.rules check it against the hash.
+const CLAIM_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+/** New claim code, shown as "K7PQ-2MXR" */
+export function newClaimCode() {
+  const code = [...crypto.getRandomValues(new Uint8Array(8))].map(b => CLAIM_LETTERS[b % CLAIM_LETTERS.length]).join('')
+  return `${code.slice(0, 4)}-${code.slice(4)}`
+}
+
+/** A claim code as typed → as written with the claim: letters and digits only, upper case */
+export const normClaimCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+/** SHA-256 (hex) of the trip id and the claim code, as firestore.rules compute it */
+export const hashClaimCode = (tripId, code) => sha256Hex(`${tripId}:${normClaimCode(code)}`)
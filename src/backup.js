@@ -0,0 +1,57 @@
+// src/backup.js
+// Whole-trip backups: a versioned JSON copy of the trip document, for keeping after the
+// weekend, restoring into a new room, or starting next year's trip from the same roster.
+// Access settings (owner, PIN, edit links) and the edit log stay with the room and aren't copied.
+
+export const BACKUP_VERSION = 1
+const APP = 'golf-trip'
+// Trip fields a backup carries; scoresByCourse / courseKey only appear in trips from before rounds
+const TRIP_FIELDS = ['players', 'teams', 'matches', 'history', 'cup', 'courses', 'rounds', 'roundId', 'scoresByRound', 'notes', 'scoresByCourse', 'courseKey']
+const LISTS = ['players', 'teams', 'matches', 'history', 'courses', 'rounds']
+
+/** Backup file contents for a trip document (or the app's copy of one) */
+export function makeBackup(trip, tripId) {
+  const data = Object.fromEntries(TRIP_FIELDS.filter(k => trip?.[k] !== undefined).map(k => [k, trip[k]]))
+  return { app: APP, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), tripId, trip: JSON.parse(JSON.stringify(data)) }
+}
+
+/**
+ * Backup file text → { trip, exportedAt, tripId } or { error }. Newer versions than this app
+ * knows are refused rather than half-read.
+ */
+export function readBackup(text) {
+  let b
+  try { b = JSON.parse(text) } catch { return { error: 'Not a trip backup: the file isn\'t JSON' } }
+  if (b?.app !== APP || !b.trip || typeof b.trip !== 'object') return { error: 'Not a trip backup (a scorecard export goes in through History → Import)' }
+  if (!(Number(b.version) >= 1)) return { error: 'This backup has no version' }
+  if (b.version > BACKUP_VERSION) return { error: `This backup is from a newer version of the app (v${b.version}): update the app first` }
+  const bad = LISTS.filter(k => b.trip[k] !== undefined && !Array.isArray(b.trip[k]))
+  if (bad.length) return { error: `The backup is damaged: ${bad.join(', ')} should be ${bad.length === 1 ? 'a list' : 'lists'}` }
+  if ((b.trip.players || []).some(p => !p?.id)) return { error: 'The backup is damaged: a player has no id' }
+  const trip = Object.fromEntries(TRIP_FIELDS.filter(k => b.trip[k] !== undefined).map(k => [k, b.trip[k]]))
+  return { trip, exportedAt: b.exportedAt || '', tripId: b.tripId || '' }
+}
+
+/**
+ * A restored trip as it goes into a new room. Scorekeepers and their requests name devices in
+ * the old room, so they're cleared; everything else comes back as it was.
+ */
+export function restoredTrip(trip) {
+  return { ...trip, matches: (trip.matches || []).map(({ keepers, keeperRequests, ...m }) => m) }
+}
+
+/** Same players (with handicaps), teams, cup sides and courses; no rounds, matches, scores or history */
+export function rosterOf(trip) {
+  return {
+    players: (trip.players || []).map(p => ({ ...p })),
+    teams: (trip.teams || []).map(t => ({ ...t, playerIds: [...(t.playerIds || [])] })),
+    ...(trip.cup ? { cup: { ...trip.cup, sides: (trip.cup.sides || []).map(s => ({ ...s })) } } : {}),
+    ...(trip.courses?.length ? { courses: trip.courses } : {}),
+  }
+}
+
+/** "12 players, 6 teams, 3 live matches, 14 archived scorecards" */
+export function backupSummary(trip) {
+  const n = (list, one, many = `${one}s`) => `${(list || []).length} ${(list || []).length === 1 ? one : many}`
+  return [n(trip.players, 'player'), n(trip.teams, 'team'), n(trip.matches, 'live match', 'live matches'), n(trip.history, 'archived scorecard')].join(', ')
+}
@@ -0,0 +1,33 @@
+// src/csv.js
+// CSV cells for the History exports and the importer (RFC 4180): a cell with a comma,
+// quote or line break is quoted, with its quotes doubled.
+
+/** One cell, quoted when it needs to be */
+export function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v)
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s
+}
+
+/** One line of cells */
+export const csvRow = (cells) => cells.map(csvCell).join(',')
+
+/** CSV text → rows of cells. Quoted cells may hold commas, doubled quotes and line breaks. */
+export function parseCSV(text) {
+  const s = String(text), rows = []
+  let row = [], cell = '', quoted = false
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i]
+    if (quoted) {
+      if (c !== '"') cell += c
+      else if (s[i + 1] === '"') { cell += '"'; i++ }
+      else quoted = false
+    } else if (c === '"') quoted = true
+    else if (c === ',') { row.push(cell); cell = '' }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++
+      row.push(cell); rows.push(row); row = []; cell = ''
+    } else cell += c
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row) }
+  return rows
+}
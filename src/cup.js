@@ -0,0 +1,57 @@
+// src/cup.js
+// Ryder Cup–style trip standings: two sides, each match worth some cup points.
+// Pure like scoring.js — the caller hands in scored matches (live and archived).
+
+export const DEFAULT_CUP = { sides: [{ id: 'red', name: 'Red' }, { id: 'blue', name: 'Blue' }], holder: '' }
+
+/** Cup points as shown on the banner: 14.5 → "14½" */
+export const fmtCup = (n) => `${Math.floor(n) || (n % 1 ? '' : 0)}${n % 1 ? '½' : ''}`
+
+/** Points for side A / side B from a match status (winner 'A' | 'B' | 'halved', leader 'A' | 'B' | null) */
+function split(outcome, points) {
+  if (outcome === 'A') return [points, 0]
+  if (outcome === 'B') return [0, points]
+  return [points / 2, points / 2]
+}
+
+/**
+ * Standings from matches between the two sides:
+ *   cup: { sides: [{ id, name }, { id, name }], holder }  — holder retains the cup on a tie
+ *   entries: [{ sideA, sideB, points, status }]            — status from scoreMatch (A/B = the match's two sides)
+ * Finished matches count as won; live matches with scores are projected from the current leader
+ * (all square = half each); matches without scores only add to the points available.
+ * Needed: more than half the available points wins; the holder needs exactly half to retain
+ * (assumes cup points in halves, e.g. 28 → 14½ to win, 14 to retain).
+ */
+export function cupStandings(cup, entries) {
+  const sides = (cup?.sides || DEFAULT_CUP.sides).map(s => ({ ...s, won: 0, live: 0 }))
+  const byId = Object.fromEntries(sides.map(s => [s.id, s]))
+  let total = 0, played = 0
+  for (const e of entries) {
+    const a = byId[e.sideA], b = byId[e.sideB]
+    if (!a || !b || a === b) continue
+    const points = Number(e.points) || 0
+    total += points
+    const st = e.status
+    if (st?.winner) {
+      const [pa, pb] = split(st.winner, points)
+      a.won += pa; b.won += pb; played += points
+    } else if (st?.completed > 0) {
+      const [pa, pb] = split(st.leader, points)
+      a.live += pa; b.live += pb
+    }
+  }
+  const half = total / 2
+  const holder = byId[cup?.holder] ? cup.holder : ''
+  for (const s of sides) {
+    s.target = s.id === holder ? half : half + 0.5
+    s.needed = Math.max(0, s.target - s.won)
+    s.projected = s.won + s.live
+    s.clinched = total > 0 && s.won >= s.target
+  }
+  const winner = sides.find(s => s.clinched) || null
+  const text = !total ? 'No cup matches yet'
+    : winner ? `${winner.name} ${winner.id === holder ? 'retains' : 'wins'} the cup`
+    : sides.map(s => `${s.name} needs ${fmtCup(s.needed)} to ${s.id === holder ? 'retain' : 'win'}`).join(' • ')
+  return { sides, total, played, remaining: total - played, holder, winner, text }
+}
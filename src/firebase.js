@@ -1,6 +1,7 @@
 // src/firebase.js
 import { initializeApp, getApps, getApp } from "firebase/app";
 import { getFirestore, enableIndexedDbPersistence } from "firebase/firestore";
+import { getAuth, onAuthStateChanged, signInAnonymously } from "firebase/auth";
 
 // OPTION A: hardcode (fastest). Paste your values here:
 const directConfig = {
@@ -18,6 +19,16 @@ if (!directConfig.projectId) {
 
 const app = getApps().length ? getApp() : initializeApp(directConfig);
 export const db = getFirestore(app);
+export const auth = getAuth(app);
+
+// Every device signs in anonymously; firestore.rules decide what each uid may write.
+// Resolves with the user once signed in (a returning device keeps its uid).
+export const authReady = new Promise((resolve) => {
+  const stop = onAuthStateChanged(auth, (user) => {
+    if (user) { stop(); resolve(user); return; }
+    signInAnonymously(auth).catch((e) => console.error("Anonymous sign-in failed", e));
+  });
+});
 
 // Offline cache (safe to ignore errors)
 enableIndexedDbPersistence(db).catch(() => {});
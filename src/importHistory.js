@@ -0,0 +1,212 @@
+// src/importHistory.js
+// Reading archived scorecards back in from the History tab's exports (JSON and CSV), so a
+// lost trip can be rebuilt or two rooms merged without retyping scores.
+// Pure: parse → validate → remap players; the app shows the preview and saves.
+import { getMode, listModes } from './modes'
+import { entryIds, teamScoreId, isTeamScoreId } from './scoring'
+import { parseCSV } from './csv'
+
+const norm = (s) => String(s || '').trim().toLowerCase()
+const newId = () => Math.random().toString(36).slice(2, 9)
+
+/** Players on an archived item: [{ id, name }] (individual games, or both teams' players) */
+export function itemPlayers(h) {
+  if (Array.isArray(h.playerIds)) return h.playerIds.map((id, i) => ({ id, name: h.playerNames?.[i] || '' }))
+  return [h.teamA, h.teamB].filter(Boolean).flatMap(t => (Array.isArray(t.playerIds) ? t.playerIds : []).map((id, i) => ({ id, name: t.playerNames?.[i] || '' })))
+}
+/** Score rows the item should have: the players, or each team's single score in scramble-style modes */
+const itemEntries = (h) => Array.isArray(h.playerIds) ? h.playerIds : [...entryIds(h.mode, h.teamA), ...entryIds(h.mode, h.teamB)]
+
+/**
+ * Problems with an item before it goes into history: { errors, warnings }. Errors block the import.
+ *   courses: the trip's courses; historyIds: ids already in history (a repeat is imported as a copy)
+ */
+export function validateItem(h, { courses = [], historyIds = [] } = {}) {
+  const errors = [], warnings = []
+  const md = getMode(h.mode)
+  if (!md) errors.push(`Unknown game mode "${h.mode || ''}"`)
+  if (typeof h.label !== 'string' || !h.label.trim()) errors.push('The scorecard has no label')
+  const individual = Array.isArray(h.playerIds)
+  if (individual) {
+    if (md && !md.individual) errors.push(`${md.label} is a team game but the scorecard has no teams`)
+    else if (md && h.playerIds.length !== md.playersNeeded) errors.push(`${md.label} needs ${md.playersNeeded} players, the scorecard has ${h.playerIds.length}`)
+  } else if (![h.teamA, h.teamB].every(t => Array.isArray(t?.playerIds) && t.playerIds.length)) errors.push('The scorecard needs two teams with players')
+  else if (md?.individual) errors.push(`${md.label} is played by individuals but the scorecard has teams`)
+
+  const players = itemPlayers(h)
+  players.forEach((p, i) => { if (!String(p.name).trim()) errors.push(`Player ${i + 1} has no name`) })
+  const seen = new Set()
+  for (const p of players) {
+    if (p.name && seen.has(norm(p.name))) errors.push(`Two players are called "${p.name}"`)
+    seen.add(norm(p.name))
+  }
+
+  // Every score row is a list of 18 cells, including rows for no one on the card
+  if (!h.scores || typeof h.scores !== 'object' || Array.isArray(h.scores)) errors.push('The scorecard has no scores')
+  const entries = md ? itemEntries(h) : []
+  for (const [id, row] of Object.entries(h.scores || {})) {
+    if (!entries.includes(id) && !Array.isArray(row)) errors.push(`Scores for "${id}" aren't a list of holes`)
+  }
+  for (const [k, what] of [['wolfPicks', 'Wolf picks'], ['presses', 'Presses']]) if (h[k] !== undefined && h[k] !== null && !Array.isArray(h[k])) errors.push(`${what} aren't a list`)
+  const nameOf = (id) => isTeamScoreId(id) ? `${[h.teamA, h.teamB].find(t => teamScoreId(t) === id)?.name || 'Team'} score` : players.find(p => p.id === id)?.name || 'Player'
+  for (const id of entries) {
+    const row = h.scores?.[id]
+    if (!Array.isArray(row)) { errors.push(`${nameOf(id)}: no scores`); continue }
+    if (row.length !== 18) errors.push(`${nameOf(id)}: ${row.length} holes, expected 18`)
+    row.forEach((v, i) => {
+      if (v !== '' && v !== null && !(Number.isInteger(Number(v)) && Number(v) >= 1 && Number(v) <= 20)) errors.push(`${nameOf(id)}, hole ${i + 1}: "${v}" is not a score`)
+    })
+  }
+
+  const snap = h.course
+  const snapOk = snap && Array.isArray(snap.par) && snap.par.length === 18 && Array.isArray(snap.si) && snap.si.length === 18
+  if (snap && !snapOk) errors.push(`Course ${snap.name || h.courseKey || ''}: par and stroke index need 18 holes`)
+  const known = courses.find(c => c.key === h.courseKey)
+  if (!h.courseKey) errors.push('No course key')
+  else if (!known && !snapOk) errors.push(`Unknown course "${h.courseKey}" and no course saved with the scorecard`)
+  else if (!known) warnings.push(`${snap.name || h.courseKey} isn't one of this trip's courses: the scorecard keeps its own copy`)
+  else if (snapOk && snap.par.some((p, i) => Number(p) !== Number(known.par[i]))) warnings.push(`Par differs from this trip's ${known.name}: the scorecard keeps its own`)
+
+  if (historyIds.includes(h.id)) warnings.push('Already in this trip\'s history: it will be added again as a copy')
+  return { errors, warnings }
+}
+
+/**
+ * Scorecard CSV (exportHistoryCSV) → history item. The CSV has no stroke index, handicaps or
+ * presses: the course comes from the trip by name and handicaps from the players it's mapped to.
+ * Returns { item, errors, warnings } (item is null when the file can't be read as a scorecard).
+ */
+export function parseScorecardCSV(text, courses = []) {
+  const errors = [], warnings = []
+  const lines = parseCSV(text).map(r => r.map(c => c.trim()))
+  const blank = lines.findIndex(r => r.every(c => !c))
+  // Header: one "Name: value" cell per line
+  const head = lines.slice(0, blank < 0 ? lines.length : blank).map(r => r.join(', '))
+  const field = (name) => head.find(l => l.startsWith(`${name}: `))?.slice(name.length + 2).trim() || ''
+  const start = lines.findIndex(r => r[0] === 'Hole' && r[1] === 'Par')
+  if (start < 0) return { item: null, errors: ['Not a scorecard CSV: no "Hole,Par,…" table'], warnings }
+  const cols = lines[start]
+  const rows = lines.slice(start + 1, start + 19)
+  if (rows.length < 18 || rows.some((r, i) => r[0] !== String(i + 1))) errors.push(`The table needs one row for each of holes 1–18`)
+
+  const md = listModes().find(m => m.id === field('Mode') || m.label === field('Mode'))
+  if (!md) return { item: null, errors: [...errors, `Unknown game mode "${field('Mode')}"`], warnings }
+  const [courseName, date = ''] = field('Course').split(' • ')
+  const course = courses.find(c => norm(c.name) === norm(courseName))
+  if (!course) errors.push(`Unknown course "${courseName}": add it on the Courses tab first (the CSV has no stroke index)`)
+  const par = rows.map(r => Number(r[1]))
+  if (course && par.some((p, i) => p !== Number(course.par[i]))) warnings.push(`Par differs from this trip's ${course.name}: the scorecard keeps the CSV's`)
+  const net = field('Scoring').match(/^net \((\d+)%\)/)
+  const col = (label) => cols.indexOf(label)
+  const column = (i) => rows.map(r => r[i] ?? '')
+
+  const item = {
+    id: newId(),
+    savedAt: Date.parse(field('Saved')) || Date.now(),
+    courseKey: course?.key || '',
+    roundId: '',
+    round: { date: /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : '', teeId: '', teeName: '' },
+    course: course ? { key: course.key, name: course.name, par, si: [...(course.si || [])] } : null,
+    mode: md.id,
+    scoring: net ? 'net' : 'gross',
+    allowance: net ? Number(net[1]) : 100,
+    cupPoints: 1,
+    handicaps: {},
+    scores: {},
+    ...(field('Result') ? { result: field('Result') } : {}),
+  }
+  if (md.individual) {
+    const end = [col('Wolf'), col('Result')].filter(i => i > 1).sort((a, b) => a - b)[0] ?? cols.length
+    const names = cols.slice(2, end)
+    const ids = names.map(() => newId())
+    names.forEach((_, i) => { item.scores[ids[i]] = column(2 + i) })
+    Object.assign(item, { playerIds: ids, playerNames: names })
+    if (col('Pick') > 1) {
+      const idOf = (name) => ids[names.findIndex(n => norm(n) === norm(name))] || ''
+      item.wolfPicks = column(col('Pick')).map(p => p === 'Lone wolf' ? 'lone' : p === 'Blind wolf' ? 'blind' : p.startsWith('w/ ') ? idOf(p.slice(3)) : '')
+    }
+    item.label = `Match • ${course?.name || courseName} • ${md.label}: ${names.join(' / ')}`
+  } else {
+    const teamLine = head.find(l => l.includes(' vs ') && !/^\w+: /.test(l)) || 'Team A vs Team B'
+    const at = teamLine.indexOf(' vs ')
+    const [nameA, nameB] = [teamLine.slice(0, at), teamLine.slice(at + 4)]
+    const teamA = { id: newId(), name: nameA, sideId: '', playerIds: [], playerNames: [] }
+    const teamB = { id: newId(), name: nameB, sideId: '', playerIds: [], playerNames: [] }
+    if (md.teamScore) {
+      // "<Team> score (Ann / Bob)": one score column per team, its players in brackets
+      const end = cols.findIndex((c, i) => i > 1 && (c.endsWith(' net') || c === 'A pts'))
+      const names = cols.slice(2, end < 0 ? cols.length : end)
+      if (names.length !== 2) errors.push(`${md.label} needs one score column per team`)
+      ;[teamA, teamB].forEach((t, i) => {
+        t.playerNames = (names[i]?.match(/\(([^)]*)\)$/)?.[1] || '').split(' / ').map(s => s.trim()).filter(Boolean)
+        t.playerIds = t.playerNames.map(() => newId())
+        item.scores[teamScoreId(t)] = column(2 + i)
+      })
+    } else {
+      // The "Team" line above the table marks each player's score column A or B
+      const sides = lines[start - 1]?.[0] === 'Team' ? lines[start - 1] : null
+      if (!sides) errors.push('The CSV doesn\'t say which team each player is on: export it again, or use the JSON export')
+      ;[teamA, teamB].forEach((t, i) => {
+        const own = cols.map((_, c) => c).filter(c => c > 1 && sides?.[c] === 'AB'[i])
+        t.playerNames = own.map(c => cols[c])
+        t.playerIds = own.map(() => newId())
+        t.playerIds.forEach((pid, j) => { item.scores[pid] = column(own[j]) })
+      })
+    }
+    if (lines.some(r => r[0].startsWith('Press '))) warnings.push('Manual presses aren\'t in the CSV: use the JSON export to keep them')
+    Object.assign(item, { teamA, teamB, closeout: 'play', autoPress: true, presses: [] })
+    item.label = `Match • ${course?.name || courseName} • ${nameA} vs ${nameB}`
+  }
+  if (item.scoring === 'net') warnings.push('The CSV has no handicaps: net strokes use the handicaps of the players it\'s mapped to')
+  return { item, errors, warnings }
+}
+
+/**
+ * A file's scorecards → [{ item, errors, warnings }]. JSON may hold one exported item or a list.
+ *   ctx: { courses, historyIds } as for validateItem
+ */
+export function parseImportFile(text, ctx = {}) {
+  const trimmed = String(text).trim()
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data
+    try { data = JSON.parse(trimmed) } catch (e) { return [{ item: null, errors: [`Not valid JSON: ${e.message}`], warnings: [] }] }
+    return [].concat(data).map(h => h && typeof h === 'object'
+      ? { item: h, ...validateItem(h, ctx) }
+      : { item: null, errors: ['Not an archived scorecard'], warnings: [] })
+  }
+  const parsed = parseScorecardCSV(trimmed, ctx.courses)
+  if (!parsed.item) return [parsed]
+  const v = validateItem(parsed.item, ctx)
+  // An unknown course is already reported by name
+  const errors = [...parsed.errors, ...v.errors.filter(e => !(e === 'No course key' && !parsed.item.courseKey))]
+  return [{ item: parsed.item, errors, warnings: [...parsed.warnings, ...v.warnings] }]
+}
+
+/**
+ * The item with its players swapped for the trip's: idMap = { [importedId]: { id, name, handicap } }.
+ * Teams with the same name as a trip team take that team's id (and cup side when the item has none).
+ * Handicaps missing from the item come from the mapped players.
+ */
+export function remapItem(h, idMap, teams = []) {
+  const to = (pid) => idMap[pid]?.id || pid
+  const handicaps = {}
+  itemPlayers(h).forEach(p => { handicaps[to(p.id)] = h.handicaps?.[p.id] ?? idMap[p.id]?.handicap ?? '' })
+  const teamIds = {}
+  const team = (t) => {
+    if (!t) return t
+    const same = teams.find(x => norm(x.name) === norm(t.name))
+    const id = same?.id || t.id
+    teamIds[teamScoreId(t)] = teamScoreId({ id })
+    return { ...t, id, sideId: t.sideId || same?.sideId || '', playerIds: t.playerIds.map(to), playerNames: t.playerIds.map((pid, i) => idMap[pid]?.name || t.playerNames?.[i] || '') }
+  }
+  const teamA = team(h.teamA), teamB = team(h.teamB)
+  const scores = Object.fromEntries(Object.entries(h.scores || {}).map(([id, row]) => [teamIds[id] || to(id), row.map(v => v === null ? '' : String(v))]))
+  return {
+    ...h,
+    handicaps,
+    scores,
+    ...(teamA ? { teamA, teamB } : {}),
+    ...(Array.isArray(h.playerIds) ? { playerIds: h.playerIds.map(to), playerNames: h.playerIds.map((pid, i) => idMap[pid]?.name || h.playerNames?.[i] || '') } : {}),
+    ...(h.wolfPicks ? { wolfPicks: h.wolfPicks.map(p => p === 'lone' || p === 'blind' ? p : p && to(p)) } : {}),
+  }
+}
@@ -0,0 +1,47 @@
+// src/leaderboard.js
+// Individual stroke-play leaderboard (gross and net) run alongside the team matches.
+// Pure like stats.js — built from the same player cards (see playerCards).
+import { playingHandicap, strokesOnHole } from './scoring'
+
+/**
+ * Rank every player by score to par through the holes they've played:
+ *   cards: from playerCards (filter to one round first for a single-round board)
+ *   scoring: 'gross' | 'net' — net takes full handicap strokes by stroke index (as matches at 100%)
+ *   currentRoundId: the round being played; "today" and "thru" come from it
+ * Returns rows sorted by toPar → [{ id, name, pos, tied, toPar, strokes, holes, rounds, today, thru }]
+ *   pos / tied: 1, 2, 2, 4 … with tied set for shared places ("T2")
+ *   today: to par in the current round (null when not playing it); thru: holes played in it, 18 = finished
+ */
+export function leaderboard(cards, scoring = 'gross', currentRoundId = '') {
+  const byPlayer = {}
+  for (const c of cards) {
+    const p = byPlayer[c.pid] ||= { id: c.pid, name: '', toPar: 0, strokes: 0, holes: 0, rounds: 0, today: null, thru: 0 }
+    p.name ||= c.name
+    const phcp = scoring === 'net' ? playingHandicap(c.handicap, 100) : 0
+    let toPar = 0, holes = 0
+    c.holes.forEach((s, h) => {
+      const par = Number(c.par[h])
+      if (!Number.isFinite(s) || !par) return
+      const net = s - strokesOnHole(phcp, c.si[h])
+      p.strokes += net; toPar += net - par; holes++
+    })
+    if (!holes) continue
+    p.toPar += toPar; p.holes += holes; p.rounds++
+    if (c.roundId && c.roundId === currentRoundId) { p.today = toPar; p.thru = holes }
+  }
+  const rows = Object.values(byPlayer).filter(p => p.holes)
+    .sort((a, b) => a.toPar - b.toPar || b.holes - a.holes || a.name.localeCompare(b.name))
+  rows.forEach((r, i) => {
+    const first = rows.findIndex(x => x.toPar === r.toPar)
+    r.pos = first + 1
+    r.tied = rows[first + 1]?.toPar === r.toPar
+  })
+  return rows
+}
+
+/** Leaderboard score to par: "−3", "E", "+12" */
+export const fmtScore = (n) => n === null ? '—' : n === 0 ? 'E' : `${n > 0 ? '+' : '−'}${Math.abs(n)}`
+/** "T2" for a shared place */
+export const fmtPos = (r) => `${r.tied ? 'T' : ''}${r.pos}`
+/** "thru 12", "F" when the round is finished, "—" when not out today */
+export const fmtThru = (r) => r.today === null ? '—' : r.thru >= 18 ? 'F' : `thru ${r.thru}`
@@ -0,0 +1,128 @@
+// src/ledger.js
+// Trip betting ledger: what each match's stake is worth per player, the running
+// totals across the trip, and the fewest transfers that square everyone up.
+// Pure like scoring.js — matches come in already scored.
+
+export const STAKE_TYPES = [
+  { id: 'point', label: '$ per point' },
+  { id: 'skin', label: '$ per skin' },
+  { id: 'flat', label: 'Flat $ bet' },
+]
+
+/** Dollars as shown in the ledger: "$12.50", "−$5" */
+export const fmtMoney = (n) => `${n < 0 ? '−' : ''}$${Math.abs(n).toFixed(Math.round(n * 100) % 100 ? 2 : 0)}`
+const cents = (n) => Math.round(n * 100)
+
+/**
+ * Side A's winnings in stake units (negative when side B wins) for a head-to-head match:
+ *   point — the final (or running) points margin
+ *   skin  — holes won outright, a Skins hole counting its carried skins (in stroke play the
+ *           per-hole points are strokes, so the lower score wins the hole: `lowerWins`)
+ *   flat  — one unit per decided bet (each Nassau bet / press, else the match)
+ */
+function unitsForA(type, res, { isSkins, lowerWins, sides }) {
+  const toAB = (x) => x === 'A' || x === sides[0] ? 1 : x === 'B' || x === sides[1] ? -1 : 0
+  if (type === 'flat') {
+    const bets = res.bets?.length ? res.bets.map(b => b.status) : [res.status]
+    return bets.reduce((t, st) => t + (st.winner ? toAB(st.winner) : 0), 0)
+  }
+  if (type === 'skin') {
+    return res.perHole.reduce((t, r) => {
+      if (!r.complete || r.aPts === r.bPts) return t
+      const aWins = lowerWins ? r.aPts < r.bPts : r.aPts > r.bPts
+      return t + (aWins ? 1 : -1) * (isSkins ? Math.max(r.aPts, r.bPts) : 1)
+    }, 0)
+  }
+  return toAB(res.status.leader) * (res.status.margin || 0)
+}
+
+/**
+ * Money per player for one match: { [playerId]: dollars } (positive = won).
+ *   stake: { type: 'point' | 'skin' | 'flat', amount }  — amount is per player
+ *   res: scoreMatch result
+ *   playersA / playersB: who is on each side; singles also pass `sides` = [p1, p2] (their
+ *   status names winners by player id); Wolf passes `points` (zero-sum per player) instead;
+ *   `lowerWins` for modes whose per-hole points are strokes (singles stroke play)
+ * Each player on the losing side pays amount × units; the winners split that pot evenly.
+ */
+export function matchMoney(stake, res, { playersA = [], playersB = [], sides = [], points = null, isSkins = false, lowerWins = false } = {}) {
+  const amount = Number(stake?.amount) || 0
+  if (!stake?.type || !amount) return {}
+  if (points) return Object.fromEntries(Object.entries(points).map(([pid, pts]) => [pid, pts * amount]))
+  if (!playersA.length || !playersB.length) return {}
+  const units = unitsForA(stake.type, res, { isSkins, lowerWins, sides })
+  if (!units) return {}
+  const [win, lose] = units > 0 ? [playersA, playersB] : [playersB, playersA]
+  const pot = Math.abs(units) * amount * lose.length
+  const out = {}
+  lose.forEach(pid => { out[pid] = (out[pid] || 0) - Math.abs(units) * amount })
+  win.forEach(pid => { out[pid] = (out[pid] || 0) + pot / win.length })
+  return out
+}
+
+/**
+ * Trip ledger from per-match money: entries = [{ id, label, live, money }].
+ * Returns players sorted by net ({ id, won, lost, net }) and the per-match lines.
+ */
+export function tripLedger(entries) {
+  const byPlayer = {}
+  for (const e of entries) {
+    for (const [pid, amt] of Object.entries(e.money)) {
+      const p = byPlayer[pid] ||= { id: pid, won: 0, lost: 0, net: 0 }
+      if (amt > 0) p.won += amt; else p.lost -= amt
+      p.net += amt
+    }
+  }
+  const players = Object.values(byPlayer).sort((a, b) => b.net - a.net)
+  return { players, lines: entries.filter(e => Object.keys(e.money).length) }
+}
+
+/**
+ * Fewest transfers that settle the balances ({ [playerId]: net dollars }) → [{ from, to, amount }].
+ * Splitting the players into as many zero-sum groups as possible minimises transfers (a group of
+ * k settles in k − 1); found exactly by a subset search for up to 16 players, greedily beyond that.
+ */
+export function settle(balances) {
+  const people = Object.entries(balances).map(([id, amt]) => ({ id, c: cents(amt) })).filter(p => p.c !== 0)
+  // Uneven pot splits can leave a cent over after rounding: give it to the biggest balance
+  const drift = people.reduce((t, p) => t + p.c, 0)
+  if (drift && people.length) people.reduce((a, b) => Math.abs(b.c) > Math.abs(a.c) ? b : a).c -= drift
+  const n = people.length
+  const groups = []
+  if (n > 0 && n <= 16) {
+    const full = (1 << n) - 1
+    const sum = new Array(full + 1).fill(0), best = new Array(full + 1).fill(0)
+    for (let m = 1; m <= full; m++) {
+      const low = 31 - Math.clz32(m & -m)
+      sum[m] = sum[m & (m - 1)] + people[low].c
+      let b = 0
+      for (let i = 0; i < n; i++) if (m & (1 << i)) b = Math.max(b, best[m ^ (1 << i)])
+      best[m] = b + (sum[m] === 0 ? 1 : 0)
+    }
+    // Walk back from everyone: each stretch between zero-sum remainders is one group
+    let m = full, group = []
+    while (m) {
+      for (let i = 0; i < n; i++) {
+        if (!(m & (1 << i))) continue
+        const rest = m ^ (1 << i)
+        if (best[rest] + (sum[m] === 0 ? 1 : 0) === best[m]) { group.push(people[i]); m = rest; break }
+      }
+      if (sum[m] === 0) { groups.push(group); group = [] }
+    }
+  } else if (n) groups.push(people)
+
+  const transfers = []
+  for (const g of groups) {
+    const debtors = g.filter(p => p.c < 0).map(p => ({ ...p, c: -p.c }))
+    const creditors = g.filter(p => p.c > 0).map(p => ({ ...p }))
+    while (debtors.length && creditors.length) {
+      debtors.sort((a, b) => b.c - a.c); creditors.sort((a, b) => b.c - a.c)
+      const d = debtors[0], c = creditors[0], amt = Math.min(d.c, c.c)
+      transfers.push({ from: d.id, to: c.id, amount: amt / 100 })
+      d.c -= amt; c.c -= amt
+      if (!d.c) debtors.shift()
+      if (!c.c) creditors.shift()
+    }
+  }
+  return transfers
+}
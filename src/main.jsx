@@ -1,5 +1,14 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+// Inter ships with the bundle (Latin; other scripts fall back to the system font), so the
+// service worker precaches it with everything else and the app looks the same offline
+import '@fontsource/inter/latin-400.css'
+import '@fontsource/inter/latin-600.css'
 
 createRoot(document.getElementById('root')).render(<App />)
+
+// Offline app shell (built only: dist/sw.js comes from src/sw.js via vite.config.js)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => { navigator.serviceWorker.register('./sw.js').catch(() => {}) })
+}
@@ -0,0 +1,54 @@
+// src/matchStatus.js
+// Match status from per-hole results: running totals, dormie, closeout and the
+// final result string. Used by the scoring engine and by modes that run side bets.
+
+export const HOLES = 18
+
+const fmtPts = (n) => Number.isInteger(n) ? String(n) : n.toFixed(1)
+
+/**
+ * Running status from per-hole results (optionally only through hole index `upTo`).
+ * `holes` is the match length (18, or 9 for a Nassau side).
+ * For match-play modes the match is decided once the lead exceeds the points left
+ * (holes are taken in order); the result then uses "3&2" / "1 up" / "Halved".
+ */
+export function matchStatus(perHole, nameA = 'A', nameB = 'B', { upTo, pointsPerHole = 1, matchPlay = false, holes = HOLES } = {}) {
+  if (upTo === undefined) upTo = holes - 1
+  const played = perHole.slice(0, upTo + 1)
+  let decidedAt = null
+  if (matchPlay) {
+    let a = 0, b = 0
+    for (let i = 0; i < played.length; i++) {
+      const r = played[i]
+      if (!r.complete) break
+      a += r.aPts; b += r.bPts
+      if (Math.abs(a - b) > (holes - 1 - i) * pointsPerHole) { decidedAt = i; break }
+    }
+  }
+  const counted = decidedAt === null ? played : played.slice(0, decidedAt + 1)
+  const totalsA = counted.reduce((s, r) => s + (r.complete ? r.aPts : 0), 0)
+  const totalsB = counted.reduce((s, r) => s + (r.complete ? r.bPts : 0), 0)
+  const completed = counted.filter(r => r.complete).length
+  const leader = totalsA > totalsB ? 'A' : totalsB > totalsA ? 'B' : null
+  const margin = Math.abs(totalsA - totalsB)
+  const remaining = decidedAt === null ? holes - completed : holes - 1 - decidedAt
+  const finished = decidedAt !== null || (played.length === holes && played.every(r => r.complete))
+  const dormie = matchPlay && !finished && leader !== null && remaining > 0 && margin === remaining * pointsPerHole
+  const leaderName = leader === 'A' ? nameA : nameB
+
+  let result = null
+  if (finished) {
+    if (!leader) result = 'Halved'
+    else if (matchPlay) result = remaining > 0 ? `${fmtPts(margin)}&${remaining}` : `${fmtPts(margin)} up`
+    else result = `by ${fmtPts(margin)}`
+  }
+  const text =
+    completed === 0 ? 'No scores yet' :
+    result ? (leader ? `${leaderName} wins ${result}` : 'Halved') :
+    matchPlay ? (leader ? `${leaderName} ${fmtPts(margin)} up${dormie ? ' (dormie)' : ''} thru ${completed}` : `All square thru ${completed}`) :
+    leader === 'A' ? `${nameA} up ${margin.toFixed(1)}` :
+    leader === 'B' ? `${nameB} up ${margin.toFixed(1)}` :
+    'All square'
+  const winner = finished ? (leader || 'halved') : null
+  return { totalsA, totalsB, completed, leader, margin, remaining, decidedAt, dormie, finished, winner, result, text }
+}
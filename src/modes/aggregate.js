@@ -0,0 +1,19 @@
+// Aggregate: lower combined team score wins the hole.
+import { TIE } from './shared'
+
+const sum = (s) => s.reduce((a, b) => a + b, 0)
+
+export default {
+  id: "aggregate",
+  label: "Aggregate (1 pt)",
+  pointsPerHole: 1,
+  matchPlay: true,
+  order: 40,
+  scoreHole(aS, bS) {
+    const aTot = sum(aS), bTot = sum(bS)
+    if (aTot < bTot) return { aPts: 1, bPts: 0, info: `A ${aTot} vs ${bTot}`, complete: true }
+    if (bTot < aTot) return { aPts: 0, bPts: 1, info: `B ${bTot} vs ${aTot}`, complete: true }
+    return { aPts: TIE, bPts: TIE, info: "Push", complete: true }
+  },
+  teamRow: (s, par) => ({ value: sum(s), colorPar: par * s.length }),
+}
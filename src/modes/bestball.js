@@ -0,0 +1,17 @@
+// Best Ball: lower team best score wins the hole.
+import { TIE } from './shared'
+
+export default {
+  id: "bestball",
+  label: "Best Ball (1 pt)",
+  pointsPerHole: 1,
+  matchPlay: true,
+  order: 10,
+  scoreHole(aS, bS) {
+    const aBest = Math.min(...aS), bBest = Math.min(...bS)
+    if (aBest < bBest) return { aPts: 1, bPts: 0, info: `A best ${aBest} beats ${bBest}`, complete: true }
+    if (bBest < aBest) return { aPts: 0, bPts: 1, info: `B best ${bBest} beats ${aBest}`, complete: true }
+    return { aPts: TIE, bPts: TIE, info: "Push", complete: true }
+  },
+  teamRow: (s, par) => ({ value: Math.min(...s), colorPar: par }),
+}
@@ -0,0 +1,17 @@
+// Captain & Mate: captains play each other, mates play each other.
+import { versus } from './shared'
+
+export default {
+  id: "captainmate",
+  label: "Captain & Mate (2 pts)",
+  pointsPerHole: 2,
+  matchPlay: true,
+  order: 30,
+  minPlayers: 2,
+  maxPlayers: 2,
+  scoreHole(aS, bS) {
+    const [cA, cB] = versus(aS[0], bS[0]), [mA, mB] = versus(aS[1], bS[1])
+    return { aPts: cA + mA, bPts: cB + mB, info: `Cap ${aS[0]}/${bS[0]}, Mate ${aS[1]}/${bS[1]}`, complete: true }
+  },
+  teamRow: (s) => ({ value: `${s[0]}/${s[1]}` }),
+}
@@ -0,0 +1,13 @@
+// Alternate shot (foursomes): partners alternate shots on one ball; one team score per hole.
+import scramble from './scramble'
+
+export default {
+  ...scramble,
+  id: "foursomes",
+  label: "Alternate Shot / Foursomes (1 pt)",
+  order: 14,
+  minPlayers: 2,
+  maxPlayers: 2,
+  // Team handicap: half the combined indexes
+  teamHandicap: (indexes) => indexes.reduce((t, idx) => t + idx, 0) / 2,
+}
@@ -0,0 +1,18 @@
+// High–Low: one point for the better low ball, one for the better high ball.
+import { versus } from './shared'
+
+export default {
+  id: "highlow",
+  label: "High–Low (2 pts)",
+  pointsPerHole: 2,
+  matchPlay: true,
+  order: 20,
+  minPlayers: 2,
+  scoreHole(aS, bS) {
+    const aLow = Math.min(...aS), aHigh = Math.max(...aS)
+    const bLow = Math.min(...bS), bHigh = Math.max(...bS)
+    const [lA, lB] = versus(aLow, bLow), [hA, hB] = versus(aHigh, bHigh)
+    return { aPts: lA + hA, bPts: lB + hB, info: `Low ${aLow}/${bLow}, High ${aHigh}/${bHigh}`, complete: true }
+  },
+  teamRow: (s) => ({ value: `${Math.min(...s)}/${Math.max(...s)}` }),
+}
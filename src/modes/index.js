@@ -0,0 +1,56 @@
+// src/modes/index.js
+// Game-mode registry. Every other file in this folder default-exports one mode
+// (or an array of closely related variants):
+//
+//   {
+//     id, label,            // stored on matches / shown in the <select>
+//     pointsPerHole,        // max points a hole is worth (before any post-pass)
+//     matchPlay,            // true if holes are won/lost outright (closeout, dormie, "3&2")
+//     order,                // sort position in the <select> (optional)
+//     scoreHole(aS, bS, par, match) → { aPts, bPts, info, complete }   // (net) scores per team, one per player
+//     teamRow(s, par, match) → { value, colorPar? }              // team row cell; colorPar = par basis for coloring
+//     minPlayers, maxPlayers // optional team size limits (teams hold 1–4 players)
+//     teamScore             // true if each team enters one score per hole (scramble); s / aS / bS then hold
+//                           // that one score and teamHandicap(indexes) gives the team's handicap before allowance
+//     countsBest            // true if the scorecard offers a "best N balls count" setting (match.bestBalls)
+//     postPass(perHole)     → perHole                            // optional, e.g. skins carry
+//     bets(perHole, match, nameA, nameB) → [{ id, label, start, end, running, status }]
+//                           // optional side bets shown under the team rows (e.g. Nassau)
+//     presses               // true if the scorecard offers press buttons (match.presses)
+//   }
+//
+// Individual modes (no teams, e.g. Wolf) instead set `individual: true`,
+// `playersNeeded`, `layout` ('wolf' | 'singles', picks the scorecard) and
+// score(ctx) → { perHole, totals, standings, completed, status }
+// where ctx = { ...match, net(pid, h), par, nameOf(pid) } and status.winner is a player id or 'halved'.
+// `lowerWins` marks modes whose per-hole points are strokes (lower wins the hole, e.g. stroke play).
+//
+// Dropping a new file here is enough: it's picked up by the match <select>,
+// scorecards, history, exports and records.
+
+const files = import.meta.glob(['./*.js', '!./index.js', '!./shared.js'], { eager: true })
+
+const registry = new Map()
+
+/** Add (or replace) a mode at runtime */
+export function registerMode(mode) {
+  const teamMode = typeof mode?.scoreHole === 'function' && typeof mode?.teamRow === 'function'
+  const individualMode = mode?.individual && typeof mode?.score === 'function'
+  if (!mode?.id || !(teamMode || individualMode)) {
+    throw new Error(`Invalid game mode: ${mode?.id || '(no id)'}`)
+  }
+  registry.set(mode.id, mode)
+}
+
+Object.values(files)
+  .flatMap(f => [].concat(f.default || []))
+  .forEach(registerMode)
+
+/** All modes in display order */
+export function listModes() {
+  return [...registry.values()].sort((a, b) => (a.order ?? 100) - (b.order ?? 100))
+}
+export function getMode(id) {
+  return registry.get(id)
+}
+export const modeLabel = (id) => registry.get(id)?.label || id || 'Unknown mode'
@@ -0,0 +1,53 @@
+// Nassau: best ball match play run as three bets — front 9, back 9 and overall —
+// plus presses. A press is a new bet from the next hole to the end of that nine
+// (or of the round, for the overall); it starts automatically when a side goes
+// 2 down in any bet, or manually from the scorecard (stored on match.presses).
+import bestball from './bestball'
+import { matchStatus } from '../matchStatus'
+
+const AUTO_PRESS_AT = 2
+
+const nineEnd = (start) => start < 9 ? 8 : 17
+
+function nassauBets(perHole, { autoPress = true, presses = [] } = {}, nameA = 'A', nameB = 'B') {
+  const nameOf = (side) => side === 'A' ? nameA : nameB
+  const queue = [
+    { id: 'front',   label: 'Front 9', start: 0, end: 8 },
+    { id: 'back',    label: 'Back 9',  start: 9, end: 17 },
+    { id: 'overall', label: 'Overall', start: 0, end: 17 },
+    ...presses.map(p => ({ id: p.id, label: `Press ${nameOf(p.by)} (H${p.start + 1}–${nineEnd(p.start) + 1})`, start: p.start, end: nineEnd(p.start), by: p.by, manual: true })),
+  ]
+  const out = []
+  while (queue.length) {
+    const bet = queue.shift()
+    const running = Array(18).fill(null)
+    let diff = 0, pressed = false
+    for (let h = bet.start; h <= bet.end; h++) {
+      const r = perHole[h]
+      if (!r?.complete) break
+      diff += r.aPts - r.bPts
+      running[h] = diff
+      // Side that's AUTO_PRESS_AT down gets a new bet for the rest of this one
+      if (autoPress && !pressed && Math.abs(diff) >= AUTO_PRESS_AT && h < bet.end) {
+        pressed = true
+        const by = diff > 0 ? 'B' : 'A'
+        queue.push({ id: `${bet.id}>${h + 1}`, label: `Auto press ${nameOf(by)} (H${h + 2}–${bet.end + 1})`, start: h + 1, end: bet.end, by, auto: true })
+      }
+    }
+    const slice = perHole.slice(bet.start, bet.end + 1)
+    out.push({ ...bet, running, status: matchStatus(slice, nameA, nameB, { matchPlay: true, holes: slice.length }) })
+  }
+  // Front / back / overall first, then presses in hole order
+  return out.sort((a, b) => (!!a.by - !!b.by) || (a.by ? a.start - b.start : 0))
+}
+
+export default {
+  id: "nassau",
+  label: "Nassau (front / back / overall)",
+  pointsPerHole: 1,
+  order: 70,
+  presses: true,
+  scoreHole: bestball.scoreHole,
+  teamRow: bestball.teamRow,
+  bets: nassauBets,
+}
@@ -0,0 +1,24 @@
+// Scramble: everyone plays from the best shot; one team score per hole, lower wins.
+import { TIE } from './shared'
+
+// Team handicap: weighted share of each player's index, lowest index first
+const WEIGHTS = { 1: [1], 2: [0.35, 0.15], 3: [0.2, 0.15, 0.1], 4: [0.25, 0.2, 0.15, 0.1] }
+
+export default {
+  id: "scramble",
+  label: "Scramble (team score, 1 pt)",
+  pointsPerHole: 1,
+  matchPlay: true,
+  order: 12,
+  teamScore: true,
+  teamHandicap(indexes) {
+    const w = WEIGHTS[indexes.length] || WEIGHTS[4]
+    return [...indexes].sort((a, b) => a - b).reduce((t, idx, i) => t + idx * (w[i] || 0), 0)
+  },
+  scoreHole([a], [b]) {
+    if (a < b) return { aPts: 1, bPts: 0, info: `A ${a} beats ${b}`, complete: true }
+    if (b < a) return { aPts: 0, bPts: 1, info: `B ${b} beats ${a}`, complete: true }
+    return { aPts: TIE, bPts: TIE, info: "Push", complete: true }
+  },
+  teamRow: ([s], par) => ({ value: s, colorPar: par }),
+}
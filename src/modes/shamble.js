@@ -0,0 +1,27 @@
+// Shamble / best N of 4: each player plays their own ball; the N best scores on a hole count.
+import { TIE } from './shared'
+
+const sum = (s) => s.reduce((a, b) => a + b, 0)
+const countOf = (match) => Math.max(1, Number(match?.bestBalls) || 2)
+const best = (s, n) => sum([...s].sort((a, b) => a - b).slice(0, n))
+
+export default {
+  id: "shamble",
+  label: "Shamble (best N balls, 1 pt)",
+  pointsPerHole: 1,
+  matchPlay: true,
+  order: 16,
+  countsBest: true,
+  scoreHole(aS, bS, par, match) {
+    const n = countOf(match)
+    if (aS.length < n || bS.length < n) return { aPts: 0, bPts: 0, info: `Teams need at least ${n} players`, complete: false }
+    const aTot = best(aS, n), bTot = best(bS, n)
+    if (aTot < bTot) return { aPts: 1, bPts: 0, info: `A best ${n}: ${aTot} vs ${bTot}`, complete: true }
+    if (bTot < aTot) return { aPts: 0, bPts: 1, info: `B best ${n}: ${bTot} vs ${aTot}`, complete: true }
+    return { aPts: TIE, bPts: TIE, info: "Push", complete: true }
+  },
+  teamRow: (s, par, match) => {
+    const n = Math.min(countOf(match), s.length)
+    return { value: best(s, n), colorPar: par * n }
+  },
+}
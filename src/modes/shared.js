@@ -0,0 +1,22 @@
+// src/modes/shared.js
+// Small helpers shared by the mode files (not a mode itself).
+
+export const TIE = 0.5
+
+/** One head-to-head comparison (lower wins) → [aPts, bPts] */
+export function versus(a, b) {
+  if (a < b) return [1, 0]
+  if (b < a) return [0, 1]
+  return [TIE, TIE]
+}
+
+/** Stableford points for one score against par */
+export function stablefordPoints(score, par) {
+  const d = score - par
+  if (d <= -3) return 5
+  if (d === -2) return 4
+  if (d === -1) return 3
+  if (d === 0) return 2
+  if (d === 1) return 1
+  return 0
+}
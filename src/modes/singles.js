@@ -0,0 +1,68 @@
+// Singles: two players head to head, no teams. Three formats share one scorecard:
+//   match play  — hole won / lost / halved, result in "3&2" notation
+//   stroke play — lower (net) total wins
+//   Stableford  — higher (net) Stableford total wins
+// Per-hole `points` hold what each player banked on the hole (hole won, strokes, or
+// Stableford points) so the scorecard and exports can show them directly.
+import { TIE, versus, stablefordPoints } from './shared'
+import { matchStatus } from '../matchStatus'
+
+const fmtDiff = (n) => n > 0 ? `+${n}` : String(n)
+
+function singlesScorer(kind) {
+  return function scoreSingles({ playerIds = [], net, par, nameOf }) {
+    const [p1, p2] = playerIds
+    const ready = Boolean(p1 && p2)
+    const n1 = nameOf(p1), n2 = nameOf(p2)
+
+    const perHole = Array.from({ length: 18 }, (_, h) => {
+      if (!ready) return { aPts: 0, bPts: 0, points: {}, info: "Pick two players", complete: false }
+      const s1 = net(p1, h), s2 = net(p2, h)
+      if (Number.isNaN(s1) || Number.isNaN(s2)) return { aPts: 0, bPts: 0, points: {}, info: "Waiting for scores", complete: false }
+      if (kind === 'match') {
+        const [aPts, bPts] = versus(s1, s2)
+        const info = aPts === TIE ? `Halved ${s1}` : `${aPts ? n1 : n2} wins ${Math.min(s1, s2)} v ${Math.max(s1, s2)}`
+        return { aPts, bPts, points: { [p1]: aPts, [p2]: bPts }, info, complete: true }
+      }
+      if (kind === 'stableford') {
+        const a = stablefordPoints(s1, par[h]), b = stablefordPoints(s2, par[h])
+        return { aPts: a, bPts: b, points: { [p1]: a, [p2]: b }, info: `${a}–${b} pts`, complete: true }
+      }
+      return { aPts: s1, bPts: s2, points: { [p1]: s1, [p2]: s2 }, info: `${s1} v ${s2}`, complete: true }
+    })
+
+    const completed = perHole.filter(r => r.complete).length
+    const sum = (side) => perHole.reduce((t, r) => t + (r.complete ? r[side] : 0), 0)
+    const totals = ready ? { [p1]: sum('aPts'), [p2]: sum('bPts') } : {}
+    let status
+    if (kind === 'match') {
+      const ms = matchStatus(perHole, n1, n2, { matchPlay: true })
+      status = { ...ms, winner: ms.winner === 'A' ? p1 : ms.winner === 'B' ? p2 : ms.winner }
+    } else {
+      const a = totals[p1] || 0, b = totals[p2] || 0
+      const finished = ready && completed === 18
+      // Stroke play: lower wins. Stableford: higher wins.
+      const lead = kind === 'stroke' ? b - a : a - b
+      const leader = lead > 0 ? p1 : lead < 0 ? p2 : null
+      const by = Math.abs(lead)
+      const toPar = (pid) => fmtDiff(perHole.reduce((t, r, h) => t + (r.complete ? r.points[pid] - par[h] : 0), 0))
+      const detail = kind === 'stroke' ? `${a}–${b}` : `${a}–${b} pts`
+      const text =
+        completed === 0 ? 'No scores yet' :
+        finished ? (leader ? `${nameOf(leader)} wins by ${by} (${detail})` : `Halved (${detail})`) :
+        kind === 'stroke' ? `${n1} ${toPar(p1)}, ${n2} ${toPar(p2)} thru ${completed}` :
+        leader ? `${nameOf(leader)} leads by ${by} thru ${completed}` : `All square thru ${completed}`
+      status = { text, completed, finished, leader, margin: by, winner: finished ? (leader || 'halved') : null }
+    }
+    const standings = ready ? [p1, p2] : []
+    return { perHole, totals, standings, completed, status }
+  }
+}
+
+const base = { individual: true, playersNeeded: 2, layout: 'singles' }
+
+export default [
+  { ...base, id: "singles",           label: "Singles match play",  pointsPerHole: 1, order: 90, pointsLabel: "holes", score: singlesScorer('match') },
+  { ...base, id: "singles-stroke",    label: "Singles stroke play", pointsPerHole: 0, order: 91, pointsLabel: "net", lowerWins: true, score: singlesScorer('stroke') },
+  { ...base, id: "singles-stableford", label: "Singles Stableford",  pointsPerHole: 0, order: 92, pointsLabel: "pts", score: singlesScorer('stableford') },
+]
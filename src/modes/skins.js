@@ -0,0 +1,25 @@
+// Skins: best ball wins the skin; halved skins carry to the next won hole.
+
+export default {
+  id: "skins",
+  label: "Skins (carry)",
+  pointsPerHole: 1,
+  order: 60,
+  scoreHole(aS, bS) {
+    const aBest = Math.min(...aS), bBest = Math.min(...bS)
+    if (aBest < bBest) return { aPts: 1, bPts: 0, info: `Skin A (${aBest} vs ${bBest})`, complete: true }
+    if (bBest < aBest) return { aPts: 0, bPts: 1, info: `Skin B (${bBest} vs ${aBest})`, complete: true }
+    return { aPts: 0, bPts: 0, info: "Skin halved", complete: true }
+  },
+  teamRow: (s, par) => ({ value: Math.min(...s), colorPar: par }),
+  postPass(perHole) {
+    let carry = 0
+    return perHole.map((r) => {
+      if (!r.complete) return { ...r, aPts: 0, bPts: 0, info: r.info + (carry ? ` (carry ${carry})` : "") }
+      if (r.aPts === 0 && r.bPts === 0) { carry += 1; return { ...r, aPts: 0, bPts: 0, info: `Skin halved${carry ? ` (carry ${carry})` : ""}` } }
+      if (r.aPts > r.bPts)  { const pts = carry + 1; carry = 0; return { ...r, aPts: pts, bPts: 0, info: `Skin A x${pts}` } }
+      if (r.bPts > r.aPts)  { const pts = carry + 1; carry = 0; return { ...r, aPts: 0, bPts: pts, info: `Skin B x${pts}` } }
+      return r
+    })
+  },
+}
@@ -0,0 +1,19 @@
+// Stableford: higher combined Stableford points wins the hole.
+import { TIE, stablefordPoints } from './shared'
+
+const teamPoints = (s, par) => s.reduce((t, sc) => t + stablefordPoints(sc, par), 0)
+
+export default {
+  id: "stableford",
+  label: "Stableford (1 pt)",
+  pointsPerHole: 1,
+  matchPlay: true,
+  order: 50,
+  scoreHole(aS, bS, par) {
+    const aPtsS = teamPoints(aS, par), bPtsS = teamPoints(bS, par)
+    if (aPtsS > bPtsS) return { aPts: 1, bPts: 0, info: `Stableford ${aPtsS}-${bPtsS}`, complete: true }
+    if (bPtsS > aPtsS) return { aPts: 0, bPts: 1, info: `Stableford ${bPtsS}-${aPtsS}`, complete: true }
+    return { aPts: TIE, bPts: TIE, info: `Stableford ${aPtsS}-${bPtsS} (push)`, complete: true }
+  },
+  teamRow: (s, par) => ({ value: teamPoints(s, par) }),
+}
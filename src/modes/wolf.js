@@ -0,0 +1,69 @@
+// Wolf: four individual players. The wolf rotates with the tee order (player 1 on
+// hole 1, player 2 on hole 2, …). On each hole the wolf picks a partner (best ball
+// 2 v 2), goes lone wolf (1 v 3) or blind wolf (lone, called before the tee shot,
+// double stakes). Picks are stored on the match as wolfPicks[hole] = partnerId | 'lone' | 'blind'.
+//
+// Points are per player and zero-sum on every hole:
+//   partners win  → each winner +1, each loser −1
+//   lone wolf     → wolf ±3, each other player ∓1   (blind wolf doubles both)
+//   tie           → no points
+
+const PLAYERS = 4
+
+export const wolfFor = (playerIds, h) => playerIds[h % PLAYERS]
+
+function scoreWolf({ playerIds = [], wolfPicks = [], net, nameOf }) {
+  const order = playerIds.slice(0, PLAYERS)
+  const ready = order.length === PLAYERS && order.every(Boolean)
+
+  const perHole = Array.from({ length: 18 }, (_, h) => {
+    if (!ready) return { points: {}, info: "Pick four players", complete: false }
+    const wolf = wolfFor(order, h), pick = wolfPicks[h] || ""
+    const s = Object.fromEntries(order.map(pid => [pid, net(pid, h)]))
+    if (order.some(pid => Number.isNaN(s[pid]))) return { points: {}, wolf, pick, info: "Waiting for scores", complete: false }
+    if (!pick || (pick !== 'lone' && pick !== 'blind' && (!order.includes(pick) || pick === wolf))) {
+      return { points: {}, wolf, pick, info: `${nameOf(wolf)} to pick`, complete: false }
+    }
+    const wolfSide = pick === 'lone' || pick === 'blind' ? [wolf] : [wolf, pick]
+    const others = order.filter(pid => !wolfSide.includes(pid))
+    const wBest = Math.min(...wolfSide.map(pid => s[pid])), oBest = Math.min(...others.map(pid => s[pid]))
+    const points = Object.fromEntries(order.map(pid => [pid, 0]))
+    if (wBest === oBest) return { points, wolf, pick, info: `Tie ${wBest}`, complete: true }
+    const sign = wBest < oBest ? 1 : -1
+    if (wolfSide.length === 1) {
+      const stake = pick === 'blind' ? 2 : 1
+      points[wolf] = sign * stake * others.length
+      others.forEach(pid => { points[pid] = -sign * stake })
+    } else {
+      wolfSide.forEach(pid => { points[pid] = sign })
+      others.forEach(pid => { points[pid] = -sign })
+    }
+    const who = pick === 'blind' ? 'Blind wolf' : pick === 'lone' ? 'Lone wolf' : 'Wolf'
+    return { points, wolf, pick, info: `${who} ${sign > 0 ? 'wins' : 'loses'} ${wBest} v ${oBest}`, complete: true }
+  })
+
+  const totals = Object.fromEntries(order.map(pid => [pid, perHole.reduce((t, r) => t + (r.complete ? r.points[pid] || 0 : 0), 0)]))
+  const completed = perHole.filter(r => r.complete).length
+  const finished = ready && completed === 18
+  const standings = [...order].sort((a, b) => totals[b] - totals[a])
+  const top = standings[0], tied = standings.length > 1 && totals[standings[1]] === totals[top]
+  const fmt = (n) => n > 0 ? `+${n}` : String(n)
+  const text =
+    completed === 0 ? 'No scores yet' :
+    tied ? `${finished ? 'Tied' : 'Level'} at ${fmt(totals[top])}${finished ? '' : ` thru ${completed}`}` :
+    finished ? `${nameOf(top)} wins (${fmt(totals[top])})` :
+    `${nameOf(top)} leads (${fmt(totals[top])}) thru ${completed}`
+  return { perHole, totals, standings, completed, status: { text, completed, finished, winner: finished ? (tied ? 'halved' : top) : null } }
+}
+
+export default {
+  id: "wolf",
+  label: "Wolf (4 players)",
+  pointsPerHole: 3,
+  order: 80,
+  individual: true,
+  playersNeeded: PLAYERS,
+  layout: 'wolf',
+  pointsLabel: "pts",
+  score: scoreWolf,
+}
@@ -0,0 +1,199 @@
+// src/qr.js
+// QR code encoder for the share modal, so codes draw offline and trip links never go to a
+// QR web service. Byte mode, error correction level M, versions 1–20 (up to 666 bytes —
+// plenty for a trip link). Pure: qrMatrix() returns the modules, qrPath() an SVG path.
+
+// Per version: [EC codewords per block, group 1 blocks, data codewords, group 2 blocks, data codewords]
+const EC_M = [null,
+  [10, 1, 16], [16, 1, 28], [26, 1, 44], [18, 2, 32], [24, 2, 43], [16, 4, 27], [18, 4, 31],
+  [22, 2, 38, 2, 39], [22, 3, 36, 2, 37], [26, 4, 43, 1, 44], [30, 1, 50, 4, 51], [22, 6, 36, 2, 37],
+  [22, 8, 37, 1, 38], [24, 4, 40, 5, 41], [24, 5, 41, 5, 42], [28, 7, 45, 3, 46], [28, 10, 46, 1, 47],
+  [26, 9, 43, 4, 44], [26, 3, 44, 11, 45], [26, 3, 41, 13, 42],
+]
+// Alignment pattern centres (rows and columns) per version
+const ALIGN = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46],
+  [6, 28, 50], [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70], [6, 26, 50, 74],
+  [6, 30, 54, 78], [6, 30, 56, 82], [6, 30, 58, 86], [6, 34, 62, 90]]
+
+/** Reed–Solomon over GF(256) with the QR polynomial x⁸ + x⁴ + x³ + x² + 1 */
+const EXP = new Array(512), LOG = new Array(256)
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x; LOG[x] = i
+  x <<= 1; if (x & 0x100) x ^= 0x11d
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255]
+const mul = (a, b) => a && b ? EXP[LOG[a] + LOG[b]] : 0
+
+function ecCodewords(data, n) {
+  let gen = [1]
+  for (let i = 0; i < n; i++) {
+    const next = new Array(gen.length + 1).fill(0)
+    gen.forEach((c, j) => { next[j] ^= c; next[j + 1] ^= mul(c, EXP[i]) })
+    gen = next
+  }
+  const rem = new Array(n).fill(0)
+  for (const d of data) {
+    const f = d ^ rem.shift()
+    rem.push(0)
+    for (let i = 0; i < n; i++) rem[i] ^= mul(gen[i + 1], f)
+  }
+  return rem
+}
+
+const dataCapacity = (v) => { const [, b1, d1, b2 = 0, d2 = 0] = EC_M[v]; return b1 * d1 + b2 * d2 }
+
+/** Data + error correction codewords for `bytes` at version v, interleaved as the symbol reads them */
+function codewords(bytes, v) {
+  const bits = []
+  const put = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >> i) & 1) }
+  put(0b0100, 4); put(bytes.length, v < 10 ? 8 : 16)
+  bytes.forEach(b => put(b, 8))
+  const cap = dataCapacity(v) * 8
+  put(0, Math.min(4, cap - bits.length))
+  while (bits.length % 8) bits.push(0)
+  const data = []
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0))
+  for (let pad = 0xec; data.length < cap / 8; pad ^= 0xec ^ 0x11) data.push(pad)
+
+  const [ecLen, b1, d1, b2 = 0, d2 = 0] = EC_M[v]
+  const blocks = []
+  let at = 0
+  for (let i = 0; i < b1 + b2; i++) {
+    const len = i < b1 ? d1 : d2
+    const d = data.slice(at, at + len); at += len
+    blocks.push({ d, ec: ecCodewords(d, ecLen) })
+  }
+  const out = []
+  for (let i = 0; i < Math.max(d1, d2); i++) blocks.forEach(b => { if (i < b.d.length) out.push(b.d[i]) })
+  for (let i = 0; i < ecLen; i++) blocks.forEach(b => out.push(b.ec[i]))
+  return out
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+]
+
+/** Modules with function patterns (finders, timing, alignment, dark module) and reserved areas */
+function baseMatrix(v) {
+  const size = 17 + 4 * v
+  const dark = Array.from({ length: size }, () => new Array(size).fill(false))
+  const fixed = Array.from({ length: size }, () => new Array(size).fill(false))
+  const set = (x, y, on) => { dark[y][x] = on; fixed[y][x] = true }
+  for (const [fx, fy] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+    for (let dy = -1; dy <= 7; dy++) for (let dx = -1; dx <= 7; dx++) {
+      const x = fx + dx, y = fy + dy
+      if (x < 0 || y < 0 || x >= size || y >= size) continue
+      const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3))
+      set(x, y, ring !== 2 && ring !== 4)
+    }
+  }
+  for (let i = 8; i < size - 8; i++) { set(i, 6, i % 2 === 0); set(6, i, i % 2 === 0) }
+  const last = size - 7
+  for (const cy of ALIGN[v]) for (const cx of ALIGN[v]) {
+    if ((cx === 6 && (cy === 6 || cy === last)) || (cx === last && cy === 6)) continue // under a finder
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+  }
+  // Format and version areas are filled in after masking; reserve them now
+  for (let i = 0; i < 9; i++) if (i !== 6) { set(8, i, false); set(i, 8, false) }
+  for (let i = 0; i < 8; i++) { set(size - 1 - i, 8, false); set(8, size - 1 - i, false) }
+  set(8, size - 8, true)
+  if (v >= 7) for (let i = 0; i < 18; i++) { set(size - 11 + i % 3, Math.floor(i / 3), false); set(Math.floor(i / 3), size - 11 + i % 3, false) }
+  return { size, dark, fixed, set }
+}
+
+function drawFormat({ size, set }, mask) {
+  let rem = mask // level M is 00
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >> 9) * 0x537)
+  const bits = ((mask << 10) | rem) ^ 0x5412
+  const bit = (i) => ((bits >> i) & 1) === 1
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i))
+  set(8, 7, bit(6)); set(8, 8, bit(7)); set(7, 8, bit(8))
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i))
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i))
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i))
+  set(8, size - 8, true)
+}
+
+function drawVersion({ size, set }, v) {
+  if (v < 7) return
+  let rem = v
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >> 11) * 0x1f25)
+  const bits = (v << 12) | rem
+  for (let i = 0; i < 18; i++) {
+    const on = ((bits >> i) & 1) === 1, a = size - 11 + i % 3, b = Math.floor(i / 3)
+    set(a, b, on); set(b, a, on)
+  }
+}
+
+/** Lower is better: runs, 2×2 blocks, finder look-alikes and dark/light balance (the spec's four rules) */
+function penalty(dark, size) {
+  let score = 0
+  const lines = []
+  for (let i = 0; i < size; i++) { lines.push(dark[i]); lines.push(dark.map(row => row[i])) }
+  for (const line of lines) {
+    let run = 1
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) { run++; continue }
+      if (run >= 5) score += run - 2
+      run = 1
+    }
+    const s = line.map(b => b ? 1 : 0).join('')
+    for (const pat of ['10111010000', '00001011101']) for (let i = s.indexOf(pat); i >= 0; i = s.indexOf(pat, i + 1)) score += 40
+  }
+  for (let y = 0; y < size - 1; y++) for (let x = 0; x < size - 1; x++) {
+    const c = dark[y][x]
+    if (c === dark[y][x + 1] && c === dark[y + 1][x] && c === dark[y + 1][x + 1]) score += 3
+  }
+  const total = dark.reduce((t, row) => t + row.filter(Boolean).length, 0)
+  score += Math.floor(Math.abs(total * 20 - size * size * 10) / (size * size)) * 10
+  return score
+}
+
+/**
+ * Encode text (UTF-8) → { version, size, dark: rows of booleans }, or null when it's too long.
+ */
+export function qrMatrix(text) {
+  const bytes = [...new TextEncoder().encode(String(text))]
+  let v = 1
+  while (v <= 20 && 4 + (v < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(v) * 8) v++
+  if (v > 20) return null
+  const cw = codewords(bytes, v)
+
+  let best = null
+  for (let mask = 0; mask < 8; mask++) {
+    const m = baseMatrix(v)
+    const { size, dark, fixed } = m
+    let i = 0
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+      const upward = ((right + 1) & 2) === 0
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert
+        for (const x of [right, right - 1]) {
+          if (fixed[y][x]) continue
+          const on = i < cw.length * 8 && ((cw[i >> 3] >> (7 - (i & 7))) & 1) === 1
+          dark[y][x] = on !== MASKS[mask](x, y)
+          i++
+        }
+      }
+    }
+    drawFormat(m, mask); drawVersion(m, v)
+    const score = penalty(dark, size)
+    if (!best || score < best.score) best = { score, version: v, size, dark }
+  }
+  return { version: best.version, size: best.size, dark: best.dark }
+}
+
+/** SVG path data for the dark modules, offset by a quiet-zone margin (in modules) */
+export function qrPath(qr, margin = 4) {
+  let d = ''
+  qr.dark.forEach((row, y) => row.forEach((on, x) => { if (on) d += `M${x + margin},${y + margin}h1v1h-1z` }))
+  return d
+}
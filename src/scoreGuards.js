@@ -0,0 +1,49 @@
+// src/scoreGuards.js
+// Scorekeepers and match locks, summed up where firestore.rules can check them. Matches are
+// one list on the trip doc and rules can't loop over it, so each write that changes matches or
+// teams also stores, per round, which score entries are kept and by whom and which are locked:
+//   guards: { [roundId]: { kept: [entry ids], by: { [uid]: [entry ids] }, locked: [entry ids] } }
+// Entry ids are the keys of scoresByRound.<roundId> (player ids, or team:<id> in team-score modes).
+// Pure: src/tripCommit.js adds it to the write inside the transaction.
+import { getMode } from './modes'
+import { entryIds } from './scoring'
+
+const sorted = (set) => [...set].sort()
+
+/** Score entries a match's scorecard writes */
+export function matchEntries(m, teams = []) {
+  if (getMode(m.mode)?.individual) return (m.playerIds || []).filter(Boolean)
+  const team = (id) => teams.find(t => t.id === id)
+  return [...entryIds(m.mode, team(m.teamAId)), ...entryIds(m.mode, team(m.teamBId))].filter(Boolean)
+}
+
+/** Matches + teams → guards; rounds with no keepers or locks are left out */
+export function scoreGuards(matches = [], teams = []) {
+  const rounds = {}
+  for (const m of matches) {
+    const keepers = (m.keepers || []).filter(k => k?.uid)
+    if (!m.roundId || (!keepers.length && !m.locked)) continue
+    const g = rounds[m.roundId] ||= { kept: new Set(), by: {}, locked: new Set() }
+    const ids = matchEntries(m, teams)
+    for (const id of ids) {
+      if (m.locked) g.locked.add(id)
+      if (keepers.length) g.kept.add(id)
+      for (const k of keepers) (g.by[k.uid] ||= new Set()).add(id)
+    }
+  }
+  const out = {}
+  for (const [rid, g] of Object.entries(rounds)) {
+    out[rid] = {
+      kept: sorted(g.kept),
+      by: Object.fromEntries(Object.entries(g.by).map(([uid, ids]) => [uid, sorted(ids)])),
+      locked: sorted(g.locked),
+    }
+  }
+  return out
+}
+
+/** An applyOps() patch → the same patch with fresh guards when it changes matches or teams */
+export function withGuards(data, patch) {
+  if (!('matches' in patch) && !('teams' in patch)) return patch
+  return { ...patch, guards: scoreGuards(patch.matches ?? data?.matches, patch.teams ?? data?.teams) }
+}
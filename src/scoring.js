@@ -0,0 +1,142 @@
+// src/scoring.js
+// Pure match scoring shared by live scorecards, archived history, exports and records.
+// No React / Firestore here: everything is computed from plain data.
+// The rules of each format live in src/modes/ (one file per mode).
+import { getMode } from './modes'
+import { HOLES, matchStatus } from './matchStatus'
+
+export { matchStatus }
+
+/** Raw score cell → number (NaN when blank or not numeric) */
+export function toScore(v) {
+  if (v === "" || v === null || v === undefined) return NaN
+  const n = Number(v); return Number.isFinite(n) ? n : NaN
+}
+
+/** Handicap index as entered → number (NaN when blank). "+2" is a plus handicap: it gives 2 strokes, i.e. −2 */
+export function handicapIndex(v) {
+  if (v === "" || v === null || v === undefined) return NaN
+  const t = String(v).trim(), plus = t.startsWith('+'), body = plus ? t.slice(1) : t
+  const n = Number(body)
+  return body && Number.isFinite(n) ? (plus ? -n : n) : NaN
+}
+
+/** Playing handicap = handicap index × allowance %, rounded */
+export function playingHandicap(index, allowance = 100) {
+  const n = handicapIndex(index)
+  if (Number.isNaN(n)) return 0
+  return Math.round(n * (Number(allowance) || 0) / 100)
+}
+/** Strokes received on a hole (negative for plus handicaps, given back from SI 18 up) */
+export function strokesOnHole(phcp, si) {
+  if (!phcp || !si) return 0
+  const abs = Math.abs(phcp), base = Math.floor(abs / 18), rem = abs % 18
+  if (phcp > 0) return base + (si <= rem ? 1 : 0)
+  return -(base + (si > 18 - rem ? 1 : 0))
+}
+
+/** Score key for a team that enters one score per hole (scramble, alternate shot) */
+export const teamScoreId = (team) => `team:${team?.id || ''}`
+export const isTeamScoreId = (id) => String(id || '').startsWith('team:')
+/** Ids whose scores are entered for a team in this mode: the players, or the single team score */
+export function entryIds(mode, team) {
+  if (!team) return []
+  return getMode(mode)?.teamScore ? [teamScoreId(team)] : (team.playerIds || [])
+}
+
+/**
+ * Score a whole match. Works for both live matches and archived history items:
+ *   mode, scoring ('gross'|'net'), allowance (%)   — match settings
+ *   closeout ('play'|'lock'|'unplayed')            — what happens to holes after a match-play closeout
+ *   course: { par[18], si[18] }
+ *   teamA / teamB: { id, name, playerIds }          — 1–4 players a side
+ *   scores: { [playerId]: [18 raw cells] }          — gross scores (team-score modes use teamScoreId(team))
+ *   handicaps: { [playerId]: handicap index }
+ *   names: { [playerId]: name }                     — used by individual modes' status text
+ * Returns per-hole results, team rows ({ value, colorPar } per hole), running totals and status, plus
+ * strokes(pid, h) / net(pid, h) so views and exports show the same strokes,
+ * statusAt(h) for the status through a hole, and locked(h) for holes closed to entry.
+ * Any other match fields (e.g. Nassau presses) are handed to the mode's bets().
+ */
+export function scoreMatch({ mode, scoring = 'gross', allowance = 100, closeout = 'play', course, teamA, teamB, scores = {}, handicaps = {}, names = {}, ...settings }) {
+  const par = course?.par || []
+  const md = getMode(mode)
+  // Team-score modes get one handicap per team from the mode's weighting of its players' indexes
+  const teamHcp = {}
+  if (md?.teamScore) {
+    for (const T of [teamA, teamB]) {
+      if (!T) continue
+      const idx = (T.playerIds || []).map(pid => handicapIndex(handicaps?.[pid]) || 0)
+      teamHcp[teamScoreId(T)] = playingHandicap(md.teamHandicap ? md.teamHandicap(idx) : 0, allowance ?? 100)
+    }
+  }
+  const strokes = (pid, h) => {
+    if (scoring !== 'net') return 0
+    const phcp = isTeamScoreId(pid) ? teamHcp[pid] || 0 : playingHandicap(handicaps?.[pid], allowance ?? 100)
+    return strokesOnHole(phcp, course?.si?.[h])
+  }
+  const net = (pid, h) => {
+    const g = toScore(scores?.[pid]?.[h])
+    return Number.isNaN(g) ? g : g - strokes(pid, h)
+  }
+  // Individual modes (Wolf) score players directly: per-hole points per player
+  if (md?.individual) {
+    const nameOf = (pid) => names?.[pid] || 'Player'
+    const r = md.score({ ...settings, net, par, nameOf })
+    return { ...r, finished: r.status.finished, bets: null, betsSummary: null, locked: () => false, strokes, net, individual: true }
+  }
+
+  // Net scores entered for a team on a hole (one per player, or the single team score)
+  const teamScores = (T, h) => entryIds(mode, T).map(id => net(id, h))
+  const sizeError = (T) => {
+    const ids = T.playerIds || []
+    if (!ids.length || ids.some(pid => !pid)) return "Fill every team slot"
+    if (ids.length < (md.minPlayers || 1)) return `Teams need at least ${md.minPlayers} players`
+    if (md.maxPlayers && ids.length > md.maxPlayers) return `Teams can have at most ${md.maxPlayers} players`
+    return null
+  }
+
+  const holeResult = (h) => {
+    if (!md) return { aPts: 0, bPts: 0, info: "Unknown mode", complete: false }
+    if (!teamA || !teamB) return { aPts: 0, bPts: 0, info: "Pick two teams", complete: false }
+    const err = sizeError(teamA) || sizeError(teamB)
+    if (err) return { aPts: 0, bPts: 0, info: err, complete: false }
+    const aS = teamScores(teamA, h), bS = teamScores(teamB, h)
+    if (aS.some(Number.isNaN) || bS.some(Number.isNaN)) return { aPts: 0, bPts: 0, info: "Waiting for scores", complete: false }
+    return md.scoreHole(aS, bS, par[h], settings)
+  }
+  // Team row cell: { value, colorPar } from the mode's renderer, or "-" until the team's scores are in
+  const teamCell = (T, h) => {
+    const s = T && teamScores(T, h)
+    if (!md || !s?.length || s.some(Number.isNaN)) return { value: "-" }
+    return md.teamRow(s, par[h], settings)
+  }
+
+  let perHole = Array.from({ length: HOLES }, (_, h) => holeResult(h))
+  if (md?.postPass) perHole = md.postPass(perHole)
+
+  const statusOpts = { pointsPerHole: md?.pointsPerHole || 1, matchPlay: !!md?.matchPlay }
+  const status = matchStatus(perHole, teamA?.name || 'A', teamB?.name || 'B', statusOpts)
+  const locked = (h) => closeout !== 'play' && status.decidedAt !== null && h > status.decidedAt
+  if (closeout === 'unplayed' && status.decidedAt !== null) {
+    perHole = perHole.map((r, h) => h > status.decidedAt ? { aPts: 0, bPts: 0, info: "Unplayed", complete: false, unplayed: true } : r)
+  }
+
+  const teamRowA = Array.from({ length: HOLES }, (_, h) => teamCell(teamA, h))
+  const teamRowB = Array.from({ length: HOLES }, (_, h) => teamCell(teamB, h))
+  // Side bets (Nassau front/back/overall + presses): [{ id, label, start, end, running[18], status }]
+  const bets = md?.bets ? md.bets(perHole, settings, teamA?.name || 'A', teamB?.name || 'B') : null
+
+  return {
+    perHole, teamRowA, teamRowB,
+    totalsA: status.totalsA, totalsB: status.totalsB,
+    completed: status.completed,
+    finished: status.finished,
+    status,
+    bets,
+    betsSummary: bets ? bets.map(b => `${b.label}: ${b.status.text}`).join(' • ') : null,
+    statusAt: (h) => matchStatus(perHole, teamA?.name || 'A', teamB?.name || 'B', { ...statusOpts, upTo: h }),
+    locked,
+    strokes, net,
+  }
+}
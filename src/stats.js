@@ -0,0 +1,143 @@
+// src/stats.js
+// Individual player statistics across the trip: scoring averages, par-3/4/5 averages,
+// birdies / pars / bogeys, best and worst holes, front / back nines.
+// Pure like scoring.js — the caller hands in rounds and archived scorecards with their course.
+import { toScore, isTeamScoreId } from './scoring'
+
+/** Strokes relative to par as shown in the stats: "+1.3", "E", "−0.5" */
+export const fmtToPar = (n, digits = 1) => {
+  if (n === null || n === undefined || !Number.isFinite(n)) return '—'
+  const r = Number(n.toFixed(digits))
+  return r === 0 ? 'E' : `${r > 0 ? '+' : '−'}${Math.abs(r).toFixed(Number.isInteger(r) ? 0 : digits)}`
+}
+const avg = (sum, n) => n ? sum / n : null
+
+/** Round a trip saved before rounds existed gets for each scored course (scores were kept per course) */
+export const legacyRoundId = (courseKey) => `r_${courseKey}`
+
+/**
+ * One card per player per round: { pid, name, handicap, roundId, courseKey, courseName, label, par, si, holes }
+ * with holes = 18 numbers (NaN where not played). Cards with no scores are left out, as are
+ * team scores (scramble-style entries belong to no one player).
+ *   live:     [{ roundId, course, label, scores: { [pid]: [18] }, names, handicaps }] — the trip's rounds
+ *   archived: [{ roundId, round, courseKey, course, label, scores, names, handicaps }] — history items
+ * An archived match's scores usually still sit in its round, so archived cards only add the
+ * players / rounds the live rounds no longer have (e.g. the round was deleted). Scorecards
+ * archived before rounds existed have no round at all: their scores sit in the course's legacy round.
+ */
+export function playerCards(live, archived = []) {
+  const cards = [], seen = new Set()
+  const add = (src, fallback) => {
+    const course = src.course || {}
+    for (const [pid, arr] of Object.entries(src.scores || {})) {
+      if (isTeamScoreId(pid)) continue
+      const key = `${src.roundId || fallback}|${pid}`
+      if (seen.has(key)) continue
+      const holes = Array.from({ length: 18 }, (_, h) => toScore(arr?.[h]))
+      if (!holes.some(Number.isFinite)) continue
+      seen.add(key)
+      cards.push({ pid, name: src.names?.[pid] || '', handicap: src.handicaps?.[pid] ?? '', roundId: src.roundId || '', courseKey: course.key || '',
+        courseName: course.name || 'Course', label: src.label || '', par: course.par || [], si: course.si || [], holes })
+    }
+  }
+  live.forEach((r, i) => add(r, `live${i}`))
+  archived.forEach((h, i) => add(h, h.round || !h.courseKey ? `hist${i}` : legacyRoundId(h.courseKey)))
+  return cards
+}
+
+/** Courses the cards were played on, for the filter: [{ key, name }] */
+export const cardCourses = (cards) => [...new Map(cards.map(c => [c.courseKey, { key: c.courseKey, name: c.courseName }])).values()]
+
+/**
+ * Stats per player from their cards (filter by course first) → [{ id, name, ... }] sorted by
+ * average score to par per hole:
+ *   rounds / holes            cards and holes with a score
+ *   avgScore / avgToPar       per full 18 (complete cards only; null without one)
+ *   toParPerHole              over every hole played, so partial rounds count too
+ *   byPar[3|4|5|6]            { holes, avg, toPar }
+ *   counts                    eagles (or better), birdies, pars, bogeys, doubles (or worse)
+ *   front / back              { n, avg, toPar } over complete nines
+ *   best / worst              up to 3 holes each by average to par: { courseName, hole, par, n, avg, toPar }
+ */
+export function playerStats(cards) {
+  const byPlayer = {}
+  for (const c of cards) {
+    const p = byPlayer[c.pid] ||= {
+      id: c.pid, name: '', rounds: 0, holes: 0, strokes: 0, over: 0, full: [], byPar: {},
+      counts: { eagles: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0 },
+      nines: { front: [], back: [] }, perHole: {},
+    }
+    p.name ||= c.name
+    p.rounds++
+    c.holes.forEach((s, h) => {
+      const par = Number(c.par[h])
+      if (!Number.isFinite(s) || !par) return
+      const d = s - par
+      p.holes++; p.strokes += s; p.over += d
+      const bp = p.byPar[par] ||= { holes: 0, strokes: 0 }
+      bp.holes++; bp.strokes += s
+      p.counts[d <= -2 ? 'eagles' : d === -1 ? 'birdies' : d === 0 ? 'pars' : d === 1 ? 'bogeys' : 'doubles']++
+      const hk = `${c.courseKey}|${h}`
+      const ph = p.perHole[hk] ||= { courseKey: c.courseKey, courseName: c.courseName, hole: h + 1, par, n: 0, strokes: 0 }
+      ph.n++; ph.strokes += s
+    })
+    const nine = (from) => {
+      const idx = Array.from({ length: 9 }, (_, i) => from + i)
+      if (!idx.every(h => Number.isFinite(c.holes[h]) && Number(c.par[h]))) return null
+      return idx.reduce((t, h) => ({ strokes: t.strokes + c.holes[h], par: t.par + Number(c.par[h]) }), { strokes: 0, par: 0 })
+    }
+    const f = nine(0), b = nine(9)
+    if (f) p.nines.front.push(f)
+    if (b) p.nines.back.push(b)
+    if (f && b) p.full.push({ strokes: f.strokes + b.strokes, par: f.par + b.par })
+  }
+  const split = (list) => ({
+    n: list.length,
+    avg: avg(list.reduce((t, x) => t + x.strokes, 0), list.length),
+    toPar: avg(list.reduce((t, x) => t + x.strokes - x.par, 0), list.length),
+  })
+  return Object.values(byPlayer).map(p => {
+    const full = split(p.full)
+    const holes = Object.values(p.perHole).map(h => ({ ...h, avg: h.strokes / h.n, toPar: h.strokes / h.n - h.par }))
+      .sort((a, b) => a.toPar - b.toPar || b.n - a.n)
+    const best = holes.slice(0, 3)
+    const worst = holes.slice(best.length).reverse().slice(0, 3)
+    return {
+      id: p.id, name: p.name, rounds: p.rounds, holes: p.holes, complete: full.n,
+      avgScore: full.avg, avgToPar: full.toPar, toParPerHole: avg(p.over, p.holes),
+      byPar: Object.fromEntries(Object.entries(p.byPar).map(([par, x]) => [par, { holes: x.holes, avg: x.strokes / x.holes, toPar: x.strokes / x.holes - Number(par) }])),
+      counts: p.counts,
+      front: split(p.nines.front), back: split(p.nines.back),
+      best, worst,
+    }
+  }).sort((a, b) => (a.toParPerHole ?? Infinity) - (b.toParPerHole ?? Infinity))
+}
+
+/**
+ * Headline numbers for the trip report: [{ label, text }] — low round (complete 18s, gross),
+ * most birdies (eagles count too), most pars, best scoring average and any eagles. Ties are all named.
+ */
+export function tripHighlights(cards) {
+  const out = []
+  const nameOf = (x) => x.name || 'Player'
+  const total = (c) => c.holes.reduce((a, b) => a + b, 0)
+  const parOf = (c) => c.par.reduce((a, b) => a + Number(b), 0)
+  const full = cards.filter(c => c.par.length === 18 && c.holes.every(Number.isFinite))
+  if (full.length) {
+    const low = Math.min(...full.map(total))
+    out.push({ label: 'Low round', text: full.filter(c => total(c) === low).map(c => `${nameOf(c)} ${low} (${fmtToPar(low - parOf(c), 0)}) — ${c.label || c.courseName}`).join('; ') })
+  }
+  const stats = playerStats(cards)
+  const leaders = (label, value, show, better = (a, b) => a > b) => {
+    const vals = stats.map(value).filter(v => v !== null && v !== undefined)
+    if (!vals.length) return
+    const best = vals.reduce((a, b) => better(b, a) ? b : a)
+    out.push({ label, text: stats.filter(p => value(p) === best).map(p => `${nameOf(p)} ${show(best)}`).join(', ') })
+  }
+  leaders('Most birdies', p => p.counts.eagles + p.counts.birdies || null, n => `(${n})`)
+  leaders('Most pars', p => p.counts.pars || null, n => `(${n})`)
+  leaders('Best scoring average', p => p.complete ? p.avgScore : null, n => n.toFixed(1), (a, b) => a < b)
+  const eagles = stats.filter(p => p.counts.eagles)
+  if (eagles.length) out.push({ label: 'Eagles', text: eagles.map(p => `${nameOf(p)} (${p.counts.eagles})`).join(', ') })
+  return out
+}
@@ -0,0 +1,30 @@
+// src/sw.js
+// Service worker: precaches the built app shell so the app opens with no signal.
+// vite.config.js fills in PRECACHE (this build's files) and VERSION when it emits dist/sw.js.
+// Trip data isn't handled here — Firestore keeps its own offline copy (see firebase.js).
+const PRECACHE = self.__PRECACHE__
+const CACHE = `golf-trip-${self.__VERSION__}`
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('golf-trip-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Pages: network first, the cached shell when offline. Built files: cache first.
+// Other origins (Firestore, Firebase Auth) go straight to the network.
+self.addEventListener('fetch', (event) => {
+  const req = event.request
+  if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return
+  if (req.mode === 'navigate') {
+    event.respondWith(fetch(req).catch(() => caches.match('./', { ignoreSearch: true })))
+    return
+  }
+  event.respondWith(caches.match(req).then(hit => hit || fetch(req)))
+})
@@ -0,0 +1,20 @@
+// src/tripCommit.js
+// The Firestore half of tripSync.js: replay one edit's operations onto the latest server
+// copy of the trip inside a transaction. Takes the Firestore instance, so the emulator
+// tests run the same write as the app.
+import { runTransaction, deleteField, serverTimestamp } from 'firebase/firestore'
+import { applyOps } from './tripSync'
+import { withGuards } from './scoreGuards'
+
+/** The update for ops on the server's copy of the trip, with scorekeeper guards kept in step */
+export const tripUpdate = (data, ops) => ({ ...withGuards(data, applyOps(data, ops, deleteField())), updatedAt: serverTimestamp() })
+
+/** Write ops (from diffTrip) to the trip at `ref`; does nothing if the trip is gone */
+export async function commitTripOps(db, ref, ops) {
+  if (!ops.length) return
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref)
+    if (!snap.exists()) return
+    tx.update(ref, tripUpdate(snap.data(), ops))
+  })
+}
@@ -0,0 +1,137 @@
+// src/tripSync.js
+// Field-level trip writes. An edit becomes a few operations on exactly what it touched
+// (one list item, one score cell, one setting); a transaction replays them onto the
+// latest server copy of the trip, so two phones editing at once merge instead of one
+// overwriting the other. Pure: no Firestore here, the caller runs the transaction.
+
+/** Trip fields that are lists of items with an id (courses use `key`) */
+const LIST_KEYS = { players: 'id', teams: 'id', matches: 'id', history: 'id', rounds: 'id', courses: 'key' }
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+const keysOf = (...objs) => [...new Set(objs.flatMap(o => Object.keys(o || {})))]
+
+/**
+ * Operations turning `base` into `next` for the given top-level fields:
+ *   { type: 'item', field, id, from, value }           — add or replace one list item (value null = removed)
+ *   { type: 'sheet', round, pid?, value }              — a round's (or one player's) whole score sheet (null = removed)
+ *   { type: 'hole', round, pid, hole, from, value }    — one score cell
+ *   { type: 'set', field, from, value }                — any other field, replaced whole
+ * `from` is what this device saw before the edit; findConflicts() compares it with the server.
+ */
+export function diffTrip(base, next, fields = Object.keys(next)) {
+  const ops = []
+  for (const field of fields) {
+    const a = base?.[field], b = next?.[field]
+    if (LIST_KEYS[field]) {
+      const key = LIST_KEYS[field]
+      const before = new Map((a || []).map(x => [x[key], x]))
+      const after = new Map((b || []).map(x => [x[key], x]))
+      for (const [id, item] of after) if (!same(before.get(id), item)) ops.push({ type: 'item', field, id, from: before.get(id) ?? null, value: item })
+      for (const [id, item] of before) if (!after.has(id)) ops.push({ type: 'item', field, id, from: item, value: null })
+    } else if (field === 'scoresByRound') {
+      for (const round of keysOf(a, b)) {
+        if (!b?.[round] || !a?.[round]) { if (!same(a?.[round], b?.[round])) ops.push({ type: 'sheet', round, value: b?.[round] || null }); continue }
+        for (const pid of keysOf(a[round], b[round])) {
+          const x = a[round][pid], y = b[round][pid]
+          if (!x || !y) { if (!same(x, y)) ops.push({ type: 'sheet', round, pid, value: y || null }); continue }
+          y.forEach((v, hole) => { if ((x[hole] ?? '') !== (v ?? '')) ops.push({ type: 'hole', round, pid, hole, from: x[hole] ?? '', value: v }) })
+        }
+      }
+    } else if (!same(a, b)) {
+      ops.push({ type: 'set', field, from: a ?? null, value: b })
+    }
+  }
+  return ops
+}
+
+/**
+ * Replay ops onto the server's trip data → the update for the transaction:
+ * whole list fields, `scoresByRound.<round>` / `scoresByRound.<round>.<player>` paths for
+ * scores, and plain fields. `remove` is the value that deletes a path (Firestore deleteField()).
+ */
+export function applyOps(data, ops, remove = null) {
+  const patch = {}
+  const lists = {}
+  const scores = JSON.parse(JSON.stringify(data?.scoresByRound || {}))
+  const touchedRounds = new Set(), touchedSheets = new Set()
+  for (const op of ops) {
+    if (op.type === 'item') {
+      const key = LIST_KEYS[op.field]
+      let list = lists[op.field] ||= [...(data?.[op.field] || [])]
+      const at = list.findIndex(x => x[key] === op.id)
+      if (op.value === null) list = lists[op.field] = list.filter(x => x[key] !== op.id)
+      else if (at >= 0) list[at] = op.value
+      else list.push(op.value)
+    } else if (op.type === 'sheet' && !op.pid) {
+      if (op.value === null) delete scores[op.round]; else scores[op.round] = op.value
+      touchedRounds.add(op.round)
+    } else if (op.type === 'sheet' || op.type === 'hole') {
+      const sheet = scores[op.round] ||= {}
+      if (op.type === 'sheet') { if (op.value === null) delete sheet[op.pid]; else sheet[op.pid] = op.value }
+      else {
+        const arr = sheet[op.pid] = [...(sheet[op.pid] || Array(18).fill(''))]
+        arr[op.hole] = op.value
+      }
+      touchedSheets.add(`${op.round}.${op.pid}`)
+    } else if (op.type === 'set') {
+      patch[op.field] = op.value
+    }
+  }
+  Object.assign(patch, lists)
+  for (const round of touchedRounds) patch[`scoresByRound.${round}`] = scores[round] ?? remove
+  for (const path of touchedSheets) {
+    const [round, pid] = [path.slice(0, path.indexOf('.')), path.slice(path.indexOf('.') + 1)]
+    if (!touchedRounds.has(round)) patch[`scoresByRound.${path}`] = scores[round]?.[pid] ?? remove
+  }
+  return patch
+}
+
+/**
+ * The trip as it will be once ops land: `data` with applyOps' update merged in. Used to show
+ * edits still waiting in the offline queue over each copy of the trip that comes from the server.
+ */
+export function withOps(data, ops) {
+  if (!ops.length) return data
+  const out = { ...data, scoresByRound: { ...(data?.scoresByRound || {}) } }
+  for (const [path, value] of Object.entries(applyOps(data, ops))) {
+    if (!path.startsWith('scoresByRound.')) { out[path] = value; continue }
+    const rest = path.slice('scoresByRound.'.length), dot = rest.indexOf('.')
+    if (dot < 0) { if (value === null) delete out.scoresByRound[rest]; else out.scoresByRound[rest] = value; continue }
+    const round = rest.slice(0, dot), sheet = out.scoresByRound[round] = { ...(out.scoresByRound[round] || {}) }
+    if (value === null) delete sheet[rest.slice(dot + 1)]; else sheet[rest.slice(dot + 1)] = value
+  }
+  return out
+}
+
+/** What the server holds now at an op's target (undefined for whole score sheets) */
+function serverValue(data, op) {
+  if (op.type === 'hole') return data?.scoresByRound?.[op.round]?.[op.pid]?.[op.hole] ?? ''
+  if (op.type === 'item') return (data?.[op.field] || []).find(x => x[LIST_KEYS[op.field]] === op.id) ?? null
+  if (op.type === 'set') return data?.[op.field] ?? null
+  return undefined
+}
+
+/**
+ * Split queued ops (replayed after being offline) into ones that apply cleanly and genuine
+ * conflicts: someone else changed the same hole / item / setting to something different
+ * from both what this device started from and what it wants. Later ops on the same target
+ * follow their earlier op's verdict. Conflicts come back as { op, theirs }.
+ */
+export function findConflicts(data, ops) {
+  const clean = [], conflicts = [], seen = new Map()
+  const target = (op) => op.type === 'hole' ? `h:${op.round}.${op.pid}.${op.hole}` : op.type === 'item' ? `i:${op.field}.${op.id}` : `s:${op.field}`
+  for (const op of ops) {
+    const t = target(op), theirs = serverValue(data, op)
+    if (op.type === 'sheet' || !('from' in op)) { clean.push(op); continue }
+    if (seen.has(t)) {
+      const c = seen.get(t)
+      if (c) c.op = { ...op, from: c.op.from }; else clean.push(op)
+      continue
+    }
+    const conflict = !same(theirs, op.from) && !same(theirs, op.value)
+    const entry = conflict ? { op, theirs } : null
+    if (conflict) conflicts.push(entry); else clean.push(op)
+    seen.set(t, entry)
+  }
+  return { clean, conflicts }
+}
@@ -0,0 +1,76 @@
+// Two phones editing the same trip at once: both edits go through diffTrip and the
+// transaction in tripCommit.js, and neither overwrites the other.
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest'
+import { doc, getDoc } from 'firebase/firestore'
+import { emulated, testEnv, seed } from './env'
+import { diffTrip } from '../../src/tripSync'
+import { commitTripOps } from '../../src/tripCommit'
+
+const blank = () => Array(18).fill('')
+const trip = {
+  ownerUid: 'alice',
+  players: [{ id: 'p1', name: 'Ann', handicap: '' }, { id: 'p2', name: 'Bob', handicap: '' }],
+  teams: [{ id: 't1', name: 'Aces', playerIds: ['p1'] }, { id: 't2', name: 'Birdies', playerIds: ['p2'] }],
+  matches: [],
+  scoresByRound: { r1: { p1: blank(), p2: blank() } },
+}
+const withScore = (t, pid, hole, v) => ({ ...t.scoresByRound, r1: { ...t.scoresByRound.r1, [pid]: t.scoresByRound.r1[pid].map((x, h) => h === hole ? v : x) } })
+
+describe.skipIf(!emulated)('concurrent edits', () => {
+  let env
+  beforeAll(async () => { env = await testEnv('demo-golf-trip-sync') })
+  afterAll(async () => { await env?.cleanup() })
+  beforeEach(async () => {
+    await env.clearFirestore()
+    await seed(env, 'trip1', trip)
+  })
+
+  // Both devices start from the same copy, make their edit locally and commit at the same time
+  async function editTogether(editA, editB) {
+    const dbA = env.authenticatedContext('alice').firestore(), dbB = env.authenticatedContext('bob').firestore()
+    const [baseA, baseB] = await Promise.all([dbA, dbB].map(async (db) => (await getDoc(doc(db, 'trips', 'trip1'))).data()))
+    const nextA = { ...baseA, ...editA(baseA) }, nextB = { ...baseB, ...editB(baseB) }
+    await Promise.all([
+      commitTripOps(dbA, doc(dbA, 'trips', 'trip1'), diffTrip(baseA, nextA, Object.keys(editA(baseA)))),
+      commitTripOps(dbB, doc(dbB, 'trips', 'trip1'), diffTrip(baseB, nextB, Object.keys(editB(baseB)))),
+    ])
+    let out
+    await env.withSecurityRulesDisabled(async (ctx) => { out = (await ctx.firestore().doc('trips/trip1').get()).data() })
+    return out
+  }
+
+  it('keeps both players\' scores', async () => {
+    const d = await editTogether(
+      (t) => ({ scoresByRound: withScore(t, 'p1', 0, '4') }),
+      (t) => ({ scoresByRound: withScore(t, 'p2', 0, '5') }),
+    )
+    expect(d.scoresByRound.r1.p1[0]).toBe('4')
+    expect(d.scoresByRound.r1.p2[0]).toBe('5')
+  })
+
+  it('keeps two holes of the same player', async () => {
+    const d = await editTogether(
+      (t) => ({ scoresByRound: withScore(t, 'p1', 0, '4') }),
+      (t) => ({ scoresByRound: withScore(t, 'p1', 1, '3') }),
+    )
+    expect(d.scoresByRound.r1.p1.slice(0, 3)).toEqual(['4', '3', ''])
+  })
+
+  it('keeps a team rename and a new player', async () => {
+    const d = await editTogether(
+      (t) => ({ teams: t.teams.map(x => x.id === 't1' ? { ...x, name: 'Eagles' } : x) }),
+      (t) => ({ players: [...t.players, { id: 'p3', name: 'Cat', handicap: '' }] }),
+    )
+    expect(d.teams.find(x => x.id === 't1').name).toBe('Eagles')
+    expect(d.players.map(p => p.id)).toEqual(['p1', 'p2', 'p3'])
+  })
+
+  it('keeps a score entered while someone else edits the match list', async () => {
+    const d = await editTogether(
+      (t) => ({ scoresByRound: withScore(t, 'p2', 17, '6') }),
+      (t) => ({ matches: [...t.matches, { id: 'm1', teamAId: 't1', teamBId: 't2', mode: 'bestball' }] }),
+    )
+    expect(d.scoresByRound.r1.p2[17]).toBe('6')
+    expect(d.matches).toHaveLength(1)
+  })
+})
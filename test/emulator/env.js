@@ -0,0 +1,22 @@
+// Firestore emulator setup shared by the emulator tests. They run under
+// `npm run test:emulator`, which starts the emulator and sets FIRESTORE_EMULATOR_HOST;
+// without it (plain `npm test`) they're skipped.
+import { readFileSync } from 'node:fs'
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing'
+
+export const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST)
+
+/** Test environment with this repo's firestore.rules loaded */
+export const testEnv = (projectId) => initializeTestEnvironment({
+  projectId,
+  firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+})
+
+/** Write a trip (and any extra docs: { path: data }) with the rules off */
+export async function seed(env, tripId, trip, extra = {}) {
+  await env.withSecurityRulesDisabled(async (ctx) => {
+    const db = ctx.firestore()
+    await db.doc(`trips/${tripId}`).set(trip)
+    for (const [path, data] of Object.entries(extra)) await db.doc(path).set(data)
+  })
+}
@@ -0,0 +1,47 @@
+// scripts/migrate-legacy-trips.js: trips from before sign-in get a hashed PIN and a claim code
+// that firestore.rules accept from whoever holds it.
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest'
+import { assertSucceeds } from '@firebase/rules-unit-testing'
+import { doc, updateDoc } from 'firebase/firestore'
+import { initializeApp, deleteApp } from 'firebase-admin/app'
+import { getFirestore } from 'firebase-admin/firestore'
+import { emulated, testEnv, seed } from './env'
+import { migrateLegacyTrips } from '../../scripts/migrate-legacy-trips'
+import { hashPin, normClaimCode } from '../../src/access'
+
+const projectId = 'demo-golf-trip-migrate'
+
+describe.skipIf(!emulated)('migrating trips from before sign-in', () => {
+  let env, app, db
+  beforeAll(async () => {
+    env = await testEnv(projectId)
+    app = initializeApp({ projectId }, 'migrate-test')
+    db = getFirestore(app)
+  })
+  afterAll(async () => {
+    await env?.cleanup()
+    if (app) await deleteApp(app)
+  })
+  beforeEach(async () => {
+    await env.clearFirestore()
+    await seed(env, 'old', { ownerDeviceId: 'dev-owner', pinEnabled: true, pin: '1234', players: [] })
+    await seed(env, 'open', { ownerDeviceId: 'dev-other', pinEnabled: false, pin: '', players: [] })
+    await seed(env, 'new', { ownerUid: 'owner', pinEnabled: false, players: [] })
+  })
+
+  it('moves the PIN to its hash and hands out claim codes for ownerless trips only', async () => {
+    const found = await migrateLegacyTrips(db)
+    expect(found.map(f => f.tripId).sort()).toEqual(['old', 'open'])
+    const old = await db.doc('trips/old').get()
+    expect('pin' in old.data()).toBe(false)
+    expect((await db.doc('trips/old/private/pin').get()).data().hash).toBe(await hashPin('old', '1234'))
+    expect((await db.doc('trips/open/private/pin').get()).exists).toBe(false)
+  })
+
+  it('gives codes the rules accept for a claim, once', async () => {
+    const [{ code }] = (await migrateLegacyTrips(db)).filter(f => f.tripId === 'old')
+    const trip = doc(env.authenticatedContext('alice').firestore(), 'trips', 'old')
+    await assertSucceeds(updateDoc(trip, { ownerUid: 'alice', claimCode: normClaimCode(code) }))
+    expect(await migrateLegacyTrips(db)).toEqual([])
+  })
+})
@@ -0,0 +1,201 @@
+// firestore.rules: who can read and write a trip, its scores, its PIN hash, its members and its edit log.
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest'
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import { doc, getDoc, getDocs, collection, setDoc, updateDoc, deleteDoc, addDoc, deleteField } from 'firebase/firestore'
+import { emulated, testEnv, seed } from './env'
+import { hashClaimCode } from '../../src/access'
+import { diffTrip } from '../../src/tripSync'
+import { commitTripOps } from '../../src/tripCommit'
+import { scoreGuards } from '../../src/scoreGuards'
+
+const openTrip = { ownerUid: 'owner', ownerDeviceId: 'dev-owner', pinEnabled: false, watchLinks: false, players: [] }
+const lockedTrip = { ...openTrip, pinEnabled: true }
+const linkTrip = { ...openTrip, watchLinks: true }
+// A trip from before sign-in, after scripts/migrate-legacy-trips.js moved its PIN to the hash
+const legacyTrip = { ownerDeviceId: 'dev-owner', pinEnabled: true, players: [] }
+// Round r1: Ann v Bob kept by alice's phone, Cat v Dan open to anyone
+const row = (n) => Array(18).fill(n)
+const keptMatch = { id: 'm1', roundId: 'r1', mode: 'singles', playerIds: ['a', 'b'], keepers: [{ uid: 'alice', name: 'Alice' }] }
+const openMatch = { id: 'm2', roundId: 'r1', mode: 'singles', playerIds: ['c', 'd'] }
+const keptTrip = { ...openTrip, teams: [], matches: [keptMatch, openMatch], guards: scoreGuards([keptMatch, openMatch]), scoresByRound: { r1: { a: row(''), c: row('') } } }
+const secrets = { 'trips/t1/private/pin': { hash: 'right-hash' }, 'trips/t1/private/editKey': { key: 'right-key' } }
+
+describe.skipIf(!emulated)('firestore.rules', () => {
+  let env
+  beforeAll(async () => { env = await testEnv('demo-golf-trip-rules') })
+  afterAll(async () => { await env?.cleanup() })
+  beforeEach(async () => { await env.clearFirestore() })
+
+  const as = (uid) => uid ? env.authenticatedContext(uid).firestore() : env.unauthenticatedContext().firestore()
+  const trip = (uid) => doc(as(uid), 'trips', 't1')
+  const member = (uid, data) => setDoc(doc(as(uid), 'trips', 't1', 'members', uid), { name: uid, ...data })
+
+  describe('reading', () => {
+    beforeEach(() => seed(env, 't1', lockedTrip, secrets))
+    it('lets any signed-in device open a trip by its link', async () => {
+      await assertSucceeds(getDoc(trip('stranger')))
+      await assertFails(getDoc(trip(null)))
+    })
+    it('does not list trips', async () => {
+      await assertFails(getDocs(collection(as('stranger'), 'trips')))
+    })
+    it('keeps the PIN hash and edit key to the owner', async () => {
+      await assertSucceeds(getDoc(doc(as('owner'), 'trips', 't1', 'private', 'pin')))
+      await assertFails(getDoc(doc(as('stranger'), 'trips', 't1', 'private', 'pin')))
+      await assertFails(getDoc(doc(as('stranger'), 'trips', 't1', 'private', 'editKey')))
+      await assertFails(setDoc(doc(as('stranger'), 'trips', 't1', 'private', 'pin'), { hash: 'mine' }))
+    })
+    it('keeps a trip from before sign-in closed while it has a plaintext PIN', async () => {
+      await seed(env, 't1', { ...legacyTrip, pin: '1234' })
+      await assertFails(getDoc(trip('stranger')))
+    })
+  })
+
+  describe('creating', () => {
+    it('makes the creator the owner', async () => {
+      await assertSucceeds(setDoc(doc(as('alice'), 'trips', 'new'), { ...openTrip, ownerUid: 'alice' }))
+      await assertFails(setDoc(doc(as('alice'), 'trips', 'new2'), { ...openTrip, ownerUid: 'bob' }))
+      await assertFails(setDoc(doc(as(null), 'trips', 'new3'), { ...openTrip, ownerUid: 'alice' }))
+    })
+  })
+
+  describe('a trip without a PIN', () => {
+    beforeEach(() => seed(env, 't1', openTrip, secrets))
+    it('lets anyone signed in edit', async () => {
+      await assertSucceeds(updateDoc(trip('stranger'), { players: [{ id: 'p1', name: 'Ann' }] }))
+      await assertFails(updateDoc(trip(null), { players: [] }))
+    })
+    it('leaves the lock, links and ownership to the owner', async () => {
+      await assertFails(updateDoc(trip('stranger'), { pinEnabled: true }))
+      await assertFails(updateDoc(trip('stranger'), { watchLinks: true }))
+      await assertFails(updateDoc(trip('stranger'), { ownerUid: 'stranger' }))
+      await assertSucceeds(updateDoc(trip('owner'), { pinEnabled: true }))
+    })
+    it('only lets the owner delete it', async () => {
+      await assertFails(deleteDoc(trip('stranger')))
+      await assertSucceeds(deleteDoc(trip('owner')))
+    })
+  })
+
+  describe('a trip with the PIN lock on', () => {
+    beforeEach(() => seed(env, 't1', lockedTrip, secrets))
+    it('refuses edits from devices that have not joined', async () => {
+      await assertFails(updateDoc(trip('stranger'), { players: [] }))
+      await assertSucceeds(updateDoc(trip('owner'), { players: [] }))
+    })
+    it('lets a device join with the right PIN hash, then edit', async () => {
+      await assertFails(member('bob', { via: 'pin', pinHash: 'wrong-hash' }))
+      await assertSucceeds(member('bob', { via: 'pin', pinHash: 'right-hash' }))
+      await assertSucceeds(updateDoc(trip('bob'), { players: [{ id: 'p1', name: 'Ann' }] }))
+    })
+    it('does not let the edit link key stand in for the PIN', async () => {
+      await assertSucceeds(member('bob', { via: 'link', key: 'right-key' }))
+      await assertFails(updateDoc(trip('bob'), { players: [] }))
+    })
+    it('shuts PIN members out when the PIN changes, until they enter the new one', async () => {
+      await assertSucceeds(member('bob', { via: 'pin', pinHash: 'right-hash' }))
+      await assertSucceeds(setDoc(doc(as('owner'), 'trips', 't1', 'private', 'pin'), { hash: 'new-hash' }))
+      await assertFails(updateDoc(trip('bob'), { players: [] }))
+      await assertFails(member('bob', { via: 'pin', pinHash: 'right-hash' }))
+      await assertSucceeds(member('bob', { via: 'pin', pinHash: 'new-hash' }))
+      await assertSucceeds(updateDoc(trip('bob'), { players: [] }))
+    })
+    it('does not let a device join for someone else', async () => {
+      await assertFails(setDoc(doc(as('bob'), 'trips', 't1', 'members', 'carl'), { via: 'pin', pinHash: 'right-hash' }))
+    })
+  })
+
+  describe('a trip with a separate watch-only link', () => {
+    beforeEach(() => seed(env, 't1', linkTrip, secrets))
+    it('refuses edits from the watch link', async () => {
+      await assertFails(updateDoc(trip('watcher'), { players: [] }))
+    })
+    it('lets a device join with the edit link key, then edit', async () => {
+      await assertFails(member('bob', { via: 'link', key: 'wrong-key' }))
+      await assertSucceeds(member('bob', { via: 'link', key: 'right-key' }))
+      await assertSucceeds(updateDoc(trip('bob'), { players: [] }))
+    })
+  })
+
+  describe('the edit log', () => {
+    beforeEach(() => seed(env, 't1', lockedTrip, { ...secrets, 'trips/t1/log/e1': { uid: 'owner', kind: 'score' } }))
+    const log = (uid) => collection(as(uid), 'trips', 't1', 'log')
+    it('takes entries from editors under their own uid', async () => {
+      await assertSucceeds(addDoc(log('owner'), { uid: 'owner', kind: 'score' }))
+      await assertFails(addDoc(log('owner'), { uid: 'bob', kind: 'score' }))
+      await assertFails(addDoc(log('stranger'), { uid: 'stranger', kind: 'score' }))
+    })
+    it('never changes or removes an entry', async () => {
+      await assertFails(updateDoc(doc(as('owner'), 'trips', 't1', 'log', 'e1'), { kind: 'undo' }))
+      await assertFails(deleteDoc(doc(as('owner'), 'trips', 't1', 'log', 'e1')))
+    })
+  })
+
+  describe('scorekeepers and locks', () => {
+    beforeEach(() => seed(env, 't1', keptTrip))
+    // An edit the way the app writes it: only the changed fields, with guards rewritten from the matches
+    async function edit(uid, change) {
+      const db = as(uid), ref = doc(db, 'trips', 't1')
+      const base = (await getDoc(ref)).data(), next = { ...base, ...change(base) }
+      await commitTripOps(db, ref, diffTrip(base, next, Object.keys(change(base))))
+    }
+    const score = (pid, v) => (t) => ({ scoresByRound: { ...t.scoresByRound, r1: { ...t.scoresByRound.r1, [pid]: row(v) } } })
+    const setMatch = (mid, fn) => (t) => ({ matches: t.matches.map(m => m.id === mid ? fn(m) : m) })
+
+    it('lets the scorekeeper and the owner score a kept match', async () => {
+      await assertSucceeds(edit('alice', score('a', '4')))
+      await assertSucceeds(edit('owner', score('b', '5')))
+    })
+    it('refuses other devices\' scores for a kept match, but not for an open one', async () => {
+      await assertFails(edit('stranger', score('a', '4')))
+      await assertFails(edit('stranger', score('b', '4')))
+      await assertSucceeds(edit('stranger', score('c', '4')))
+    })
+    it('refuses scores for a locked match, even from its scorekeeper', async () => {
+      await assertSucceeds(edit('alice', setMatch('m1', m => ({ ...m, locked: true }))))
+      await assertFails(edit('alice', score('a', '4')))
+      await assertSucceeds(edit('owner', score('a', '4')))
+    })
+    it('lets a scorekeeper hand over, and no one else take over', async () => {
+      await assertFails(edit('stranger', setMatch('m1', m => ({ ...m, keepers: [{ uid: 'stranger', name: 'S' }] }))))
+      await assertFails(edit('stranger', setMatch('m1', m => ({ ...m, keepers: [] }))))
+      await assertFails(edit('stranger', (t) => ({ matches: t.matches.filter(m => m.id !== 'm1') })))
+      await assertSucceeds(edit('alice', setMatch('m1', m => ({ ...m, keepers: [{ uid: 'bob', name: 'Bob' }] }))))
+      await assertSucceeds(edit('bob', score('a', '4')))
+      await assertFails(edit('alice', score('a', '5')))
+    })
+    it('refuses guards that leave out a match someone else keeps', async () => {
+      await assertFails(updateDoc(trip('stranger'), { guards: {} }))
+      await assertFails(updateDoc(trip('stranger'), { 'guards.r1.by': { stranger: ['a', 'b'] } }))
+      await assertSucceeds(edit('stranger', setMatch('m2', m => ({ ...m, keepers: [{ uid: 'stranger', name: 'S' }] }))))
+    })
+  })
+
+  describe('claiming a trip from before sign-in', () => {
+    const code = 'K7PQ2MXR'
+    beforeEach(async () => seed(env, 't1', legacyTrip, { 'trips/t1/private/claim': { hash: await hashClaimCode('t1', code) } }))
+    it('takes the claim with the claim code', async () => {
+      await assertSucceeds(updateDoc(trip('alice'), { ownerUid: 'alice', claimCode: code }))
+      // …and then, as the owner, clears the code away
+      await assertSucceeds(updateDoc(trip('alice'), { claimCode: deleteField() }))
+      await assertSucceeds(deleteDoc(doc(as('alice'), 'trips', 't1', 'private', 'claim')))
+    })
+    it('refuses a claim without the right code', async () => {
+      await assertFails(updateDoc(trip('stranger'), { ownerUid: 'stranger' }))
+      await assertFails(updateDoc(trip('stranger'), { ownerUid: 'stranger', claimCode: 'AAAABBBB' }))
+      // The device id on the trip is readable by anyone with the link: it proves nothing
+      await assertFails(updateDoc(trip('stranger'), { ownerUid: 'stranger', claimDeviceId: 'dev-owner' }))
+    })
+    it('keeps the code\'s hash unreadable', async () => {
+      await assertFails(getDoc(doc(as('stranger'), 'trips', 't1', 'private', 'claim')))
+    })
+    it('refuses a claim for someone else or with other changes', async () => {
+      await assertFails(updateDoc(trip('alice'), { ownerUid: 'bob', claimCode: code }))
+      await assertFails(updateDoc(trip('alice'), { ownerUid: 'alice', claimCode: code, pinEnabled: false }))
+    })
+    it('refuses to claim a trip that has an owner', async () => {
+      await seed(env, 't1', openTrip)
+      await assertFails(updateDoc(trip('alice'), { ownerUid: 'alice', claimCode: code }))
+    })
+  })
+})
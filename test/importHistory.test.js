@@ -0,0 +1,85 @@
+// Importing archived scorecards: malformed files are reported, never thrown.
+import { describe, it, expect } from 'vitest'
+import { validateItem, parseImportFile, remapItem } from '../src/importHistory'
+import { csvRow, parseCSV } from '../src/csv'
+
+const course = { key: 'home', name: 'Home GC', par: Array(18).fill(4), si: Array.from({ length: 18 }, (_, h) => h + 1) }
+const row = (n) => Array(18).fill(String(n))
+const item = () => ({
+  id: 'h1', label: 'Match • Home GC • Ann / Bob', mode: 'singles', courseKey: 'home', course,
+  playerIds: ['a', 'b'], playerNames: ['Ann', 'Bob'], scores: { a: row(4), b: row(5) },
+})
+const ctx = { courses: [course] }
+
+describe('validateItem', () => {
+  it('accepts an exported scorecard', () => {
+    expect(validateItem(item(), ctx).errors).toEqual([])
+  })
+  it('needs a label', () => {
+    expect(validateItem({ ...item(), label: '' }, ctx).errors).toContain('The scorecard has no label')
+    expect(validateItem({ ...item(), label: 7 }, ctx).errors).toContain('The scorecard has no label')
+  })
+  it('needs every score row to be a list', () => {
+    expect(validateItem({ ...item(), scores: { a: row(4), b: '5,5,5' } }, ctx).errors).toContain('Bob: no scores')
+    expect(validateItem({ ...item(), scores: { a: row(4), b: row(5), x: 3 } }, ctx).errors).toContain('Scores for "x" aren\'t a list of holes')
+    expect(validateItem({ ...item(), scores: 'none' }, ctx).errors).toContain('The scorecard has no scores')
+  })
+  it('needs teams with player lists', () => {
+    const h = { ...item(), mode: 'bestball', playerIds: undefined, teamA: { name: 'A', playerIds: 'a' }, teamB: { name: 'B', playerIds: ['b'] } }
+    expect(validateItem(h, ctx).errors).toContain('The scorecard needs two teams with players')
+  })
+})
+
+describe('parseImportFile', () => {
+  it('reports broken JSON and non-scorecards', () => {
+    expect(parseImportFile('{ nope', ctx)[0].errors[0]).toMatch(/^Not valid JSON/)
+    expect(parseImportFile('[1, null]', ctx).map(r => r.errors)).toEqual([['Not an archived scorecard'], ['Not an archived scorecard']])
+  })
+  it('reports, rather than throws on, malformed rows', () => {
+    const [r] = parseImportFile(JSON.stringify({ ...item(), scores: { a: row(4), b: { 1: 5 } }, wolfPicks: 'x' }), ctx)
+    expect(r.errors).toEqual(expect.arrayContaining(['Bob: no scores', 'Wolf picks aren\'t a list']))
+  })
+})
+
+describe('scorecard CSV', () => {
+  // As exportHistoryCSV writes a best ball match: Ann alone against three
+  const card = ({ mode = 'Best Ball (1 pt)', sides = true, names = ['Ann, Jr.', 'Bob', 'Cat "C"', 'Dan'] } = {}) => [
+    csvRow(['Course: Home GC • 2024-05-01']), csvRow([`Mode: ${mode}`]), 'Scoring: gross', csvRow(['Solo vs The "Three"']), 'Result: Halved', '',
+    ...(sides ? [csvRow(['Team', '', 'A', 'B', 'B', 'B'])] : []),
+    csvRow(['Hole', 'Par', ...names, 'A pts', 'B pts']),
+    ...Array.from({ length: 18 }, (_, h) => csvRow([h + 1, 4, 4, 5, 4, 6, 0.5, 0.5])),
+  ].join('\n')
+
+  it('quotes cells and reads them back', () => {
+    const cells = ['plain', 'a, b', 'say "hi"', 'two\nlines', '']
+    expect(csvRow(cells)).toBe('plain,"a, b","say ""hi""","two\nlines",')
+    expect(parseCSV(`${csvRow(cells)}\r\nx,y`)).toEqual([cells, ['x', 'y']])
+  })
+
+  it('keeps uneven teams as written', () => {
+    const [r] = parseImportFile(card(), ctx)
+    expect(r.errors).toEqual([])
+    expect(r.item.teamA).toMatchObject({ name: 'Solo', playerNames: ['Ann, Jr.'] })
+    expect(r.item.teamB).toMatchObject({ name: 'The "Three"', playerNames: ['Bob', 'Cat "C"', 'Dan'] })
+    expect(r.item.scores[r.item.teamB.playerIds[2]]).toEqual(row(6))
+  })
+
+  it('finds the mode by id as well as label', () => {
+    expect(parseImportFile(card({ mode: 'bestball' }), ctx)[0].item.mode).toBe('bestball')
+  })
+
+  it('rejects team players it can\'t place', () => {
+    const [r] = parseImportFile(card({ sides: false }), ctx)
+    expect(r.errors).toContain('The CSV doesn\'t say which team each player is on: export it again, or use the JSON export')
+  })
+})
+
+describe('remapItem', () => {
+  it('swaps in the trip\'s players', () => {
+    const h = remapItem(item(), { a: { id: 'p1', name: 'Ann', handicap: '4' }, b: { id: 'p2', name: 'Bobby', handicap: '' } })
+    expect(h.playerIds).toEqual(['p1', 'p2'])
+    expect(h.playerNames).toEqual(['Ann', 'Bobby'])
+    expect(h.scores.p1).toEqual(row(4))
+    expect(h.handicaps).toEqual({ p1: '4', p2: '' })
+  })
+})
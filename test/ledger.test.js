@@ -0,0 +1,32 @@
+// Betting ledger: stakes per match and the settle-up transfers.
+import { describe, it, expect } from 'vitest'
+import { matchMoney, settle } from '../src/ledger'
+import { getMode } from '../src/modes'
+import { scoreMatch } from '../src/scoring'
+
+const course = { par: Array(18).fill(4), si: Array.from({ length: 18 }, (_, h) => h + 1) }
+const singles = (mode, a, b) => scoreMatch({ mode, course, playerIds: ['p1', 'p2'], scores: { p1: a, p2: b } })
+// p1 wins holes 1–3, p2 wins hole 4, the rest are halved
+const p1 = [3, 3, 3, 5, ...Array(14).fill(4)], p2 = [4, 4, 4, 4, ...Array(14).fill(4)]
+const opts = (mode) => ({ playersA: ['p1'], playersB: ['p2'], sides: ['p1', 'p2'], lowerWins: !!getMode(mode).lowerWins })
+
+describe('matchMoney — $ per skin', () => {
+  it('pays the player who won more holes in match play', () => {
+    expect(matchMoney({ type: 'skin', amount: 5 }, singles('singles', p1, p2), opts('singles'))).toEqual({ p1: 10, p2: -10 })
+  })
+  it('pays the lower score in stroke play', () => {
+    expect(matchMoney({ type: 'skin', amount: 5 }, singles('singles-stroke', p1, p2), opts('singles-stroke'))).toEqual({ p1: 10, p2: -10 })
+  })
+  it('pays the stroke-play winner per stroke', () => {
+    expect(matchMoney({ type: 'point', amount: 1 }, singles('singles-stroke', p1, p2), opts('singles-stroke'))).toEqual({ p1: 2, p2: -2 })
+  })
+})
+
+describe('settle', () => {
+  it('squares everyone up in the fewest transfers', () => {
+    const t = settle({ a: 10, b: -10, c: 5, d: -5 })
+    expect(t).toHaveLength(2)
+    expect(t).toContainEqual({ from: 'b', to: 'a', amount: 10 })
+    expect(t).toContainEqual({ from: 'd', to: 'c', amount: 5 })
+  })
+})
@@ -0,0 +1,242 @@
+// Game-mode registry: every file in src/modes is picked up and the registry rejects bad modes.
+import { describe, it, expect } from 'vitest'
+import { listModes, getMode, modeLabel, registerMode } from '../src/modes'
+import { scoreMatch } from '../src/scoring'
+
+const course = { par: Array(18).fill(4), si: Array.from({ length: 18 }, (_, h) => h + 1) }
+
+describe('mode registry', () => {
+  it('loads every mode file, in display order', () => {
+    const ids = listModes().map(m => m.id)
+    for (const id of ['bestball', 'skins', 'nassau', 'wolf', 'scramble', 'singles', 'singles-stroke']) expect(ids).toContain(id)
+    expect(new Set(ids).size).toBe(ids.length)
+    const orders = listModes().map(m => m.order ?? 100)
+    expect(orders).toEqual([...orders].sort((a, b) => a - b))
+  })
+
+  it('gives every mode what the scorecards need', () => {
+    for (const m of listModes()) {
+      expect(m.label).toBeTruthy()
+      if (m.individual) {
+        expect(typeof m.score).toBe('function')
+        expect(m.playersNeeded).toBeGreaterThan(0)
+      } else {
+        expect(typeof m.scoreHole).toBe('function')
+        expect(typeof m.teamRow).toBe('function')
+      }
+    }
+  })
+
+  it('rejects a mode without scoring', () => {
+    expect(() => registerMode({ id: 'broken', label: 'Broken' })).toThrow('Invalid game mode: broken')
+    expect(() => registerMode({ label: 'No id', scoreHole() {}, teamRow() {} })).toThrow('(no id)')
+    expect(getMode('broken')).toBeUndefined()
+  })
+
+  it('adds a mode at runtime', () => {
+    registerMode({ id: 'test-low', label: 'Low ball', order: 999, scoreHole: () => ({ aPts: 1, bPts: 0, info: '', complete: true }), teamRow: (s) => ({ value: Math.min(...s) }) })
+    expect(getMode('test-low').label).toBe('Low ball')
+    expect(modeLabel('test-low')).toBe('Low ball')
+    expect(listModes().at(-1).id).toBe('test-low')
+    expect(modeLabel('gone')).toBe('gone')
+  })
+})
+
+describe('singles', () => {
+  const p = ['p1', 'p2']
+  const scores = (a, b) => ({ p1: a, p2: b })
+  const names = { p1: 'Ann', p2: 'Bob' }
+
+  it('match play halves tied holes', () => {
+    const r = scoreMatch({ mode: 'singles', course, playerIds: p, names, scores: scores(Array(18).fill(4), Array(18).fill(4)) })
+    expect(r.perHole.every(h => h.aPts === 0.5 && h.bPts === 0.5)).toBe(true)
+    expect(r.status.winner).toBe('halved')
+  })
+
+  it('stroke play: the lower total wins, unplayed holes keep it open', () => {
+    const a = Array(18).fill(4), b = Array(18).fill(5)
+    expect(scoreMatch({ mode: 'singles-stroke', course, playerIds: p, names, scores: scores(a, b) }).status).toMatchObject({ winner: 'p1', margin: 18 })
+    const open = scoreMatch({ mode: 'singles-stroke', course, playerIds: p, names, scores: scores(a, [...b.slice(0, 17), '']) })
+    expect(open.status.finished).toBe(false)
+    expect(open.status.text).toBe('Ann 0, Bob +17 thru 17')
+  })
+
+  it('Stableford: the higher points total wins', () => {
+    const r = scoreMatch({ mode: 'singles-stableford', course, playerIds: p, names, scores: scores(Array(18).fill(3), Array(18).fill(4)) })
+    expect(r.perHole[0]).toMatchObject({ points: { p1: 3, p2: 2 }, info: '3–2 pts' })
+    expect(r.status).toMatchObject({ winner: 'p1', text: 'Ann wins by 18 (54–36 pts)' })
+  })
+
+  it('Stableford: equal points halve', () => {
+    const r = scoreMatch({ mode: 'singles-stableford', course, playerIds: p, names, scores: scores(Array(18).fill(5), Array(18).fill(5)) })
+    expect(r.status).toMatchObject({ winner: 'halved', text: 'Halved (18–18 pts)' })
+    const open = scoreMatch({ mode: 'singles-stableford', course, playerIds: p, names, scores: scores([4, 3], [3, 4]) })
+    expect(open.status.text).toBe('All square thru 2')
+  })
+})
+
+// Team modes on one hole: scores for holes 0.., '' after
+const teamA = { id: 'a', name: 'Aces', playerIds: ['a1', 'a2'] }
+const teamB = { id: 'b', name: 'Birdies', playerIds: ['b1', 'b2'] }
+const sheet = (rows) => Object.fromEntries(Object.entries(rows).map(([pid, r]) => [pid, Array.from({ length: 18 }, (_, h) => r[h] ?? '')]))
+const all = (n) => Array(18).fill(n)
+const team = (mode, scores, extra = {}) => scoreMatch({ mode, course, teamA, teamB, scores, ...extra })
+
+describe('stableford', () => {
+  it('gives the hole to the higher points total', () => {
+    const r = team('stableford', sheet({ a1: [2], a2: [5], b1: [4], b2: [4] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1, bPts: 0, info: 'Stableford 5-4' })
+  })
+  it('pushes on equal points', () => {
+    const r = team('stableford', sheet({ a1: all(3), a2: all(5), b1: all(4), b2: all(4) }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 0.5, bPts: 0.5, info: 'Stableford 4-4 (push)' })
+    expect(r.status.text).toBe('Halved')
+  })
+})
+
+describe('high–low', () => {
+  it('scores the low and high balls separately', () => {
+    const r = team('highlow', sheet({ a1: [3], a2: [6], b1: [4], b2: [5] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1, bPts: 1, info: 'Low 3/4, High 6/5' })
+  })
+  it('halves a tied ball', () => {
+    const r = team('highlow', sheet({ a1: [3], a2: [5], b1: [4], b2: [5] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1.5, bPts: 0.5 })
+    const tied = team('highlow', sheet({ a1: all(4), a2: all(5), b1: all(4), b2: all(5) }))
+    expect(tied.perHole[0]).toMatchObject({ aPts: 1, bPts: 1 })
+    expect(tied.status.text).toBe('Halved')
+  })
+})
+
+describe('captain & mate', () => {
+  it('plays captains and mates against each other', () => {
+    const r = team('captainmate', sheet({ a1: [3], a2: [6], b1: [4], b2: [4] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1, bPts: 1, info: 'Cap 3/4, Mate 6/4' })
+  })
+  it('halves tied pairings', () => {
+    const r = team('captainmate', sheet({ a1: [4], a2: [5], b1: [4], b2: [6] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1.5, bPts: 0.5 })
+  })
+  it('needs exactly two players a side', () => {
+    const r = scoreMatch({ mode: 'captainmate', course, teamA: { ...teamA, playerIds: ['a1'] }, teamB, scores: sheet({ a1: [4], b1: [4], b2: [4] }) })
+    expect(r.perHole[0]).toMatchObject({ complete: false, info: 'Teams need at least 2 players' })
+  })
+})
+
+describe('aggregate', () => {
+  it('gives the hole to the lower team total', () => {
+    const r = team('aggregate', sheet({ a1: [3], a2: [5], b1: [4], b2: [5] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1, bPts: 0, info: 'A 8 vs 9' })
+    expect(r.teamRowA[0]).toEqual({ value: 8, colorPar: 8 })
+  })
+  it('pushes on equal totals', () => {
+    const r = team('aggregate', sheet({ a1: [3], a2: [6], b1: [4], b2: [5] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 0.5, bPts: 0.5, info: 'Push' })
+  })
+})
+
+describe('nassau', () => {
+  // Aces win the first two holes, every other hole is halved
+  const scores = sheet({ a1: [3, 3, ...all(4)], a2: all(5), b1: all(4), b2: all(5) })
+
+  it('runs front, back and overall bets', () => {
+    const r = team('nassau', scores, { autoPress: false })
+    expect(r.bets.map(b => b.id)).toEqual(['front', 'back', 'overall'])
+    expect(r.bets.map(b => b.status.text)).toEqual(['Aces wins 2&1', 'Halved', 'Aces wins 2&1'])
+    expect(r.bets[0].running.slice(0, 3)).toEqual([1, 2, 2])
+  })
+
+  it('presses automatically when a side goes 2 down', () => {
+    const r = team('nassau', scores)
+    expect(r.bets.map(b => b.id)).toEqual(['front', 'back', 'overall', 'front>2', 'overall>2'])
+    const press = r.bets[3]
+    expect(press).toMatchObject({ label: 'Auto press Birdies (H3–9)', start: 2, end: 8, by: 'B', auto: true })
+    expect(press.status.text).toBe('Halved')
+  })
+
+  it('adds manual presses to the end of the nine', () => {
+    const r = team('nassau', scores, { autoPress: false, presses: [{ id: 'p1', by: 'B', start: 12 }] })
+    expect(r.bets[3]).toMatchObject({ id: 'p1', label: 'Press Birdies (H13–18)', start: 12, end: 17, manual: true })
+    expect(r.bets[3].status.text).toBe('Halved')
+  })
+
+  it('halves every bet and presses nothing when all square', () => {
+    const r = team('nassau', sheet({ a1: all(4), a2: all(5), b1: all(4), b2: all(5) }))
+    expect(r.bets.map(b => b.status.text)).toEqual(['Halved', 'Halved', 'Halved'])
+  })
+})
+
+describe('wolf', () => {
+  const playerIds = ['w1', 'w2', 'w3', 'w4']
+  const names = { w1: 'Ann', w2: 'Bob', w3: 'Cat', w4: 'Dan' }
+  const wolf = (scores, wolfPicks) => scoreMatch({ mode: 'wolf', course, playerIds, names, wolfPicks, scores })
+
+  it('scores partners, lone and blind wolves zero-sum', () => {
+    const r = wolf(sheet({ w1: [3, 4, 4, 4], w2: [4, 3, 4, 4], w3: [4, 4, 5, 4], w4: [4, 4, 4, 4] }), ['w2', 'lone', 'blind', 'w1'])
+    expect(r.perHole[0]).toMatchObject({ wolf: 'w1', points: { w1: 1, w2: 1, w3: -1, w4: -1 }, info: 'Wolf wins 3 v 4' })
+    expect(r.perHole[1]).toMatchObject({ wolf: 'w2', points: { w1: -1, w2: 3, w3: -1, w4: -1 }, info: 'Lone wolf wins 3 v 4' })
+    expect(r.perHole[2]).toMatchObject({ wolf: 'w3', points: { w1: 2, w2: 2, w3: -6, w4: 2 }, info: 'Blind wolf loses 5 v 4' })
+    expect(r.totals).toEqual({ w1: 2, w2: 6, w3: -8, w4: 0 })
+    expect(r.status.text).toBe('Bob leads (+6) thru 4')
+  })
+
+  it('scores nothing on a tied hole', () => {
+    const r = wolf(sheet({ w1: [4], w2: [4], w3: [4], w4: [4] }), ['lone'])
+    expect(r.perHole[0]).toMatchObject({ points: { w1: 0, w2: 0, w3: 0, w4: 0 }, info: 'Tie 4', complete: true })
+    expect(r.status.text).toBe('Level at 0 thru 1')
+  })
+
+  it('waits for the wolf to pick', () => {
+    const r = wolf(sheet({ w1: [4], w2: [4], w3: [4], w4: [4] }), [])
+    expect(r.perHole[0]).toMatchObject({ complete: false, info: 'Ann to pick' })
+  })
+})
+
+describe('team-score modes', () => {
+  const handicaps = { a1: 10, a2: 20, b1: 0, b2: 0 }
+
+  it('scramble: one score a side, lower wins', () => {
+    const r = team('scramble', sheet({ 'team:a': [3, 4], 'team:b': [4, 4] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1, bPts: 0, info: 'A 3 beats 4' })
+    expect(r.perHole[1]).toMatchObject({ aPts: 0.5, bPts: 0.5, info: 'Push' })
+  })
+
+  it('scramble: weights the team handicap, lowest index first', () => {
+    // 35% of 10 + 15% of 20 = 6.5 → 7 strokes
+    const r = team('scramble', sheet({ 'team:a': [4], 'team:b': [4] }), { scoring: 'net', handicaps })
+    expect(r.strokes('team:a', 6)).toBe(1)
+    expect(r.strokes('team:a', 7)).toBe(0)
+    expect(r.perHole[0]).toMatchObject({ aPts: 1, bPts: 0 })
+  })
+
+  it('foursomes: half the combined indexes, two players a side', () => {
+    const r = team('foursomes', sheet({ 'team:a': [4], 'team:b': [4] }), { scoring: 'net', handicaps })
+    expect(r.strokes('team:a', 14)).toBe(1)
+    expect(r.strokes('team:a', 15)).toBe(0)
+    const three = scoreMatch({ mode: 'foursomes', course, teamA: { ...teamA, playerIds: ['a1', 'a2', 'a3'] }, teamB, scores: sheet({ 'team:a': [4], 'team:b': [4] }) })
+    expect(three.perHole[0]).toMatchObject({ complete: false, info: 'Teams can have at most 2 players' })
+  })
+})
+
+describe('shamble', () => {
+  const three = (T, x) => ({ ...T, playerIds: [...T.playerIds, x] })
+  const shamble = (scores, bestBalls) => scoreMatch({ mode: 'shamble', course, teamA: three(teamA, 'a3'), teamB: three(teamB, 'b3'), scores, bestBalls })
+
+  it('counts the best N balls', () => {
+    const r = shamble(sheet({ a1: [3], a2: [5], a3: [9], b1: [4], b2: [5], b3: [3] }), 2)
+    expect(r.perHole[0]).toMatchObject({ aPts: 0, bPts: 1, info: 'B best 2: 7 vs 8' })
+    expect(r.teamRowA[0]).toEqual({ value: 8, colorPar: 8 })
+    const one = shamble(sheet({ a1: [3], a2: [5], a3: [9], b1: [4], b2: [5], b3: [3] }), 1)
+    expect(one.perHole[0]).toMatchObject({ aPts: 0.5, bPts: 0.5, info: 'Push' })
+  })
+
+  it('pushes on equal best balls', () => {
+    const r = shamble(sheet({ a1: [4], a2: [5], a3: [9], b1: [5], b2: [4], b3: [6] }), 2)
+    expect(r.perHole[0]).toMatchObject({ aPts: 0.5, bPts: 0.5, info: 'Push' })
+  })
+
+  it('needs N players a side', () => {
+    const r = shamble(sheet({ a1: [4], a2: [4], a3: [4], b1: [4], b2: [4], b3: [4] }), 4)
+    expect(r.perHole[0]).toMatchObject({ complete: false, info: 'Teams need at least 4 players' })
+  })
+})
@@ -0,0 +1,45 @@
+// Scorekeepers and locks as the rules see them: per round, which score entries are kept, by whom, and locked.
+import { describe, it, expect } from 'vitest'
+import { scoreGuards, withGuards } from '../src/scoreGuards'
+
+const teams = [
+  { id: 'tA', name: 'Aces', playerIds: ['a', 'b'] },
+  { id: 'tB', name: 'Birdies', playerIds: ['c', 'd'] },
+]
+const bestball = { id: 'm1', roundId: 'r1', mode: 'bestball', teamAId: 'tA', teamBId: 'tB' }
+const singles = { id: 'm2', roundId: 'r1', mode: 'singles', playerIds: ['e', 'f'] }
+
+describe('scoreGuards', () => {
+  it('leaves out matches anyone may score', () => {
+    expect(scoreGuards([bestball, singles], teams)).toEqual({})
+  })
+
+  it('lists kept entries per keeper', () => {
+    const g = scoreGuards([{ ...bestball, keepers: [{ uid: 'u1', name: 'Ann' }, { uid: 'u2', name: 'Bob' }] }, { ...singles, keepers: [{ uid: 'u1', name: 'Ann' }] }], teams)
+    expect(g).toEqual({ r1: { kept: ['a', 'b', 'c', 'd', 'e', 'f'], by: { u1: ['a', 'b', 'c', 'd', 'e', 'f'], u2: ['a', 'b', 'c', 'd'] }, locked: [] } })
+  })
+
+  it('locks a locked match\'s entries in its own round', () => {
+    const g = scoreGuards([{ ...singles, locked: true }, { ...singles, id: 'm3', roundId: 'r2', playerIds: ['a', 'b'] }], teams)
+    expect(g).toEqual({ r1: { kept: [], by: {}, locked: ['e', 'f'] } })
+  })
+
+  it('uses the team score in team-score modes', () => {
+    const g = scoreGuards([{ ...bestball, mode: 'scramble', keepers: [{ uid: 'u1', name: 'Ann' }] }], teams)
+    expect(g.r1.kept).toEqual(['team:tA', 'team:tB'])
+  })
+})
+
+describe('withGuards', () => {
+  const data = { matches: [{ ...singles, keepers: [{ uid: 'u1', name: 'Ann' }] }], teams, guards: { r1: { kept: ['e', 'f'], by: { u1: ['e', 'f'] }, locked: [] } } }
+
+  it('leaves patches that only touch scores alone', () => {
+    const patch = { 'scoresByRound.r1.e': Array(18).fill('4') }
+    expect(withGuards(data, patch)).toBe(patch)
+  })
+
+  it('recomputes them from the patched matches and the trip\'s teams', () => {
+    expect(withGuards(data, { matches: [singles] }).guards).toEqual({})
+    expect(withGuards(data, { teams: [] }).guards).toEqual(data.guards)
+  })
+})
@@ -0,0 +1,119 @@
+// Scoring engine: handicaps, ties, skins carry-over and unplayed holes.
+import { describe, it, expect } from 'vitest'
+import { toScore, handicapIndex, playingHandicap, strokesOnHole, scoreMatch } from '../src/scoring'
+
+const course = { par: Array(18).fill(4), si: Array.from({ length: 18 }, (_, h) => h + 1) }
+const teamA = { id: 'a', name: 'Aces', playerIds: ['a1', 'a2'] }
+const teamB = { id: 'b', name: 'Birdies', playerIds: ['b1', 'b2'] }
+// Score sheets from one row per player: a number per hole, '' for not played
+const sheet = (rows) => Object.fromEntries(Object.entries(rows).map(([pid, r]) => [pid, Array.from({ length: 18 }, (_, h) => r[h] ?? '')]))
+const all = (n) => Array(18).fill(n)
+
+describe('toScore', () => {
+  it('reads numbers and treats blanks as NaN', () => {
+    expect(toScore('5')).toBe(5)
+    expect(toScore(3)).toBe(3)
+    for (const v of ['', null, undefined, 'x']) expect(toScore(v)).toBeNaN()
+  })
+})
+
+describe('handicapIndex', () => {
+  it('reads a leading + as a plus handicap', () => {
+    expect(handicapIndex('+2')).toBe(-2)
+    expect(handicapIndex(' +1.4')).toBe(-1.4)
+    expect(handicapIndex('-2')).toBe(-2)
+    expect(handicapIndex('12.3')).toBe(12.3)
+    for (const v of ['', '+', null, undefined]) expect(handicapIndex(v)).toBeNaN()
+  })
+})
+
+describe('playingHandicap', () => {
+  it('applies the allowance and rounds', () => {
+    expect(playingHandicap(12.4)).toBe(12)
+    expect(playingHandicap(18, 85)).toBe(15)
+    expect(playingHandicap('9.5', 100)).toBe(10)
+  })
+  it('gives strokes for a plus handicap', () => {
+    expect(playingHandicap('+2')).toBe(-2)
+    expect(playingHandicap('+4', 75)).toBe(-3)
+    expect(strokesOnHole(playingHandicap('+2'), 18)).toBe(-1)
+  })
+  it('is 0 without a handicap', () => {
+    for (const v of ['', null, undefined, 'abc']) expect(playingHandicap(v)).toBe(0)
+  })
+})
+
+describe('strokesOnHole', () => {
+  it('gives strokes on the hardest holes first', () => {
+    expect(strokesOnHole(20, 1)).toBe(2)
+    expect(strokesOnHole(20, 2)).toBe(2)
+    expect(strokesOnHole(20, 3)).toBe(1)
+    expect(strokesOnHole(5, 6)).toBe(0)
+  })
+  it('gives strokes back from SI 18 for plus handicaps', () => {
+    expect(strokesOnHole(-2, 18)).toBe(-1)
+    expect(strokesOnHole(-2, 17)).toBe(-1)
+    expect(strokesOnHole(-2, 16)).toBeCloseTo(0)
+  })
+})
+
+describe('scoreMatch — best ball', () => {
+  const match = (scores, extra = {}) => scoreMatch({ mode: 'bestball', course, teamA, teamB, scores, ...extra })
+
+  it('halves tied holes and the match', () => {
+    const r = match(sheet({ a1: all(4), a2: all(5), b1: all(4), b2: all(6) }))
+    expect(r.perHole.every(h => h.complete && h.aPts === 0.5 && h.bPts === 0.5)).toBe(true)
+    expect(r.finished).toBe(true)
+    expect(r.status.text).toBe('Halved')
+  })
+
+  it('leaves holes without every score unplayed', () => {
+    const r = match(sheet({ a1: [3, 4], a2: [5, 5], b1: [4, 4], b2: [4] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 1, bPts: 0, complete: true })
+    expect(r.perHole[1]).toMatchObject({ complete: false, info: 'Waiting for scores' })
+    expect(r.completed).toBe(1)
+    expect(r.finished).toBe(false)
+    expect(r.status.text).toBe('Aces 1 up thru 1')
+  })
+
+  it('closes out and marks the rest unplayed', () => {
+    const r = match(sheet({ a1: all(3), a2: all(5), b1: all(4), b2: all(5) }), { closeout: 'unplayed' })
+    expect(r.status.decidedAt).toBe(9)
+    expect(r.status.text).toBe('Aces wins 10&8')
+    expect(r.perHole.slice(10).every(h => h.unplayed && !h.complete)).toBe(true)
+    expect(r.locked(10)).toBe(true)
+    expect(r.locked(9)).toBe(false)
+  })
+
+  it('keeps holes open after a closeout when play continues', () => {
+    const r = match(sheet({ a1: all(3), a2: all(5), b1: all(4), b2: all(5) }))
+    expect(r.locked(17)).toBe(false)
+    expect(r.perHole[17].complete).toBe(true)
+  })
+
+  it('nets strokes by stroke index', () => {
+    const scores = sheet({ a1: all(5), a2: all(6), b1: all(4), b2: all(6) })
+    const r = match(scores, { scoring: 'net', handicaps: { a1: 18, a2: 0, b1: 0, b2: 0 } })
+    expect(r.strokes('a1', 0)).toBe(1)
+    expect(r.net('a1', 0)).toBe(4)
+    expect(r.status.text).toBe('Halved')
+  })
+})
+
+describe('scoreMatch — skins', () => {
+  const skins = (scores) => scoreMatch({ mode: 'skins', course, teamA, teamB, scores })
+
+  it('carries halved skins to the next won hole', () => {
+    const r = skins(sheet({ a1: [4, 4, 3, 4], a2: [5, 5, 5, 5], b1: [4, 4, 4, 3], b2: [6, 6, 6, 6] }))
+    expect(r.perHole[0]).toMatchObject({ aPts: 0, bPts: 0, info: 'Skin halved (carry 1)' })
+    expect(r.perHole[1]).toMatchObject({ aPts: 0, bPts: 0, info: 'Skin halved (carry 2)' })
+    expect(r.perHole[2]).toMatchObject({ aPts: 3, bPts: 0, info: 'Skin A x3' })
+    expect(r.perHole[3]).toMatchObject({ aPts: 0, bPts: 1, info: 'Skin B x1' })
+  })
+
+  it('keeps the carry over an unplayed hole', () => {
+    const r = skins(sheet({ a1: [4, '', 3], a2: [5, 5, 5], b1: [4, 4, 4], b2: [6, 6, 6] }))
+    expect(r.perHole[1]).toMatchObject({ aPts: 0, bPts: 0, complete: false, info: 'Waiting for scores (carry 1)' })
+    expect(r.perHole[2]).toMatchObject({ aPts: 2, info: 'Skin A x2' })
+  })
+})
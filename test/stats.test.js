@@ -0,0 +1,33 @@
+// Player cards across live rounds and history: each round a player played counts once.
+import { describe, it, expect } from 'vitest'
+import { playerCards, legacyRoundId } from '../src/stats'
+import { leaderboard } from '../src/leaderboard'
+
+const course = { key: 'home', name: 'Home GC', par: Array(18).fill(4), si: Array.from({ length: 18 }, (_, h) => h + 1) }
+const row = (n) => Array(18).fill(String(n))
+const names = { a: 'Ann', b: 'Bob' }
+
+describe('playerCards', () => {
+  it('counts an archived round once when its scores are still live', () => {
+    const scores = { a: row(4), b: row(5) }
+    const cards = playerCards([{ roundId: 'r1', course, scores, names }], [{ roundId: 'r1', round: { date: '2024-05-01' }, courseKey: 'home', course, scores, names }])
+    expect(cards.map(c => c.pid)).toEqual(['a', 'b'])
+  })
+
+  it('counts scorecards archived before rounds existed once in a migrated trip', () => {
+    // The legacy trip kept scores per course; the migration turned them into round r_home
+    const scores = { a: row(4), b: row(5) }
+    const live = [{ roundId: legacyRoundId('home'), course, scores, names }]
+    const archived = [{ roundId: undefined, courseKey: 'home', course, scores: { a: row(4) }, names }]
+    const cards = playerCards(live, archived)
+    expect(cards.map(c => `${c.roundId}|${c.pid}`)).toEqual(['r_home|a', 'r_home|b'])
+    const board = leaderboard(cards)
+    expect(board.find(r => r.id === 'a')).toMatchObject({ rounds: 1, holes: 18, toPar: 0 })
+  })
+
+  it('keeps imported scorecards that were played elsewhere', () => {
+    const live = [{ roundId: legacyRoundId('home'), course, scores: { a: row(4) }, names }]
+    const imported = [{ roundId: '', round: { date: '2023-09-01' }, courseKey: 'home', course, scores: { a: row(5) }, names }]
+    expect(leaderboard(playerCards(live, imported)).find(r => r.id === 'a')).toMatchObject({ rounds: 2, toPar: 18 })
+  })
+})
@@ -0,0 +1,35 @@
+// Field-level ops: queued offline edits shown over the server's copy of the trip.
+import { describe, it, expect } from 'vitest'
+import { diffTrip, withOps } from '../src/tripSync'
+
+const row = (n) => Array(18).fill(n)
+const server = {
+  players: [{ id: 'a', name: 'Ann' }, { id: 'b', name: 'Bob' }],
+  notes: 'Tee times at 8',
+  scoresByRound: { r1: { a: row('4'), b: row('5') }, r2: { a: row('3') } },
+}
+
+describe('withOps', () => {
+  it('lays queued edits over a newer server copy', () => {
+    const mine = { ...server, scoresByRound: { ...server.scoresByRound, r1: { ...server.scoresByRound.r1, a: ['3', ...row('4').slice(1)] } } }
+    const ops = diffTrip(server, mine, ['scoresByRound'])
+    // Someone else renamed Bob and scored hole 2 meanwhile
+    const newer = { ...server, players: [server.players[0], { id: 'b', name: 'Bobby' }], scoresByRound: { ...server.scoresByRound, r1: { a: ['4', '6', ...row('4').slice(2)], b: row('5') } } }
+    const shown = withOps(newer, ops)
+    expect(shown.scoresByRound.r1.a.slice(0, 3)).toEqual(['3', '6', '4'])
+    expect(shown.scoresByRound.r1.b).toEqual(row('5'))
+    expect(shown.players[1].name).toBe('Bobby')
+    expect(newer.scoresByRound.r1.a[0]).toBe('4')
+  })
+
+  it('removes sheets and replaces fields', () => {
+    const ops = diffTrip(server, { ...server, notes: '', scoresByRound: { r1: { a: row('4') } } }, ['notes', 'scoresByRound'])
+    const shown = withOps(server, ops)
+    expect(shown.notes).toBe('')
+    expect(shown.scoresByRound).toEqual({ r1: { a: row('4') } })
+  })
+
+  it('returns the server copy when nothing is queued', () => {
+    expect(withOps(server, [])).toBe(server)
+  })
+})
@@ -1,6 +1,25 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Emits dist/sw.js from src/sw.js with this build's files to precache
+function serviceWorker() {
+  const publicFiles = ['manifest.webmanifest', 'icon-192.png', 'icon-512.png']
+  return {
+    name: 'golf-trip-sw',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const files = ['./', ...[...Object.keys(bundle), ...publicFiles].map(f => `./${f}`)]
+      const version = createHash('sha1').update(files.join()).digest('hex').slice(0, 10)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE__', JSON.stringify(files))
+        .replace('self.__VERSION__', JSON.stringify(version))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })